@@ -11,7 +11,11 @@ from .legacy import (
     enrich_provider,
     qa_evaluate,
     apply_updates,
+    field_evidence,
+    locate_ocr_fields,
+    manual_values,
     _confidence_for_candidates,
+    SOURCE_WEIGHTS,
 )
 from .data_validation_agent import DataValidationAgent, ValidationResult, Candidate
 from .information_enrichment_agent import (
@@ -25,7 +29,11 @@ __all__ = [
     "enrich_provider",
     "qa_evaluate",
     "apply_updates",
+    "field_evidence",
+    "locate_ocr_fields",
+    "manual_values",
     "_confidence_for_candidates",
+    "SOURCE_WEIGHTS",
     "DataValidationAgent",
     "ValidationResult",
     "Candidate",
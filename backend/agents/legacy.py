@@ -1,10 +1,11 @@
 from __future__ import annotations
 
 import os
+import re
 import json
 from datetime import datetime
 from pathlib import Path
-from typing import Dict, Any
+from typing import Dict, Any, Optional
 
 import pytesseract
 from PIL import Image
@@ -12,11 +13,13 @@ from sqlalchemy.orm import Session
 
 from ..external.npi_client import fetch_npi_data
 from ..db import (
+    AuditLog,
     Provider,
     Document,
     FieldConfidence,
     ManualReviewItem,
 )
+from ..policy import get_thresholds
 
 # -------------------------------------------------
 # Config / Data
@@ -26,6 +29,20 @@ DATA_DIR = Path(__file__).resolve().parent.parent / "data"
 
 SOURCE_PRIORITY = ["npi", "state_board", "hospital", "maps", "original"]
 
+# Reliability weight of each source in the confidence engine; unknown sources get 0.2.
+SOURCE_WEIGHTS = {
+    "npi": 1.0,
+    "state_board": 0.9,
+    "hospital": 0.7,
+    "maps": 0.5,
+    "original": 0.3,
+    "manual": 1.0,  # a reviewer's direct edit, see manual_values()
+}
+DEFAULT_SOURCE_WEIGHT = 0.2
+MANUAL_SOURCE = "manual"
+
+VALIDATED_FIELDS = ["phone", "address", "specialty", "license_no", "license_expiry"]
+
 USE_REAL_NPI = os.getenv("USE_REAL_NPI", "false").lower() == "true"
 
 
@@ -51,6 +68,30 @@ def looks_like_npi(value: str) -> bool:
     return value.isdigit() and len(value) == 10
 
 
+def manual_values(db: Session, provider: Provider) -> Dict[str, str]:
+    """Values reviewers entered directly that the provider still holds.
+
+    The latest manual edit of a field counts as the "manual" source until
+    something else (an approved review, an import) replaces the value.
+    """
+    edits = (
+        db.query(AuditLog)
+        .filter(AuditLog.provider_id == provider.id, AuditLog.action == "manual_edit")
+        .order_by(AuditLog.created_at.desc(), AuditLog.id.desc())
+        .all()
+    )
+    values = {}
+    for edit in edits:
+        if edit.field_name in values:
+            continue
+        values[edit.field_name] = edit.new_value
+    return {
+        field: value
+        for field, value in values.items()
+        if value is not None and value == getattr(provider, field, None)
+    }
+
+
 # -------------------------------------------------
 # External Validation
 # -------------------------------------------------
@@ -95,6 +136,10 @@ def validate_provider(db: Session, provider_id: int) -> Dict[str, Any]:
         add_candidate("license_no", src_name, src_data.get("license_no"))
         add_candidate("license_expiry", src_name, src_data.get("license_expiry"))
 
+    for field, value in manual_values(db, provider).items():
+        if field in candidates:
+            add_candidate(field, MANUAL_SOURCE, value)
+
     # Original values
     add_candidate("phone", "original", provider.phone)
     add_candidate("address", "original", provider.address)
@@ -137,12 +182,27 @@ def extract_from_pdf(db: Session, provider_id: int) -> Dict[str, Any]:
             float(c) for c in ocr_result.get("conf", []) if c not in ("-1", -1)
         ]
         ocr_conf = sum(confidences) / len(confidences) / 100.0 if confidences else 0.0
+        words = [
+            {
+                "text": word,
+                "left": ocr_result["left"][i],
+                "top": ocr_result["top"][i],
+                "width": ocr_result["width"][i],
+                "height": ocr_result["height"][i],
+                "conf": float(ocr_result["conf"][i]),
+            }
+            for i, word in enumerate(ocr_result.get("text", []))
+            if word and word.strip()
+        ]
     except Exception:
         text = "OCR Unavailable"
         ocr_conf = 0.7
+        words = None
 
     doc.ocr_text = text
     doc.ocr_confidence = ocr_conf
+    doc.ocr_words = words
+    doc.image_width, doc.image_height = image.size
     db.commit()
 
     return {
@@ -183,13 +243,7 @@ def _confidence_for_candidates(candidates: list) -> Dict[str, Any]:
     if not candidates:
         return {"best": None, "confidence": 0.0, "sources": []}
 
-    scores = {
-        "npi": 1.0,
-        "state_board": 0.9,
-        "hospital": 0.7,
-        "maps": 0.5,
-        "original": 0.3,
-    }
+    scores = SOURCE_WEIGHTS
 
     grouped: Dict[str, Dict[str, Any]] = {}
 
@@ -198,11 +252,14 @@ def _confidence_for_candidates(candidates: list) -> Dict[str, Any]:
         if key not in grouped:
             grouped[key] = {"value": key, "sources": [], "score": 0.0}
         grouped[key]["sources"].append(c["source"])
-        grouped[key]["score"] += scores.get(c["source"], 0.2)
+        grouped[key]["score"] += scores.get(c["source"], DEFAULT_SOURCE_WEIGHT)
 
     best = max(grouped.values(), key=lambda x: x["score"])
+    # The manual source only raises the bar for fields that have a manual edit.
+    has_manual = any(c["source"] == MANUAL_SOURCE for c in candidates)
+    weights = [w for s, w in scores.items() if has_manual or s != MANUAL_SOURCE]
     max_possible = sum(
-        sorted(scores.values(), reverse=True)[: len(best["sources"])] or [1.0]
+        sorted(weights, reverse=True)[: len(best["sources"])] or [1.0]
     )
     confidence = min(1.0, best["score"] / max_possible)
 
@@ -213,6 +270,130 @@ def _confidence_for_candidates(candidates: list) -> Dict[str, Any]:
     }
 
 
+# -------------------------------------------------
+# Source Evidence
+# -------------------------------------------------
+
+OCR_PATTERNS = {
+    "license_no": re.compile(r"License:\s*([A-Z0-9][A-Z0-9-]*)", re.IGNORECASE),
+    "license_expiry": re.compile(r"Expiry:\s*(\d{4}-\d{2}-\d{2})", re.IGNORECASE),
+    "address": re.compile(r"Address:\s*(.+?)\s*(?=(?:License|Name|Expiry):|\n|$)", re.IGNORECASE),
+}
+
+
+def ocr_candidates(db: Session, provider_id: int) -> Dict[str, Any]:
+    """Values read off the provider's license document by the last OCR pass."""
+    doc = (
+        db.query(Document)
+        .filter(Document.provider_id == provider_id, Document.doc_type == "license")
+        .first()
+    )
+    if not doc or not doc.ocr_text:
+        return {}
+    found = {}
+    for field, pattern in OCR_PATTERNS.items():
+        match = pattern.search(doc.ocr_text)
+        if match:
+            found[field] = match.group(1)
+    return found
+
+
+def _word_key(text: str) -> str:
+    return re.sub(r"[^\w-]", "", text).lower()
+
+
+def locate_ocr_fields(doc: Document, provider: Provider) -> list:
+    """Extracted license fields with the word boxes they were read from (when
+    the OCR pass stored them) and the directory's value for comparison."""
+    if not doc or not doc.ocr_text:
+        return []
+    words = doc.ocr_words or []
+    keys = [_word_key(w["text"]) for w in words]
+
+    located = []
+    for field, pattern in OCR_PATTERNS.items():
+        match = pattern.search(doc.ocr_text)
+        if not match:
+            continue
+        value = match.group(1)
+        tokens = [_word_key(t) for t in value.split() if _word_key(t)]
+        boxes = []
+        for start in range(len(keys) - len(tokens) + 1):
+            if tokens and keys[start:start + len(tokens)] == tokens:
+                boxes = [
+                    {k: words[i][k] for k in ("left", "top", "width", "height")}
+                    for i in range(start, start + len(tokens))
+                ]
+                break
+        directory_value = getattr(provider, field)
+        located.append(
+            {
+                "field": field,
+                "value": value,
+                "directory_value": directory_value,
+                "matches": normalize_for_match(field, value) == normalize_for_match(field, directory_value),
+                "boxes": boxes,
+            }
+        )
+    return located
+
+
+def normalize_for_match(field: str, value: Any) -> str:
+    if value is None:
+        return ""
+    text = str(value).strip().lower()
+    if field == "phone":
+        return re.sub(r"\D", "", text)
+    text = re.sub(r"\s*,\s*", ", ", text)
+    return " ".join(text.split())
+
+
+def field_evidence(db: Session, provider_id: int) -> Dict[str, Any]:
+    """Every source's value for each validated field, how it compares with the
+    current value and the engine's pick, and the weight the source carries.
+
+    OCR values are shown for reference only; the confidence engine does not
+    score them.
+    """
+    provider = db.query(Provider).get(provider_id)
+    if not provider:
+        return {}
+    external = validate_provider(db, provider_id)
+    ocr = ocr_candidates(db, provider_id)
+
+    evidence = {}
+    for field in VALIDATED_FIELDS:
+        candidates = external.get("candidates", {}).get(field, [])
+        result = _confidence_for_candidates(candidates)
+        current = normalize_for_match(field, getattr(provider, field))
+        best = normalize_for_match(field, result["best"])
+
+        rows = [
+            {
+                "source": c["source"],
+                "value": c["value"],
+                "weight": SOURCE_WEIGHTS.get(c["source"], DEFAULT_SOURCE_WEIGHT),
+                "scored": True,
+            }
+            for c in candidates
+        ]
+        if field in ocr:
+            rows.append({"source": "ocr", "value": ocr[field], "weight": None, "scored": False})
+        for row in rows:
+            value = normalize_for_match(field, row["value"])
+            row["matches_current"] = bool(current) and value == current
+            row["agrees_with_best"] = bool(best) and value == best
+
+        evidence[field] = {
+            "current_value": getattr(provider, field),
+            "best_value": result["best"],
+            "confidence": result["confidence"],
+            "sources": rows,
+            "disagreement": len({normalize_for_match(field, r["value"]) for r in rows}) > 1,
+        }
+    return evidence
+
+
 # -------------------------------------------------
 # QA Evaluation (LLM-FREE)
 # -------------------------------------------------
@@ -222,6 +403,7 @@ def qa_evaluate(
     provider_id: int,
     external_data: Dict[str, Any],
     enrichment: Dict[str, Any],
+    run_id: Optional[int] = None,
 ):
     provider = db.query(Provider).get(provider_id)
     candidates = external_data.get("candidates", {}) if external_data else {}
@@ -232,7 +414,7 @@ def qa_evaluate(
         "explanation_inputs": {},  # 👈 store inputs, NOT LLM text
     }
 
-    threshold = 0.70  # >70% confidence for auto-update per requirements
+    thresholds = get_thresholds(db)  # per-field auto-update cutoffs, 0.70 unless an admin changed them
 
     for field in [
         "phone",
@@ -254,6 +436,8 @@ def qa_evaluate(
                 field_name=field,
                 confidence=conf,
                 sources=sources,
+                value=str(best) if best is not None else None,
+                run_id=run_id,
             )
         )
 
@@ -270,7 +454,11 @@ def qa_evaluate(
             "confidence": conf,
         }
 
-        if conf >= threshold:
+        # Sources disagreeing with a reviewer's direct edit never overwrite it
+        # silently; the edit is kept until someone reviews the conflict.
+        overrides_manual = any(c["source"] == MANUAL_SOURCE for c in field_candidates)
+
+        if conf >= thresholds[field] and not overrides_manual:
             decisions["auto_updates"][field] = {
                 "from": current_value,
                 "to": best,
@@ -283,7 +471,11 @@ def qa_evaluate(
                 field_name=field,
                 current_value=current_value,
                 suggested_value=best,
-                reason=f"low confidence ({conf:.2f})",
+                reason=(
+                    f"conflicts with manual edit ({conf:.2f})"
+                    if overrides_manual
+                    else f"low confidence ({conf:.2f})"
+                ),
             )
             db.add(item)
             decisions["manual_reviews"].append(item)
@@ -317,13 +509,16 @@ def qa_evaluate(
 # Apply Updates
 # -------------------------------------------------
 
-def apply_updates(db: Session, provider_id: int, decisions):
+def apply_updates(db: Session, provider_id: int, decisions, run_id: Optional[int] = None):
     from ..db import AuditLog
 
     provider = db.query(Provider).get(provider_id)
     auto_updates = 0
     manual_reviews = len(decisions.get("manual_reviews", []))
 
+    for item in decisions.get("manual_reviews", []):
+        item.run_id = run_id
+
     for field, info in decisions.get("auto_updates", {}).items():
         old = info["from"]
         new = info["to"]
@@ -340,6 +535,7 @@ def apply_updates(db: Session, provider_id: int, decisions):
                 new_value=str(new) if new is not None else None,
                 action="auto_update",
                 actor="validation_agent",
+                run_id=run_id,
             )
         )
         auto_updates += 1
@@ -1,7 +1,11 @@
-from fastapi import APIRouter, HTTPException, Request
+from fastapi import APIRouter, Depends, HTTPException, Request
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
+from sqlalchemy.orm import Session
+from backend.agents import field_evidence
+from backend.db import get_db, Provider, ProviderScore, DriftScore, ManualReviewItem
 from backend.llm.qa_summarizer import summarize_qa_decision
-from backend.llm.gemini_client import call_gemini, QuotaExceededError
+from backend.llm.gemini_client import call_gemini, stream_gemini, QuotaExceededError
 import time
 from collections import defaultdict
 
@@ -13,8 +17,17 @@ _request_log = defaultdict(list)
 
 CHAT_RATE_LIMIT = 10
 CHAT_RATE_WINDOW = 60
+CHAT_HISTORY_LIMIT = 20  # messages of earlier conversation sent to the model
 _chat_log = defaultdict(list)
 
+CHAT_UNAVAILABLE = "I'm currently unavailable. Please ensure the AI service is configured properly. In the meantime, I can tell you that this application helps validate healthcare provider data using multi-agent AI systems."
+CHAT_FAILED = "I encountered an issue processing your request. Please try again or rephrase your question."
+
+
+def _retry_after(log: list, window: int, now: float) -> str:
+    # Seconds until the oldest request in the window expires.
+    return str(max(1, int(window - (now - min(log))) + 1))
+
 
 class ExplainRequest(BaseModel):
     field: str
@@ -29,9 +42,16 @@ class ExplainResponse(BaseModel):
     explanation: str
 
 
+class ChatContext(BaseModel):
+    provider_id: int | None = None
+    field: str | None = None
+    review_id: int | None = None
+
+
 class ChatRequest(BaseModel):
     message: str
     history: list[dict] = []
+    context: ChatContext | None = None
 
 
 class ChatResponse(BaseModel):
@@ -53,7 +73,8 @@ def explain_decision(payload: ExplainRequest, request: Request):
     if len(_request_log[client_ip]) >= RATE_LIMIT:
         raise HTTPException(
             status_code=429,
-            detail="Rate limit exceeded. Please wait before requesting more explanations."
+            detail="Rate limit exceeded. Please wait before requesting more explanations.",
+            headers={"Retry-After": _retry_after(_request_log[client_ip], RATE_WINDOW, now)},
         )
 
     _request_log[client_ip].append(now)
@@ -71,13 +92,10 @@ def explain_decision(payload: ExplainRequest, request: Request):
         return {"explanation": fallback}
 
 
-@router.post("/chat", response_model=ChatResponse)
-def chat_with_ai(payload: ChatRequest, request: Request):
-    """General purpose AI chatbot endpoint"""
+def _check_chat_rate(request: Request) -> None:
     client_ip = request.client.host
     now = time.time()
 
-    # Rate limiting
     _chat_log[client_ip] = [
         t for t in _chat_log[client_ip]
         if now - t < CHAT_RATE_WINDOW
@@ -86,12 +104,75 @@ def chat_with_ai(payload: ChatRequest, request: Request):
     if len(_chat_log[client_ip]) >= CHAT_RATE_LIMIT:
         raise HTTPException(
             status_code=429,
-            detail="Rate limit exceeded. Please wait before sending more messages."
+            detail="Rate limit exceeded. Please wait before sending more messages.",
+            headers={"Retry-After": _retry_after(_chat_log[client_ip], CHAT_RATE_WINDOW, now)},
         )
 
     _chat_log[client_ip].append(now)
 
-    # Build conversation context
+
+def _describe_context(db: Session, context: ChatContext | None) -> str:
+    """What the user is looking at, as plain text for the prompt."""
+    if context is None:
+        return ""
+
+    lines = []
+    field = context.field
+    review = db.query(ManualReviewItem).get(context.review_id) if context.review_id else None
+    if review:
+        field = field or review.field_name
+        lines.append(
+            f"Review item #{review.id} ({review.status}): {review.field_name} "
+            f"current '{review.current_value}', suggested '{review.suggested_value}', "
+            f"reason: {review.reason}"
+        )
+
+    provider_id = context.provider_id or (review.provider_id if review else None)
+    provider = db.query(Provider).get(provider_id) if provider_id else None
+    if provider:
+        lines.insert(0, (
+            f"Provider #{provider.id} {provider.name}: specialty {provider.specialty}, "
+            f"phone {provider.phone}, address {provider.address}, "
+            f"license {provider.license_no} (expires {provider.license_expiry})"
+        ))
+        score = db.query(ProviderScore).filter(ProviderScore.provider_id == provider.id).first()
+        drift = db.query(DriftScore).filter(DriftScore.provider_id == provider.id).first()
+        if score:
+            lines.append(f"PCS {score.pcs:.1f} (band {score.band})")
+        if drift:
+            lines.append(f"Drift {drift.score:.2f} ({drift.bucket})")
+
+        evidence = field_evidence(db, provider.id).get(field) if field else None
+        if evidence:
+            sources = "; ".join(f"{s['source']}: {s['value']}" for s in evidence["sources"])
+            lines.append(
+                f"Field {field}: best value '{evidence['best_value']}' at "
+                f"{(evidence['confidence'] or 0):.2f} confidence; sources: {sources}"
+            )
+
+    if not lines:
+        return ""
+    return "The user is currently looking at:\n" + "\n".join(f"- {line}" for line in lines)
+
+
+def _action_guide(db: Session) -> str:
+    """Tells the model which UI actions it may attach to an answer."""
+    specialties = sorted(s for (s,) in db.query(Provider.specialty).distinct() if s)
+    return f"""The app can act on your answer. When the user asks to see, find, filter or open something,
+end your answer with one fenced block listing the actions, for example:
+```actions
+[{{"type": "filter_providers", "specialty": "Cardiology", "drift": ["High"]}}]
+```
+Available actions (use only these, and never invent IDs):
+- open_provider: {{"provider_id": <id>}} or {{"name": "<provider name>"}}
+- filter_providers: any of "q" (free-text search), "specialty", "drift" (list of Low/Medium/High),
+  "band" (list of green/amber/red PCS bands), "pcs" ("min-max" PCS range), "expiring_days" (license expires within N days)
+- open_reviews: any of "field", "provider_id" (the manual review queue, filtered)
+- approve_review / reject_review: {{"review_id": <id>}} only when the user explicitly asks; they confirm before it runs
+Known specialties: {", ".join(specialties) or "none"}."""
+
+
+def _chat_prompt(payload: ChatRequest, context_text: str, action_guide: str = "") -> str:
     system_prompt = """You are a helpful AI assistant for EY's Provider Data Command Center application. 
 You can help users with:
 - Understanding provider data validation processes
@@ -104,17 +185,30 @@ You can help users with:
 Be concise, helpful, and professional. If asked about something unrelated to the application, 
 you can still help but mention that you're primarily designed for provider data assistance.
 
-Keep responses under 150 words unless more detail is specifically requested."""
+Answers are rendered as Markdown. Keep responses under 150 words unless more detail is specifically requested."""
+
+    if action_guide:
+        system_prompt += f"\n\n{action_guide}"
+
+    if context_text:
+        system_prompt += f"\n\n{context_text}\nWhen the user says \"this provider\" or \"this field\", they mean the ones above."
 
     # Format conversation history
     conversation = ""
-    for msg in payload.history[-6:]:  # Last 6 messages for context
+    for msg in payload.history[-CHAT_HISTORY_LIMIT:]:
         role = "User" if msg.get("role") == "user" else "Assistant"
         conversation += f"{role}: {msg.get('content', '')}\n"
-    
+
     conversation += f"User: {payload.message}\nAssistant:"
 
-    full_prompt = f"{system_prompt}\n\nConversation:\n{conversation}"
+    return f"{system_prompt}\n\nConversation:\n{conversation}"
+
+
+@router.post("/chat", response_model=ChatResponse)
+def chat_with_ai(payload: ChatRequest, request: Request, db: Session = Depends(get_db)):
+    """General purpose AI chatbot endpoint"""
+    _check_chat_rate(request)
+    full_prompt = _chat_prompt(payload, _describe_context(db, payload.context), _action_guide(db))
 
     try:
         response = call_gemini(full_prompt)
@@ -122,10 +216,43 @@ Keep responses under 150 words unless more detail is specifically requested."""
     except QuotaExceededError:
         raise HTTPException(
             status_code=429,
-            detail="AI service quota exceeded. Please try again later."
+            detail="AI service quota exceeded. Please try again later.",
+            headers={"Retry-After": str(CHAT_RATE_WINDOW)},
         )
     except ValueError as e:
         # API key not set
-        return {"response": "I'm currently unavailable. Please ensure the AI service is configured properly. In the meantime, I can tell you that this application helps validate healthcare provider data using multi-agent AI systems."}
+        return {"response": CHAT_UNAVAILABLE}
     except Exception as e:
-        return {"response": "I encountered an issue processing your request. Please try again or rephrase your question."}
+        return {"response": CHAT_FAILED}
+
+
+@router.post("/chat/stream")
+def stream_chat(payload: ChatRequest, request: Request, db: Session = Depends(get_db)):
+    """Same as /chat, but streams the answer as plain text while it is generated."""
+    _check_chat_rate(request)
+    full_prompt = _chat_prompt(payload, _describe_context(db, payload.context), _action_guide(db))
+
+    # Pull the first chunk before responding so quota errors still become a 429.
+    chunks = stream_gemini(full_prompt)
+    try:
+        first = next(chunks, "")
+    except QuotaExceededError:
+        raise HTTPException(
+            status_code=429,
+            detail="AI service quota exceeded. Please try again later.",
+            headers={"Retry-After": str(CHAT_RATE_WINDOW)},
+        )
+    except ValueError:
+        # API key not set
+        return StreamingResponse(iter([CHAT_UNAVAILABLE]), media_type="text/plain; charset=utf-8")
+    except Exception:
+        return StreamingResponse(iter([CHAT_FAILED]), media_type="text/plain; charset=utf-8")
+
+    def body():
+        yield first
+        try:
+            yield from chunks
+        except Exception:
+            yield "\n\n_The response was interrupted. Please try again._"
+
+    return StreamingResponse(body(), media_type="text/plain; charset=utf-8")
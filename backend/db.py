@@ -1,7 +1,7 @@
 from datetime import datetime
 from pathlib import Path
 
-from sqlalchemy import Column, Integer, String, DateTime, Float, Boolean, ForeignKey, JSON, create_engine
+from sqlalchemy import Column, Integer, String, DateTime, Float, Boolean, ForeignKey, JSON, create_engine, inspect, text
 from sqlalchemy.orm import declarative_base, relationship, sessionmaker, Session
 
 DB_PATH = Path(__file__).resolve().parent / "provider_directory.db"
@@ -29,6 +29,9 @@ class Provider(Base):
     affiliations = Column(String)
     last_verified_at = Column(DateTime)
     last_changed_at = Column(DateTime)
+    # Set when a reviewer merges this record into a duplicate; merged records
+    # are kept for their history but left out of the directory and batch runs.
+    merged_into_id = Column(Integer, ForeignKey("providers.id"))
 
     scores = relationship("ProviderScore", back_populates="provider", uselist=False)
     drift = relationship("DriftScore", back_populates="provider", uselist=False)
@@ -43,6 +46,9 @@ class Document(Base):
     path = Column(String)
     ocr_text = Column(String)
     ocr_confidence = Column(Float)
+    ocr_words = Column(JSON)  # [{"text", "left", "top", "width", "height", "conf"}] in image pixels
+    image_width = Column(Integer)
+    image_height = Column(Integer)
 
 
 class ValidationRun(Base):
@@ -55,6 +61,9 @@ class ValidationRun(Base):
     count_processed = Column(Integer, default=0)
     auto_updates = Column(Integer, default=0)
     manual_reviews = Column(Integer, default=0)
+    status = Column(String, default="running")  # running / completed / cancelled / failed
+    total = Column(Integer, default=0)
+    errors = Column(JSON)  # [{"provider_id", "name", "error"}] for providers that failed
 
 
 class ManualReviewItem(Base):
@@ -68,6 +77,11 @@ class ManualReviewItem(Base):
     reason = Column(String)
     status = Column(String, default="pending")
     created_at = Column(DateTime, default=datetime.utcnow)
+    decided_at = Column(DateTime)
+    decided_by = Column(String)
+    previous_value = Column(String)  # provider value before the decision, used by undo
+    resolved_value = Column(String)  # value the provider ended up with
+    run_id = Column(Integer, ForeignKey("validation_runs.id"))  # batch run that queued the item
 
 
 class FieldConfidence(Base):
@@ -79,6 +93,8 @@ class FieldConfidence(Base):
     confidence = Column(Float)
     sources = Column(JSON)
     created_at = Column(DateTime, default=datetime.utcnow)
+    value = Column(String)  # best candidate value the sources agreed on
+    run_id = Column(Integer, ForeignKey("validation_runs.id"))
 
 
 class ProviderScore(Base):
@@ -120,13 +136,70 @@ class AuditLog(Base):
     field_name = Column(String)
     old_value = Column(String)
     new_value = Column(String)
-    action = Column(String)  # auto_update / manual_approve / manual_override
+    action = Column(String)  # auto_update / manual_approve / manual_override / manual_edit / merge / import
     actor = Column(String)
+    reason = Column(String)  # required for manual_edit: why the reviewer changed the value
     created_at = Column(DateTime, default=datetime.utcnow)
+    run_id = Column(Integer, ForeignKey("validation_runs.id"))  # set for batch auto-updates
+
+
+class DistinctProviders(Base):
+    """A pair of providers a reviewer confirmed are different people, so the
+    duplicates view stops suggesting them. Stored with provider_id < other_id."""
+
+    __tablename__ = "distinct_providers"
+
+    id = Column(Integer, primary_key=True)
+    provider_id = Column(Integer, ForeignKey("providers.id"), index=True)
+    other_id = Column(Integer, ForeignKey("providers.id"))
+    decided_by = Column(String)
+    created_at = Column(DateTime, default=datetime.utcnow)
+
+
+class FieldPolicy(Base):
+    """Confidence a field's validated value needs to be applied without review.
+    Fields without a row use policy.DEFAULT_THRESHOLD."""
+
+    __tablename__ = "field_policies"
+
+    field_name = Column(String, primary_key=True)
+    threshold = Column(Float, nullable=False)
+    updated_by = Column(String)
+    updated_at = Column(DateTime, default=datetime.utcnow)
+
+
+class RunSnapshot(Base):
+    """PCS and drift of every provider as they stood at the end of a batch run."""
+
+    __tablename__ = "run_snapshots"
+
+    id = Column(Integer, primary_key=True)
+    run_id = Column(Integer, ForeignKey("validation_runs.id"), index=True)
+    provider_id = Column(Integer, ForeignKey("providers.id"))
+    pcs = Column(Float)
+    band = Column(String)
+    drift_score = Column(Float)
+    drift_bucket = Column(String)
+
+
+def _add_missing_columns() -> None:
+    # create_all() only creates missing tables, so databases seeded before a
+    # nullable column was added get it patched in here.
+    inspector = inspect(engine)
+    with engine.begin() as conn:
+        for table in Base.metadata.sorted_tables:
+            if not inspector.has_table(table.name):
+                continue
+            existing = {c["name"] for c in inspector.get_columns(table.name)}
+            for column in table.columns:
+                if column.name not in existing:
+                    col_type = column.type.compile(dialect=engine.dialect)
+                    conn.execute(text(f"ALTER TABLE {table.name} ADD COLUMN {column.name} {col_type}"))
 
 
 def init_db() -> None:
     Base.metadata.create_all(bind=engine)
+    _add_missing_columns()
 
 
 def get_db():
@@ -25,3 +25,25 @@ def call_gemini(prompt: str) -> str:
     except Exception as e:
         # Re-raise other exceptions
         raise
+
+
+def stream_gemini(prompt: str):
+    """Yields the response text in chunks as Gemini generates it."""
+    api_key = os.getenv("GEMINI_API_KEY")
+    if not api_key:
+        raise ValueError("GEMINI_API_KEY environment variable is not set")
+
+    genai.configure(api_key=api_key)
+    model = genai.GenerativeModel(MODEL_NAME)
+
+    try:
+        for chunk in model.generate_content(prompt, stream=True):
+            try:
+                text = chunk.text
+            except ValueError:
+                # Chunks without text parts (e.g. safety metadata) carry nothing to show
+                continue
+            if text:
+                yield text
+    except google_exceptions.ResourceExhausted as e:
+        raise QuotaExceededError(f"Gemini API quota exceeded: {str(e)}") from e
@@ -4,9 +4,10 @@ load_dotenv(".env.local")
 from fastapi import FastAPI
 from fastapi.middleware.cors import CORSMiddleware
 
-from .routers import batch, stats, providers, manual_review, reports
+from .routers import batch, stats, providers, manual_review, reports, imports, duplicates, licenses, settings
 from backend.api import router as explain_router
-from .db import init_db
+from .db import init_db, SessionLocal
+from .orchestrator import mark_interrupted_runs
 
 app = FastAPI(title="Provider Data Validation & Directory (Agentic AI) — Stage 1–11")
 
@@ -23,11 +24,20 @@ app.include_router(stats.router)
 app.include_router(providers.router)
 app.include_router(manual_review.router)
 app.include_router(reports.router)
+app.include_router(imports.router)
+app.include_router(duplicates.router)
+app.include_router(licenses.router)
+app.include_router(settings.router)
 app.include_router(explain_router)
 
 @app.on_event("startup")
 async def on_startup() -> None:
     init_db()
+    db = SessionLocal()
+    try:
+        mark_interrupted_runs(db)
+    finally:
+        db.close()
 
 @app.get("/health")
 async def health() -> dict:
@@ -1,9 +1,10 @@
+import threading
 from datetime import datetime
-from typing import Literal
+from typing import Callable, Literal, Optional
 
 from sqlalchemy.orm import Session
 
-from .db import Provider, ValidationRun
+from .db import DriftScore, Provider, ProviderScore, RunSnapshot, SessionLocal, ValidationRun
 from .agents import (
     extract_from_pdf,
     qa_evaluate,
@@ -14,6 +15,12 @@ from .pcs_drift import recompute_pcs_for_all, recompute_drift_for_all
 
 
 BatchType = Literal["daily", "weekly", "onboarding"]
+BATCH_TYPES = ("daily", "weekly", "onboarding")
+
+# Background runs started from the API, keyed by run id.
+_active_runs: dict = {}
+_cancel_requested: set = set()
+_runs_lock = threading.Lock()
 
 
 def _serialize_candidates(candidates):
@@ -31,26 +38,76 @@ def _serialize_candidates(candidates):
     return serialized
 
 
+def _ensure_idle() -> None:
+    # Callers hold _runs_lock.
+    if any(t.is_alive() for t in _active_runs.values()):
+        raise RuntimeError("A batch run is already in progress")
+
+
 def run_batch(db: Session, batch_type: BatchType = "daily", limit: int = 200) -> ValidationRun:
-    run = ValidationRun(run_type=batch_type, started_at=datetime.utcnow())
+    """Create a run and process it on the calling thread.
+
+    Shares the background runs' bookkeeping, so it raises RuntimeError while
+    another run is in progress and background starts are refused until it ends.
+    """
+    with _runs_lock:
+        _ensure_idle()
+        run = create_run(db, batch_type)
+        run_id = run.id
+        _active_runs[run_id] = threading.current_thread()
+    try:
+        return execute_run(db, run, limit=limit, should_cancel=lambda: run_id in _cancel_requested)
+    finally:
+        with _runs_lock:
+            _active_runs.pop(run_id, None)
+            _cancel_requested.discard(run_id)
+
+
+def create_run(db: Session, batch_type: BatchType = "daily") -> ValidationRun:
+    run = ValidationRun(run_type=batch_type, started_at=datetime.utcnow(), status="running", errors=[])
     db.add(run)
     db.commit()
     db.refresh(run)
+    return run
 
+
+def execute_run(
+    db: Session,
+    run: ValidationRun,
+    limit: int = 200,
+    should_cancel: Optional[Callable[[], bool]] = None,
+) -> ValidationRun:
+    """Process providers for `run`, committing counters after every provider so
+    progress can be polled from another session."""
     providers = (
         db.query(Provider)
+        .filter(Provider.merged_into_id.is_(None))
         .order_by(Provider.last_verified_at.is_(None), Provider.last_verified_at)
         .limit(limit)
         .all()
     )
+    run.total = len(providers)
+    db.commit()
 
     auto_updates = 0
     manual_reviews = 0
 
     processed = 0
+    errors = []
+    status = "completed"
+
+    def save_progress() -> None:
+        run.count_processed = processed
+        run.auto_updates = auto_updates
+        run.manual_reviews = manual_reviews
+        run.errors = list(errors)
+        db.commit()
 
     try:
         for provider in providers:
+            if should_cancel and should_cancel():
+                status = "cancelled"
+                break
             try:
                 external = validate_provider(db, provider.id)
                 _ = extract_from_pdf(db, provider.id)
@@ -66,32 +123,106 @@ def run_batch(db: Session, batch_type: BatchType = "daily", limit: int = 200) ->
                         "validated_fields": {},
                     },
                     enrichment_fields,
+                    run_id=run.id,
                 )
-                res = apply_updates(db, provider.id, decisions)
+                res = apply_updates(db, provider.id, decisions, run_id=run.id)
                 auto_updates += res["auto_updates"]
                 manual_reviews += res["manual_reviews"]
                 processed += 1
-            except Exception:
+            except Exception as e:
                 # Skip provider-level failures but keep the batch run alive.
                 db.rollback()
+                errors.append({"provider_id": provider.id, "name": provider.name, "error": str(e) or type(e).__name__})
+            save_progress()
 
         recompute_pcs_for_all(db)
         recompute_drift_for_all(db)
+        snapshot_scores(db, run)
 
-        run.count_processed = processed
-        run.auto_updates = auto_updates
-        run.manual_reviews = manual_reviews
+        run.status = status
         run.finished_at = datetime.utcnow()
-        db.commit()
+        save_progress()
         db.refresh(run)
         return run
     except Exception:
         # Ensure the run is marked finished even if a fatal error occurs.
         db.rollback()
-        run.count_processed = processed
-        run.auto_updates = auto_updates
-        run.manual_reviews = manual_reviews
+        run.status = "failed"
         run.finished_at = datetime.utcnow()
-        db.commit()
+        save_progress()
         db.refresh(run)
         return run
+
+
+def snapshot_scores(db: Session, run: ValidationRun) -> None:
+    """Store every provider's current PCS and drift against `run`, so later
+    runs can be compared with it."""
+    scores = {s.provider_id: s for s in db.query(ProviderScore).all()}
+    drifts = {d.provider_id: d for d in db.query(DriftScore).all()}
+    for provider_id in set(scores) | set(drifts):
+        score = scores.get(provider_id)
+        drift = drifts.get(provider_id)
+        db.add(
+            RunSnapshot(
+                run_id=run.id,
+                provider_id=provider_id,
+                pcs=score.pcs if score else None,
+                band=score.band if score else None,
+                drift_score=drift.score if drift else None,
+                drift_bucket=drift.bucket if drift else None,
+            )
+        )
+    db.commit()
+
+
+def start_batch_in_background(batch_type: BatchType = "daily", limit: int = 200) -> int:
+    """Create a run and process it on a worker thread; returns the run id.
+
+    Raises RuntimeError if another background run is still in progress.
+    """
+    with _runs_lock:
+        _ensure_idle()
+
+        db = SessionLocal()
+        run = create_run(db, batch_type)
+        run_id = run.id
+
+        def worker() -> None:
+            try:
+                execute_run(db, run, limit=limit, should_cancel=lambda: run_id in _cancel_requested)
+            finally:
+                db.close()
+                with _runs_lock:
+                    _active_runs.pop(run_id, None)
+                    _cancel_requested.discard(run_id)
+
+        thread = threading.Thread(target=worker, name=f"batch-run-{run_id}", daemon=True)
+        _active_runs[run_id] = thread
+        thread.start()
+        return run_id
+
+
+def active_run_id() -> Optional[int]:
+    with _runs_lock:
+        for run_id, thread in _active_runs.items():
+            if thread.is_alive():
+                return run_id
+    return None
+
+
+def request_cancel(run_id: int) -> bool:
+    """Ask a background run to stop after the provider it is processing."""
+    with _runs_lock:
+        if run_id not in _active_runs:
+            return False
+        _cancel_requested.add(run_id)
+        return True
+
+
+def mark_interrupted_runs(db: Session) -> None:
+    """Runs left "running" by a previous server process can never finish."""
+    stale = db.query(ValidationRun).filter(ValidationRun.status == "running").all()
+    for run in stale:
+        run.status = "failed"
+        run.finished_at = run.finished_at or datetime.utcnow()
+    db.commit()
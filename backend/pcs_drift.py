@@ -6,6 +6,7 @@ from typing import Tuple
 from sqlalchemy.orm import Session
 
 from .db import Provider, ProviderScore, DriftScore, FieldConfidence
+from .policy import DEFAULT_THRESHOLD, get_thresholds
 
 
 def _compute_srm(db: Session, provider: Provider) -> float:
@@ -44,7 +45,8 @@ def _compute_st(provider: Provider) -> float:
 
 def _compute_mb(db: Session, provider: Provider) -> float:
     confs = db.query(FieldConfidence).filter(FieldConfidence.provider_id == provider.id).all()
-    low = len([c for c in confs if c.confidence < 0.7])
+    thresholds = get_thresholds(db)
+    low = len([c for c in confs if c.confidence < thresholds.get(c.field_name, DEFAULT_THRESHOLD)])
     if low == 0:
         return 1.0
     if low <= 2:
@@ -133,7 +135,7 @@ def compute_pcs(db: Session, provider: Provider) -> Tuple[float, dict]:
 
 
 def recompute_pcs_for_all(db: Session) -> None:
-    providers = db.query(Provider).all()
+    providers = db.query(Provider).filter(Provider.merged_into_id.is_(None)).all()
     for p in providers:
         pcs, subs = compute_pcs(db, p)
         score = db.query(ProviderScore).filter(ProviderScore.provider_id == p.id).first()
@@ -198,7 +200,7 @@ def compute_drift(db: Session, provider: Provider) -> Tuple[float, str, int]:
 
 
 def recompute_drift_for_all(db: Session) -> None:
-    providers = db.query(Provider).all()
+    providers = db.query(Provider).filter(Provider.merged_into_id.is_(None)).all()
     for p in providers:
         score, bucket, days = compute_drift(db, p)
         row = db.query(DriftScore).filter(DriftScore.provider_id == p.id).first()
@@ -0,0 +1,20 @@
+"""Per-field confidence thresholds for auto-updating validated values.
+
+A value whose confidence reaches its field's threshold is applied by the
+batch run; anything lower goes to manual review. The admin settings screen
+edits these, and the UI reads the same values from GET /settings/thresholds.
+"""
+
+from typing import Dict
+
+from sqlalchemy.orm import Session
+
+from .db import FieldPolicy
+
+DEFAULT_THRESHOLD = 0.7
+POLICY_FIELDS = ["phone", "address", "specialty", "license_no", "license_expiry"]
+
+
+def get_thresholds(db: Session) -> Dict[str, float]:
+    stored = {p.field_name: p.threshold for p in db.query(FieldPolicy).all()}
+    return {field: stored.get(field, DEFAULT_THRESHOLD) for field in POLICY_FIELDS}
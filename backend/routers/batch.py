@@ -1,21 +1,255 @@
-from fastapi import APIRouter, Depends
+from fastapi import APIRouter, Depends, HTTPException
 from sqlalchemy.orm import Session
 
-from ..db import get_db
-from ..orchestrator import run_batch
+from ..db import get_db, AuditLog, ManualReviewItem, Provider, RunSnapshot, ValidationRun
+from ..orchestrator import (
+    BATCH_TYPES,
+    active_run_id,
+    request_cancel,
+    run_batch,
+    start_batch_in_background,
+)
 
 router = APIRouter(prefix="/run-batch", tags=["batch"])
 
 
-@router.post("")
-def run_batch_endpoint(type: str = "daily", db: Session = Depends(get_db)):
-    run = run_batch(db, batch_type=type)
+def _serialize_run(run: ValidationRun) -> dict:
     return {
         "id": run.id,
         "type": run.run_type,
+        "status": run.status or ("completed" if run.finished_at else "running"),
+        "total": run.total or 0,
         "count_processed": run.count_processed,
         "auto_updates": run.auto_updates,
         "manual_reviews": run.manual_reviews,
+        "errors": run.errors or [],
         "started_at": run.started_at,
         "finished_at": run.finished_at,
     }
+
+
+def _check_type(type: str) -> None:
+    if type not in BATCH_TYPES:
+        raise HTTPException(status_code=422, detail=f"Unknown batch type '{type}'")
+
+
+def _previous_snapshot_run(db: Session, run: ValidationRun):
+    """Latest earlier run that recorded score snapshots, i.e. the baseline
+    PCS and drift moved from."""
+    return (
+        db.query(ValidationRun)
+        .join(RunSnapshot, RunSnapshot.run_id == ValidationRun.id)
+        .filter(ValidationRun.id < run.id)
+        .order_by(ValidationRun.id.desc())
+        .first()
+    )
+
+
+def _snapshots(db: Session, run_id: int) -> dict:
+    return {s.provider_id: s for s in db.query(RunSnapshot).filter(RunSnapshot.run_id == run_id).all()}
+
+
+@router.get("")
+def list_runs(limit: int = 100, db: Session = Depends(get_db)):
+    runs = db.query(ValidationRun).order_by(ValidationRun.started_at.desc()).limit(limit).all()
+    return [_serialize_run(r) for r in runs]
+
+
+def _by_name(row: dict) -> str:
+    return row["name"] or ""
+
+
+def _automation_rate(run: ValidationRun):
+    routed = (run.auto_updates or 0) + (run.manual_reviews or 0)
+    return (run.auto_updates or 0) / routed if routed else None
+
+
+@router.get("/compare")
+def compare_runs(base: int, target: int, db: Session = Depends(get_db)):
+    """Compare two runs: PCS band and drift bucket moves between their score
+    snapshots, fields routed to review by `target` but not by `base`, and the
+    change in automation rate."""
+    runs = {r.id: r for r in db.query(ValidationRun).filter(ValidationRun.id.in_([base, target])).all()}
+    if base not in runs or target not in runs:
+        raise HTTPException(status_code=404, detail="Run not found")
+
+    before = _snapshots(db, base)
+    after = _snapshots(db, target)
+    names = dict(db.query(Provider.id, Provider.name).all())
+
+    band_changes = []
+    drift_changes = []
+    for provider_id, snap in after.items():
+        prev = before.get(provider_id)
+        if prev is None:
+            continue
+        if prev.band != snap.band:
+            band_changes.append(
+                {
+                    "provider_id": provider_id,
+                    "name": names.get(provider_id),
+                    "band_before": prev.band,
+                    "band_after": snap.band,
+                    "pcs_before": prev.pcs,
+                    "pcs_after": snap.pcs,
+                }
+            )
+        if prev.drift_bucket != snap.drift_bucket:
+            drift_changes.append(
+                {
+                    "provider_id": provider_id,
+                    "name": names.get(provider_id),
+                    "bucket_before": prev.drift_bucket,
+                    "bucket_after": snap.drift_bucket,
+                    "score_before": prev.drift_score,
+                    "score_after": snap.drift_score,
+                }
+            )
+
+    base_routed = {
+        (i.provider_id, i.field_name)
+        for i in db.query(ManualReviewItem).filter(ManualReviewItem.run_id == base).all()
+    }
+    new_reviews = [
+        {
+            "id": i.id,
+            "provider_id": i.provider_id,
+            "name": names.get(i.provider_id),
+            "field": i.field_name,
+            "current_value": i.current_value,
+            "suggested_value": i.suggested_value,
+            "reason": i.reason,
+            "status": i.status,
+        }
+        for i in db.query(ManualReviewItem).filter(ManualReviewItem.run_id == target).all()
+        if (i.provider_id, i.field_name) not in base_routed
+    ]
+
+    base_rate = _automation_rate(runs[base])
+    target_rate = _automation_rate(runs[target])
+
+    return {
+        "base": {**_serialize_run(runs[base]), "automation_rate": base_rate, "has_snapshot": bool(before)},
+        "target": {**_serialize_run(runs[target]), "automation_rate": target_rate, "has_snapshot": bool(after)},
+        "automation_rate_change": (
+            target_rate - base_rate if base_rate is not None and target_rate is not None else None
+        ),
+        "band_changes": sorted(band_changes, key=_by_name),
+        "drift_changes": sorted(drift_changes, key=_by_name),
+        "new_reviews": sorted(new_reviews, key=_by_name),
+    }
+
+
+@router.post("")
+def run_batch_endpoint(type: str = "daily", db: Session = Depends(get_db)):
+    _check_type(type)
+    try:
+        run = run_batch(db, batch_type=type)
+    except RuntimeError as e:
+        raise HTTPException(status_code=409, detail=str(e))
+    return _serialize_run(run)
+
+
+@router.post("/start")
+def start_batch_endpoint(type: str = "daily", db: Session = Depends(get_db)):
+    """Start a run in the background and return immediately; poll GET /run-batch/{id}."""
+    _check_type(type)
+    try:
+        run_id = start_batch_in_background(type)
+    except RuntimeError as e:
+        raise HTTPException(status_code=409, detail=str(e))
+    return _serialize_run(db.query(ValidationRun).get(run_id))
+
+
+@router.get("/active")
+def active_batch(db: Session = Depends(get_db)):
+    run_id = active_run_id()
+    if run_id is None:
+        return None
+    return _serialize_run(db.query(ValidationRun).get(run_id))
+
+
+@router.get("/{run_id}")
+def batch_progress(run_id: int, db: Session = Depends(get_db)):
+    run = db.query(ValidationRun).get(run_id)
+    if not run:
+        raise HTTPException(status_code=404, detail="Run not found")
+    return _serialize_run(run)
+
+
+@router.get("/{run_id}/changes")
+def run_changes(run_id: int, db: Session = Depends(get_db)):
+    """Per-provider drill-down: fields auto-updated, fields sent to review and
+    PCS/drift movement since the previous run."""
+    run = db.query(ValidationRun).get(run_id)
+    if not run:
+        raise HTTPException(status_code=404, detail="Run not found")
+
+    previous = _previous_snapshot_run(db, run)
+    before = _snapshots(db, previous.id) if previous else {}
+    after = _snapshots(db, run.id)
+
+    rows: dict = {}
+
+    def row(provider_id: int) -> dict:
+        if provider_id not in rows:
+            rows[provider_id] = {"provider_id": provider_id, "changes": [], "reviews": [], "pcs": None, "drift": None}
+        return rows[provider_id]
+
+    updates = db.query(AuditLog).filter(AuditLog.run_id == run.id, AuditLog.action == "auto_update").all()
+    for log in updates:
+        row(log.provider_id)["changes"].append(
+            {"field": log.field_name, "old_value": log.old_value, "new_value": log.new_value}
+        )
+
+    reviews = db.query(ManualReviewItem).filter(ManualReviewItem.run_id == run.id).all()
+    for item in reviews:
+        row(item.provider_id)["reviews"].append(
+            {
+                "id": item.id,
+                "field": item.field_name,
+                "current_value": item.current_value,
+                "suggested_value": item.suggested_value,
+                "reason": item.reason,
+                "status": item.status,
+            }
+        )
+
+    for provider_id, snap in after.items():
+        prev = before.get(provider_id)
+        pcs_moved = prev is not None and (prev.pcs != snap.pcs or prev.band != snap.band)
+        drift_moved = prev is not None and prev.drift_bucket != snap.drift_bucket
+        if not (pcs_moved or drift_moved or provider_id in rows):
+            continue
+        entry = row(provider_id)
+        entry["pcs"] = {
+            "before": prev.pcs if prev else None,
+            "after": snap.pcs,
+            "band_before": prev.band if prev else None,
+            "band_after": snap.band,
+        }
+        entry["drift"] = {
+            "before": prev.drift_score if prev else None,
+            "after": snap.drift_score,
+            "bucket_before": prev.drift_bucket if prev else None,
+            "bucket_after": snap.drift_bucket,
+        }
+
+    names = dict(db.query(Provider.id, Provider.name).filter(Provider.id.in_(list(rows))).all()) if rows else {}
+    providers = sorted(rows.values(), key=lambda r: names.get(r["provider_id"]) or "")
+    for entry in providers:
+        entry["name"] = names.get(entry["provider_id"])
+
+    return {
+        "run": _serialize_run(run),
+        "previous_run_id": previous.id if previous else None,
+        "has_snapshot": bool(after),
+        "providers": providers,
+    }
+
+
+@router.post("/{run_id}/cancel")
+def cancel_batch(run_id: int, db: Session = Depends(get_db)):
+    if not request_cancel(run_id):
+        raise HTTPException(status_code=409, detail="Run is not in progress")
+    return _serialize_run(db.query(ValidationRun).get(run_id))
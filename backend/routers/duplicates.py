@@ -0,0 +1,273 @@
+import re
+from datetime import datetime
+from difflib import SequenceMatcher
+from itertools import combinations
+from typing import Optional
+
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel
+from sqlalchemy.orm import Session
+
+from ..db import (
+    get_db,
+    AuditLog,
+    DistinctProviders,
+    Document,
+    DriftScore,
+    ManualReviewItem,
+    Provider,
+    ProviderScore,
+)
+from .manual_review import get_reviewer
+from .providers import EDITABLE_FIELDS, _edit_denied
+
+router = APIRouter(prefix="/duplicates", tags=["duplicates"])
+
+COMPARED_FIELDS = ["external_id", *EDITABLE_FIELDS]
+NAME_TITLES = re.compile(r"^(dr|doctor|prof|mr|mrs|ms)\b\.?\s*")
+# Similar-looking names alone aren't enough (Rajesh and Ramesh Kumar are two
+# doctors), so a pair needs a shared identifier, or matching names plus a
+# close address.
+SIMILAR_NAME = 0.6
+SIMILAR_ADDRESS = 0.75
+
+
+class MergeRequest(BaseModel):
+    survivor_id: int
+    merged_ids: list[int]
+    values: dict[str, Optional[str]] = {}  # surviving value per field; missing fields keep the survivor's
+
+
+class DistinctRequest(BaseModel):
+    provider_ids: list[int]
+
+
+def _name_key(name: Optional[str]) -> str:
+    text = re.sub(r"[^a-z ]", " ", (name or "").lower())
+    return NAME_TITLES.sub("", " ".join(text.split()))
+
+
+def _text_key(value: Optional[str]) -> str:
+    return " ".join(re.sub(r"[^a-z0-9]", " ", (value or "").lower()).split())
+
+
+def _similarity(a: str, b: str) -> float:
+    return SequenceMatcher(None, a, b).ratio() if a and b else 0.0
+
+
+def _names_match(a: str, b: str) -> bool:
+    """Same surname and the same given names, allowing initials ("R Verma")."""
+    ta, tb = a.split(), b.split()
+    if not ta or not tb or ta[-1] != tb[-1] or len(ta) != len(tb):
+        return False
+    return all(x == y or (min(len(x), len(y)) == 1 and x[0] == y[0]) for x, y in zip(ta[:-1], tb[:-1]))
+
+
+def _pair_signals(a: Provider, b: Provider) -> Optional[dict]:
+    """Why two providers look like the same doctor, or None if they don't."""
+    name_a, name_b = _name_key(a.name), _name_key(b.name)
+    name = _similarity(name_a, name_b)
+    same_name = _names_match(name_a, name_b)
+    address = _similarity(_text_key(a.address), _text_key(b.address))
+    phone_a, phone_b = re.sub(r"\D", "", a.phone or ""), re.sub(r"\D", "", b.phone or "")
+    same_phone = bool(phone_a) and phone_a == phone_b
+    same_license = bool(a.license_no) and _text_key(a.license_no) == _text_key(b.license_no)
+
+    likely = (
+        ((same_license or same_phone) and name >= SIMILAR_NAME)
+        or (same_license and same_phone)
+        or (same_name and address >= SIMILAR_ADDRESS)
+    )
+    if not likely:
+        return None
+
+    signals = []
+    if same_license:
+        signals.append("same license number")
+    if same_phone:
+        signals.append("same phone")
+    if same_name:
+        signals.append("matching name")
+    elif name >= SIMILAR_NAME:
+        signals.append(f"name {name:.0%} similar")
+    if address >= SIMILAR_ADDRESS:
+        signals.append(f"address {address:.0%} similar")
+    score = 0.4 * name + 0.25 * same_license + 0.2 * same_phone + 0.15 * address
+    return {"score": round(score, 3), "signals": signals}
+
+
+def _blocking_keys(p: Provider) -> set[tuple[str, str]]:
+    """Cheap keys a duplicate pair must share: every rule in _pair_signals
+    needs the same license, the same phone or the same surname."""
+    keys = set()
+    license_no = _text_key(p.license_no)
+    if license_no:
+        keys.add(("license", license_no))
+    phone = re.sub(r"\D", "", p.phone or "")
+    if phone:
+        keys.add(("phone", phone))
+    name = _name_key(p.name).split()
+    if name:
+        keys.add(("surname", name[-1]))
+    return keys
+
+
+def _candidate_pairs(providers: list[Provider]) -> list[tuple[Provider, Provider]]:
+    """Pairs sharing a blocking key, so only those get the fuzzy comparison."""
+    blocks: dict[tuple[str, str], list[Provider]] = {}
+    for p in providers:
+        for key in _blocking_keys(p):
+            blocks.setdefault(key, []).append(p)
+    pairs = {}
+    for block in blocks.values():
+        for a, b in combinations(block, 2):
+            pairs[(a.id, b.id)] = (a, b)
+    return [pairs[ids] for ids in sorted(pairs)]
+
+
+def _serialize(p: Provider) -> dict:
+    return {field: getattr(p, field) for field in ["id", *COMPARED_FIELDS]}
+
+
+def find_duplicate_groups(db: Session) -> list[dict]:
+    """Likely-duplicate providers, grouped so that A~B and B~C land together."""
+    providers = db.query(Provider).filter(Provider.merged_into_id.is_(None)).order_by(Provider.id).all()
+    distinct = {(d.provider_id, d.other_id) for d in db.query(DistinctProviders).all()}
+
+    parent = {p.id: p.id for p in providers}
+
+    def root(pid: int) -> int:
+        while parent[pid] != pid:
+            parent[pid] = parent[parent[pid]]
+            pid = parent[pid]
+        return pid
+
+    pairs = []
+    for a, b in _candidate_pairs(providers):
+        if (a.id, b.id) in distinct:
+            continue
+        signals = _pair_signals(a, b)
+        if signals:
+            pairs.append({"ids": [a.id, b.id], **signals})
+            parent[root(b.id)] = root(a.id)
+
+    by_id = {p.id: p for p in providers}
+    groups: dict[int, dict] = {}
+    for pair in pairs:
+        group = groups.setdefault(root(pair["ids"][0]), {"ids": set(), "pairs": []})
+        group["ids"].update(pair["ids"])
+        group["pairs"].append(pair)
+
+    result = [
+        {
+            "providers": [_serialize(by_id[pid]) for pid in sorted(g["ids"])],
+            "pairs": g["pairs"],
+            "score": max(p["score"] for p in g["pairs"]),
+        }
+        for g in groups.values()
+    ]
+    result.sort(key=lambda g: -g["score"])
+    return result
+
+
+def _require_editor(reviewer: str) -> None:
+    denied = _edit_denied(reviewer)
+    if denied:
+        raise HTTPException(status_code=403, detail=denied)
+
+
+@router.get("")
+def list_duplicates(db: Session = Depends(get_db)):
+    return find_duplicate_groups(db)
+
+
+@router.post("/merge")
+def merge_providers(req: MergeRequest, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    """Fold `merged_ids` into `survivor_id`.
+
+    The survivor takes the chosen value for each field (audited as a merge),
+    inherits documents it lacks, and the merged records are hidden from the
+    directory with their pending reviews closed. Nothing is deleted, so their
+    history stays reachable.
+    """
+    _require_editor(reviewer)
+    merged_ids = [pid for pid in dict.fromkeys(req.merged_ids) if pid != req.survivor_id]
+    if not merged_ids:
+        raise HTTPException(status_code=422, detail="Pick at least one provider to merge")
+    unknown = [f for f in req.values if f not in EDITABLE_FIELDS]
+    if unknown:
+        raise HTTPException(status_code=422, detail=f"Fields cannot be merged: {', '.join(unknown)}")
+
+    ids = [req.survivor_id, *merged_ids]
+    providers = {p.id: p for p in db.query(Provider).filter(Provider.id.in_(ids)).all()}
+    missing = [pid for pid in ids if pid not in providers]
+    if missing:
+        raise HTTPException(status_code=404, detail=f"Providers not found: {', '.join(map(str, missing))}")
+    already = [pid for pid in ids if providers[pid].merged_into_id]
+    if already:
+        raise HTTPException(status_code=409, detail=f"Already merged: {', '.join(map(str, already))}")
+
+    # Surviving values must come from one of the records being merged.
+    for field, value in req.values.items():
+        offered = {getattr(p, field) for p in providers.values()}
+        if value not in offered:
+            raise HTTPException(status_code=422, detail=f"{field} must be one of the merged records' values")
+    if "name" in req.values and not req.values["name"]:
+        raise HTTPException(status_code=422, detail="Name is required")
+
+    survivor = providers[req.survivor_id]
+    now = datetime.utcnow()
+    reason = f"Merged duplicate{'s' if len(merged_ids) > 1 else ''} #{', #'.join(map(str, merged_ids))}"
+    changed = []
+    for field, value in req.values.items():
+        old = getattr(survivor, field)
+        if value == old:
+            continue
+        setattr(survivor, field, value)
+        db.add(AuditLog(
+            provider_id=survivor.id,
+            field_name=field,
+            old_value=old,
+            new_value=value,
+            action="merge",
+            actor=reviewer,
+            reason=reason,
+        ))
+        changed.append(field)
+    if changed:
+        survivor.last_changed_at = now
+
+    has_document = db.query(Document).filter(Document.provider_id == survivor.id).first() is not None
+    for pid in merged_ids:
+        providers[pid].merged_into_id = survivor.id
+        if not has_document:
+            moved = db.query(Document).filter(Document.provider_id == pid).update({"provider_id": survivor.id})
+            has_document = moved > 0
+        db.query(ManualReviewItem).filter(
+            ManualReviewItem.provider_id == pid, ManualReviewItem.status == "pending"
+        ).update({"status": "rejected", "decided_by": reviewer, "decided_at": now})
+    db.query(ProviderScore).filter(ProviderScore.provider_id.in_(merged_ids)).delete(synchronize_session=False)
+    db.query(DriftScore).filter(DriftScore.provider_id.in_(merged_ids)).delete(synchronize_session=False)
+    db.commit()
+
+    return {"survivor": _serialize(survivor), "merged_ids": merged_ids, "changed": changed}
+
+
+@router.post("/distinct")
+def mark_distinct(req: DistinctRequest, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    """Record that these providers are different people."""
+    _require_editor(reviewer)
+    ids = sorted(set(req.provider_ids))
+    if len(ids) < 2:
+        raise HTTPException(status_code=422, detail="Pick at least two providers")
+    found = {pid for (pid,) in db.query(Provider.id).filter(Provider.id.in_(ids))}
+    missing = [pid for pid in ids if pid not in found]
+    if missing:
+        raise HTTPException(status_code=404, detail=f"Providers not found: {', '.join(map(str, missing))}")
+
+    existing = {(d.provider_id, d.other_id) for d in db.query(DistinctProviders).filter(DistinctProviders.provider_id.in_(ids))}
+    for a, b in combinations(ids, 2):
+        if (a, b) not in existing:
+            db.add(DistinctProviders(provider_id=a, other_id=b, decided_by=reviewer))
+    db.commit()
+    return {"status": "ok", "provider_ids": ids}
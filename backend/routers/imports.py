@@ -0,0 +1,309 @@
+import csv
+import json
+import re
+from datetime import date, datetime
+from io import BytesIO, StringIO
+from typing import Optional
+
+from fastapi import APIRouter, Depends, File, Form, HTTPException, UploadFile
+from openpyxl import load_workbook
+from sqlalchemy.exc import IntegrityError
+from sqlalchemy.orm import Session
+
+from ..db import get_db, AuditLog, Provider
+from ..utils.fields import parse_expiry, phone_error
+from .manual_review import get_reviewer
+from .providers import _edit_denied
+
+router = APIRouter(prefix="/imports", tags=["imports"])
+
+# Same columns seed_db.py reads from backend/data/providers.csv.
+IMPORT_FIELDS = [
+    "external_id", "name", "phone", "address", "specialty",
+    "license_no", "license_expiry", "affiliations",
+]
+REQUIRED_FIELDS = ("external_id", "name")
+MAX_IMPORT_BYTES = 5 * 1024 * 1024
+MAX_IMPORT_ROWS = 5000
+
+# Common spreadsheet headers for each field, already normalised by _header_key.
+HEADER_ALIASES = {
+    "external_id": {"external_id", "npi", "provider_id", "id", "ext_id"},
+    "name": {"name", "provider_name", "full_name", "provider"},
+    "phone": {"phone", "phone_number", "telephone", "tel", "contact_number", "mobile"},
+    "address": {"address", "practice_address", "location", "street_address"},
+    "specialty": {"specialty", "speciality", "specialisation", "specialization"},
+    "license_no": {"license_no", "license_number", "license", "licence_no", "licence_number", "licence"},
+    "license_expiry": {
+        "license_expiry", "license_expiration", "license_expiry_date", "expiry", "expiry_date",
+        "licence_expiry", "licence_expiry_date",
+    },
+    "affiliations": {"affiliations", "affiliation", "hospital_affiliations", "hospitals"},
+}
+
+
+def _header_key(header: str) -> str:
+    return re.sub(r"[^a-z0-9]+", "_", header.strip().lower()).strip("_")
+
+
+def _cell_text(value) -> str:
+    if value is None:
+        return ""
+    if isinstance(value, datetime):
+        return value.date().isoformat()
+    if isinstance(value, date):
+        return value.isoformat()
+    if isinstance(value, float) and value.is_integer():
+        return str(int(value))
+    return str(value).strip()
+
+
+def _read_table(upload: UploadFile) -> tuple[list[str], list[list[str]]]:
+    """Header row and data rows of an uploaded CSV or XLSX file, as text."""
+    content = upload.file.read(MAX_IMPORT_BYTES + 1)
+    if len(content) > MAX_IMPORT_BYTES:
+        raise HTTPException(status_code=413, detail="File is larger than 5 MB")
+
+    filename = (upload.filename or "").lower()
+    if filename.endswith(".xlsx"):
+        try:
+            sheet = load_workbook(BytesIO(content), read_only=True, data_only=True).active
+            table = [[_cell_text(v) for v in row] for row in sheet.iter_rows(values_only=True)]
+        except Exception:
+            raise HTTPException(status_code=400, detail="Could not read the spreadsheet")
+    elif filename.endswith(".csv"):
+        try:
+            text = content.decode("utf-8-sig")
+        except UnicodeDecodeError:
+            text = content.decode("latin-1")
+        table = [[cell.strip() for cell in row] for row in csv.reader(StringIO(text))]
+    else:
+        raise HTTPException(status_code=400, detail="Upload a .csv or .xlsx file")
+
+    table = [row for row in table if any(row)]
+    if not table:
+        raise HTTPException(status_code=400, detail="The file is empty")
+    headers = [h or f"Column {i + 1}" for i, h in enumerate(table[0])]
+    rows = table[1:]
+    if len(rows) > MAX_IMPORT_ROWS:
+        raise HTTPException(status_code=413, detail=f"Imports are limited to {MAX_IMPORT_ROWS} rows")
+    return headers, rows
+
+
+def _suggest_mapping(headers: list[str]) -> dict[str, Optional[str]]:
+    mapping = {}
+    for field in IMPORT_FIELDS:
+        match = next((h for h in headers if _header_key(h) in HEADER_ALIASES[field]), None)
+        mapping[field] = match
+    return mapping
+
+
+def _parse_json_form(raw: str, name: str):
+    try:
+        return json.loads(raw)
+    except json.JSONDecodeError:
+        raise HTTPException(status_code=422, detail=f"{name} must be JSON")
+
+
+def _parse_mapping(raw: str, headers: list[str]) -> dict[str, str]:
+    """Validated {field: header} for the fields the user mapped."""
+    mapping = _parse_json_form(raw, "mapping")
+    if not isinstance(mapping, dict):
+        raise HTTPException(status_code=422, detail="mapping must be an object")
+    unknown = [f for f in mapping if f not in IMPORT_FIELDS]
+    if unknown:
+        raise HTTPException(status_code=422, detail=f"Unknown fields: {', '.join(unknown)}")
+    mapping = {f: h for f, h in mapping.items() if h}
+    missing_headers = [h for h in mapping.values() if h not in headers]
+    if missing_headers:
+        raise HTTPException(status_code=422, detail=f"Columns not in the file: {', '.join(missing_headers)}")
+    unmapped = [f for f in REQUIRED_FIELDS if f not in mapping]
+    if unmapped:
+        raise HTTPException(status_code=422, detail=f"Map a column to: {', '.join(unmapped)}")
+    return mapping
+
+
+def _validate_rows(db: Session, headers: list[str], rows: list[list[str]], mapping: dict[str, str]) -> list[dict]:
+    """What committing each row would do: new, update, unchanged or invalid.
+
+    Blank cells mean "no value supplied" and never clear existing data.
+    Row numbers match the spreadsheet, so the header is row 1.
+    """
+    index = {h: i for i, h in enumerate(headers)}
+    records = []
+    for number, row in enumerate(rows, start=2):
+        values = {}
+        for field, header in mapping.items():
+            i = index[header]
+            values[field] = (row[i] if i < len(row) else "") or None
+        records.append((number, values))
+
+    rows_by_id: dict[str, list[int]] = {}
+    for number, values in records:
+        if values.get("external_id"):
+            rows_by_id.setdefault(values["external_id"], []).append(number)
+    existing = {
+        p.external_id: p
+        for p in db.query(Provider).filter(Provider.external_id.in_(list(rows_by_id))).all()
+    }
+
+    today = date.today()
+    results = []
+    for number, values in records:
+        errors, warnings = [], []
+        for field in REQUIRED_FIELDS:
+            if not values.get(field):
+                errors.append(f"Missing {field}")
+
+        external_id = values.get("external_id")
+        duplicates = [n for n in rows_by_id.get(external_id, []) if n != number]
+        if duplicates:
+            errors.append(f"external_id {external_id} is repeated on row {', '.join(map(str, duplicates))}")
+
+        if values.get("phone"):
+            error = phone_error(values["phone"])
+            if error:
+                errors.append(error)
+
+        if values.get("license_expiry"):
+            expiry, error = parse_expiry(values["license_expiry"])
+            if error:
+                errors.append(error)
+            elif expiry < today:
+                warnings.append(f"License expired on {expiry.isoformat()}")
+
+        provider = existing.get(external_id)
+        changes = {}
+        if provider:
+            for field, value in values.items():
+                old = getattr(provider, field)
+                if value is not None and value != old:
+                    changes[field] = {"old": old, "new": value}
+
+        if errors:
+            action = "invalid"
+        elif not provider:
+            action = "new"
+        else:
+            action = "update" if changes else "unchanged"
+
+        results.append({
+            "row": number,
+            "action": action,
+            "external_id": external_id,
+            "name": values.get("name") or (provider.name if provider else None),
+            "provider_id": provider.id if provider else None,
+            "values": values,
+            "changes": changes,
+            "errors": errors,
+            "warnings": warnings,
+        })
+    return results
+
+
+def _summary(results: list[dict]) -> dict[str, int]:
+    summary = {"new": 0, "update": 0, "unchanged": 0, "invalid": 0}
+    for r in results:
+        summary[r["action"]] += 1
+    return summary
+
+
+@router.post("/columns")
+def import_columns(file: UploadFile = File(...)):
+    """Headers of the uploaded file, a suggested column mapping and a sample."""
+    headers, rows = _read_table(file)
+    return {
+        "fields": IMPORT_FIELDS,
+        "required": list(REQUIRED_FIELDS),
+        "headers": headers,
+        "mapping": _suggest_mapping(headers),
+        "sample": rows[:5],
+        "total_rows": len(rows),
+    }
+
+
+@router.post("/preview")
+def import_preview(
+    file: UploadFile = File(...),
+    mapping: str = Form(...),
+    db: Session = Depends(get_db),
+):
+    headers, rows = _read_table(file)
+    results = _validate_rows(db, headers, rows, _parse_mapping(mapping, headers))
+    return {"summary": _summary(results), "rows": results}
+
+
+@router.post("/commit")
+def import_commit(
+    file: UploadFile = File(...),
+    mapping: str = Form(...),
+    resolutions: str = Form("{}"),
+    db: Session = Depends(get_db),
+    reviewer: str = Depends(get_reviewer),
+):
+    """Apply the import in one transaction.
+
+    `resolutions` settles conflicts per spreadsheet row:
+    {"<row>": {"skip": true}} leaves the row out, {"<row>": {"keep": ["phone"]}}
+    updates the provider but keeps its current value for those fields.
+    Invalid rows are always skipped. Needs the same access as editing a provider.
+    """
+    denied = _edit_denied(reviewer)
+    if denied:
+        raise HTTPException(status_code=403, detail=denied)
+    headers, rows = _read_table(file)
+    results = _validate_rows(db, headers, rows, _parse_mapping(mapping, headers))
+    choices = _parse_json_form(resolutions, "resolutions")
+    if not isinstance(choices, dict):
+        raise HTTPException(status_code=422, detail="resolutions must be an object")
+
+    created, updated, skipped, unchanged = [], [], 0, 0
+    now = datetime.utcnow()
+    for r in results:
+        choice = choices.get(str(r["row"])) or {}
+        if r["action"] == "invalid" or choice.get("skip"):
+            skipped += 1
+            continue
+        if r["action"] == "unchanged":
+            unchanged += 1
+            continue
+
+        if r["action"] == "new":
+            provider = Provider(**r["values"])
+            db.add(provider)
+            created.append(provider)
+            continue
+
+        keep = set(choice.get("keep") or [])
+        applied = {f: c for f, c in r["changes"].items() if f not in keep}
+        if not applied:
+            unchanged += 1
+            continue
+        provider = db.query(Provider).get(r["provider_id"])
+        for field, change in applied.items():
+            setattr(provider, field, change["new"])
+            db.add(AuditLog(
+                provider_id=provider.id,
+                field_name=field,
+                old_value=change["old"],
+                new_value=change["new"],
+                action="import",
+                actor=reviewer,
+            ))
+        provider.last_changed_at = now
+        updated.append(provider.id)
+
+    try:
+        db.commit()
+    except IntegrityError:
+        db.rollback()
+        raise HTTPException(status_code=409, detail="Another change to these providers landed first; preview again")
+
+    return {
+        "created": len(created),
+        "updated": len(updated),
+        "unchanged": unchanged,
+        "skipped": skipped,
+        "created_ids": [p.id for p in created],
+        "updated_ids": updated,
+    }
@@ -0,0 +1,154 @@
+from datetime import date, datetime
+from typing import Optional
+
+from fastapi import APIRouter, Depends, HTTPException, Query
+from pydantic import BaseModel
+from sqlalchemy.orm import Session
+
+from ..agents.legacy import STATE_BOARD
+from ..db import get_db, ManualReviewItem, Provider
+
+router = APIRouter(prefix="/licenses", tags=["licenses"])
+
+DEFAULT_WINDOW_DAYS = 90
+MAX_WINDOW_DAYS = 730
+SOON_DAYS = 30  # matches the point where License Health drops in the PCS
+
+
+class FollowUpRequest(BaseModel):
+    provider_ids: list[int]
+
+
+def _expiry(provider: Provider) -> Optional[date]:
+    try:
+        return datetime.strptime(provider.license_expiry or "", "%Y-%m-%d").date()
+    except ValueError:
+        return None
+
+
+def _board_status(provider: Provider, expiry: date) -> dict:
+    """What the state board says about the license we hold.
+
+    "confirmed" when it lists the same expiry, "renewed" when it lists a later
+    one, "differs" when its number or date disagrees otherwise, and
+    "not_listed" when the board has no record for the provider.
+    """
+    record = STATE_BOARD.get(provider.external_id) or {}
+    board_expiry = record.get("license_expiry")
+    if not record:
+        status = "not_listed"
+    elif record.get("license_no") and record["license_no"] != provider.license_no:
+        status = "differs"
+    elif board_expiry == provider.license_expiry:
+        status = "confirmed"
+    elif board_expiry and board_expiry > expiry.isoformat():
+        status = "renewed"
+    else:
+        status = "differs"
+    return {"status": status, "license_no": record.get("license_no"), "license_expiry": board_expiry}
+
+
+def expiring_licenses(db: Session, within: int, today: Optional[date] = None) -> list[dict]:
+    """Providers whose license has expired or expires within `within` days,
+    soonest first. Providers without a parseable expiry date are left out."""
+    today = today or date.today()
+    pending = {
+        item.provider_id: item.id
+        for item in db.query(ManualReviewItem).filter(
+            ManualReviewItem.field_name == "license_expiry", ManualReviewItem.status == "pending"
+        )
+    }
+    rows = []
+    for provider in db.query(Provider).filter(Provider.merged_into_id.is_(None)):
+        expiry = _expiry(provider)
+        if not expiry:
+            continue
+        days_left = (expiry - today).days
+        if days_left > within:
+            continue
+        rows.append({
+            "id": provider.id,
+            "external_id": provider.external_id,
+            "name": provider.name,
+            "specialty": provider.specialty,
+            "license_no": provider.license_no,
+            "license_expiry": provider.license_expiry,
+            "days_left": days_left,
+            "status": "expired" if days_left < 0 else "expiring",
+            "board": _board_status(provider, expiry),
+            "review_item_id": pending.get(provider.id),
+        })
+    rows.sort(key=lambda r: (r["days_left"], r["name"]))
+    return rows
+
+
+def expiry_counts(db: Session, within: int = DEFAULT_WINDOW_DAYS) -> dict:
+    rows = expiring_licenses(db, within)
+    return {
+        "window_days": within,
+        "expired": sum(1 for r in rows if r["status"] == "expired"),
+        "within_30": sum(1 for r in rows if 0 <= r["days_left"] <= SOON_DAYS),
+        "upcoming": sum(1 for r in rows if r["status"] == "expiring"),
+    }
+
+
+@router.get("/expiring")
+def list_expiring(
+    within: int = Query(DEFAULT_WINDOW_DAYS, ge=0, le=MAX_WINDOW_DAYS),
+    db: Session = Depends(get_db),
+):
+    return {"within": within, "today": date.today().isoformat(), "providers": expiring_licenses(db, within)}
+
+
+@router.post("/follow-up")
+def create_follow_ups(req: FollowUpRequest, db: Session = Depends(get_db)):
+    """Queue a license_expiry review item for each provider.
+
+    The suggestion is the state board's expiry when it shows a renewal and the
+    current value otherwise, so approving never clears the date; a reviewer
+    who confirms a renewal elsewhere overrides with the new one. Providers
+    that already have a pending license_expiry item are skipped.
+    """
+    ids = list(dict.fromkeys(req.provider_ids))
+    if not ids:
+        raise HTTPException(status_code=422, detail="Pick at least one provider")
+    providers = {p.id: p for p in db.query(Provider).filter(Provider.id.in_(ids))}
+    missing = [pid for pid in ids if pid not in providers]
+    if missing:
+        raise HTTPException(status_code=404, detail=f"Providers not found: {', '.join(map(str, missing))}")
+
+    already = {
+        item.provider_id
+        for item in db.query(ManualReviewItem).filter(
+            ManualReviewItem.provider_id.in_(ids),
+            ManualReviewItem.field_name == "license_expiry",
+            ManualReviewItem.status == "pending",
+        )
+    }
+    today = date.today()
+    created, skipped = [], []
+    for pid in ids:
+        provider = providers[pid]
+        expiry = _expiry(provider)
+        if pid in already or not expiry:
+            skipped.append(pid)
+            continue
+        board = _board_status(provider, expiry)
+        days_left = (expiry - today).days
+        if days_left < 0:
+            reason = f"License expired on {expiry.isoformat()}"
+        else:
+            reason = f"License expires on {expiry.isoformat()} ({days_left} days)"
+        if board["status"] == "renewed":
+            reason += f"; state board lists {board['license_expiry']}"
+        item = ManualReviewItem(
+            provider_id=pid,
+            field_name="license_expiry",
+            current_value=provider.license_expiry,
+            suggested_value=board["license_expiry"] if board["status"] == "renewed" else provider.license_expiry,
+            reason=f"{reason} — follow up",
+        )
+        db.add(item)
+        created.append(item)
+    db.commit()
+    return {"created": [{"id": i.id, "provider_id": i.provider_id} for i in created], "skipped": skipped}
@@ -1,101 +1,183 @@
-from fastapi import APIRouter, Depends, HTTPException
+from datetime import datetime, timedelta
+
+from fastapi import APIRouter, Depends, Header, HTTPException
 from sqlalchemy.orm import Session
 
 from ..db import get_db, ManualReviewItem, Provider, AuditLog
 
 router = APIRouter(prefix="/manual-review", tags=["manual_review"])
 
+UNDO_WINDOW = timedelta(minutes=10)
+DEFAULT_REVIEWER = "human_reviewer"
+RESOLVED_STATUSES = ("approved", "rejected", "overridden")
 
-@router.get("")
-async def list_manual_review(db: Session = Depends(get_db)):
-    items = db.query(ManualReviewItem).order_by(ManualReviewItem.created_at.desc()).all()
-    return [
-        {
-            "id": i.id,
-            "provider_id": i.provider_id,
-            "field_name": i.field_name,
-            "current_value": i.current_value,
-            "suggested_value": i.suggested_value,
-            "reason": i.reason,
-            "status": i.status,
-            "created_at": i.created_at,
-        }
-        for i in items
-    ]
 
+def get_reviewer(x_reviewer: str | None = Header(default=None)) -> str:
+    return (x_reviewer or "").strip() or DEFAULT_REVIEWER
 
-@router.post("/{item_id}/approve")
-async def approve_manual_review(item_id: int, db: Session = Depends(get_db)):
-    item = db.query(ManualReviewItem).get(item_id)
-    if not item:
-        raise HTTPException(status_code=404, detail="Item not found")
-    provider = db.query(Provider).get(item.provider_id)
-    if not provider:
-        raise HTTPException(status_code=404, detail="Provider not found")
 
-    old = getattr(provider, item.field_name)
-    setattr(provider, item.field_name, item.suggested_value)
-    item.status = "approved"
+def _serialize(i: ManualReviewItem) -> dict:
+    return {
+        "id": i.id,
+        "provider_id": i.provider_id,
+        "field_name": i.field_name,
+        "current_value": i.current_value,
+        "suggested_value": i.suggested_value,
+        "reason": i.reason,
+        "status": i.status,
+        "created_at": i.created_at,
+        "decided_at": i.decided_at,
+        "decided_by": i.decided_by,
+        "resolved_value": i.resolved_value,
+        "undo_seconds_left": _undo_seconds_left(i),
+    }
 
-    log = AuditLog(
-        provider_id=provider.id,
-        field_name=item.field_name,
-        old_value=str(old) if old is not None else None,
-        new_value=str(item.suggested_value) if item.suggested_value is not None else None,
-        action="manual_approve",
-        actor="human_reviewer",
-    )
-    db.add(log)
-    db.commit()
 
-    return {"status": "ok"}
+def _undo_seconds_left(i: ManualReviewItem) -> int:
+    if not i.decided_at:
+        return 0
+    remaining = (i.decided_at + UNDO_WINDOW - datetime.utcnow()).total_seconds()
+    return max(0, int(remaining))
 
 
-@router.post("/{item_id}/override")
-async def override_manual_review(item_id: int, value: str, db: Session = Depends(get_db)):
+def _get_pending_item(db: Session, item_id: int) -> ManualReviewItem:
     item = db.query(ManualReviewItem).get(item_id)
     if not item:
         raise HTTPException(status_code=404, detail="Item not found")
+    if item.status != "pending":
+        raise HTTPException(status_code=409, detail=f"Item already {item.status}")
+    return item
+
+
+def _apply_value(db: Session, item: ManualReviewItem, value: str | None, status: str, action: str, reviewer: str) -> dict:
     provider = db.query(Provider).get(item.provider_id)
     if not provider:
         raise HTTPException(status_code=404, detail="Provider not found")
 
     old = getattr(provider, item.field_name)
     setattr(provider, item.field_name, value)
-    item.status = "overridden"
+    item.status = status
+    item.previous_value = str(old) if old is not None else None
+    item.resolved_value = value
+    item.decided_at = datetime.utcnow()
+    item.decided_by = reviewer
 
     log = AuditLog(
         provider_id=provider.id,
         field_name=item.field_name,
         old_value=str(old) if old is not None else None,
         new_value=str(value) if value is not None else None,
-        action="manual_override",
-        actor="human_reviewer",
+        action=action,
+        actor=reviewer,
     )
     db.add(log)
     db.commit()
 
-    return {"status": "ok"}
+    return {"status": "ok", "item": _serialize(item)}
+
+
+@router.get("")
+async def list_manual_review(db: Session = Depends(get_db)):
+    items = db.query(ManualReviewItem).order_by(ManualReviewItem.created_at.desc()).all()
+    return [_serialize(i) for i in items]
+
+
+@router.get("/history")
+async def review_history(
+    provider_id: int | None = None,
+    field: str | None = None,
+    status: str | None = None,
+    limit: int = 200,
+    db: Session = Depends(get_db),
+):
+    """Resolved review items, most recent decision first."""
+    query = db.query(ManualReviewItem).filter(ManualReviewItem.status.in_(RESOLVED_STATUSES))
+    if provider_id is not None:
+        query = query.filter(ManualReviewItem.provider_id == provider_id)
+    if field:
+        query = query.filter(ManualReviewItem.field_name == field)
+    if status:
+        query = query.filter(ManualReviewItem.status == status)
+    items = (
+        query.order_by(ManualReviewItem.decided_at.desc(), ManualReviewItem.id.desc())
+        .limit(limit)
+        .all()
+    )
+    return [_serialize(i) for i in items]
+
+
+@router.post("/{item_id}/approve")
+async def approve_manual_review(item_id: int, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    item = _get_pending_item(db, item_id)
+    return _apply_value(db, item, item.suggested_value, "approved", "manual_approve", reviewer)
+
+
+@router.post("/{item_id}/override")
+async def override_manual_review(item_id: int, value: str, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    item = _get_pending_item(db, item_id)
+    return _apply_value(db, item, value, "overridden", "manual_override", reviewer)
 
 
 @router.post("/{item_id}/reject")
-async def reject_manual_review(item_id: int, db: Session = Depends(get_db)):
-    item = db.query(ManualReviewItem).get(item_id)
-    if not item:
-        raise HTTPException(status_code=404, detail="Item not found")
-    
+async def reject_manual_review(item_id: int, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    item = _get_pending_item(db, item_id)
+
     # Rejecting means we keep the current value (or do nothing) and mark as rejected
     item.status = "rejected"
-    
+    item.resolved_value = item.current_value
+    item.decided_at = datetime.utcnow()
+    item.decided_by = reviewer
+
     log = AuditLog(
         provider_id=item.provider_id,
         field_name=item.field_name,
         old_value=item.current_value,
         new_value=item.current_value, # No change
         action="manual_reject",
-        actor="human_reviewer",
+        actor=reviewer,
     )
     db.add(log)
     db.commit()
 
-    return {"status": "ok"}
+    return {"status": "ok", "item": _serialize(item)}
+
+
+@router.post("/{item_id}/undo")
+async def undo_manual_review(item_id: int, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    """Return a decided item to the queue, restoring the provider value it replaced."""
+    item = db.query(ManualReviewItem).get(item_id)
+    if not item:
+        raise HTTPException(status_code=404, detail="Item not found")
+    if item.status not in RESOLVED_STATUSES:
+        raise HTTPException(status_code=409, detail="Only decided items can be undone")
+    if _undo_seconds_left(item) <= 0:
+        raise HTTPException(status_code=409, detail="The undo window for this decision has passed")
+
+    old = restored = item.current_value
+    if item.status in ("approved", "overridden"):
+        provider = db.query(Provider).get(item.provider_id)
+        if provider:
+            current = getattr(provider, item.field_name)
+            old = str(current) if current is not None else None
+            restored = item.previous_value
+            setattr(provider, item.field_name, restored)
+
+    db.add(
+        AuditLog(
+            provider_id=item.provider_id,
+            field_name=item.field_name,
+            old_value=old,
+            new_value=restored,
+            action=f"undo_{item.status}",
+            actor=reviewer,
+        )
+    )
+
+    item.status = "pending"
+    item.decided_at = None
+    item.decided_by = None
+    item.previous_value = None
+    item.resolved_value = None
+    db.commit()
+
+    return {"status": "ok", "item": _serialize(item), "restored_value": restored}
@@ -1,4 +1,13 @@
-from fastapi import APIRouter, Depends, HTTPException
+import os
+from datetime import date, datetime, timedelta
+
+from pathlib import Path
+from typing import Optional
+
+from fastapi import APIRouter, Depends, HTTPException, Query
+from fastapi.responses import FileResponse
+from pydantic import BaseModel
+from sqlalchemy import case, func, or_
 from sqlalchemy.orm import Session
 
 from ..db import (
@@ -9,26 +18,91 @@ from ..db import (
     FieldConfidence,
     AuditLog,
     Document,
+    ManualReviewItem,
 )
-from ..agents import InformationEnrichmentAgent
+from ..agents import InformationEnrichmentAgent, field_evidence, locate_ocr_fields, manual_values
+from ..utils.fields import parse_expiry, phone_error
+from .manual_review import DEFAULT_REVIEWER, get_reviewer
 
 router = APIRouter(prefix="/providers", tags=["providers"])
 
+HISTORY_FIELDS = ["phone", "address", "specialty", "license_no", "license_expiry"]
+EDITABLE_FIELDS = ["name", "phone", "address", "specialty", "license_no", "license_expiry", "affiliations"]
+
+# Comma-separated reviewer names allowed to edit providers directly; when
+# unset, any reviewer who has entered a name may edit. The name is the
+# client-supplied X-Reviewer header, so this narrows attribution rather than
+# authenticating anyone.
+PROVIDER_EDITORS = {n.strip() for n in os.getenv("PROVIDER_EDITORS", "").split(",") if n.strip()}
+
+# The seed data's "Demo Provider" row; it backs the live NPI lookup demo and is
+# kept out of the directory listing.
+PLACEHOLDER_EXTERNAL_ID = "1679576722"
+LIST_SORTS = ("name", "pcs", "drift")
+DRIFT_RANK = case({"Low": 0, "Medium": 1, "High": 2}, value=DriftScore.bucket, else_=-1)
+
+
+class ProviderEdit(BaseModel):
+    fields: dict[str, Optional[str]]
+    reason: str
+
+
+def _edit_denied(reviewer: str) -> Optional[str]:
+    if reviewer == DEFAULT_REVIEWER:
+        return "Enter your reviewer name to edit providers"
+    if PROVIDER_EDITORS and reviewer not in PROVIDER_EDITORS:
+        return f"{reviewer} is not allowed to edit providers"
+    return None
+
+
+def _edit_error(field: str, value: Optional[str]) -> Optional[str]:
+    if field not in EDITABLE_FIELDS:
+        return f"{field} cannot be edited"
+    if not value:
+        return "Name is required" if field == "name" else None
+    if field == "phone":
+        return phone_error(value)
+    if field == "license_expiry":
+        return parse_expiry(value)[1]
+    return None
+
 
 @router.get("/{provider_id}/ocr")
 async def get_provider_ocr(provider_id: int, db: Session = Depends(get_db)):
     doc = db.query(Document).filter(Document.provider_id == provider_id).first()
     if not doc:
         return {"exists": False}
+    provider = db.query(Provider).get(provider_id)
+    has_image = bool(doc.path) and Path(doc.path).exists()
     return {
         "exists": True,
         "doc_type": doc.doc_type,
         "ocr_text": doc.ocr_text,
         "ocr_confidence": doc.ocr_confidence,
-        "path": doc.path
+        "path": doc.path,
+        "image_url": f"/providers/{provider_id}/ocr/image" if has_image else None,
+        "image_width": doc.image_width,
+        "image_height": doc.image_height,
+        "fields": locate_ocr_fields(doc, provider),
     }
 
 
+@router.get("/{provider_id}/ocr/image")
+async def get_provider_ocr_image(provider_id: int, db: Session = Depends(get_db)):
+    doc = db.query(Document).filter(Document.provider_id == provider_id).first()
+    if not doc or not doc.path or not Path(doc.path).exists():
+        raise HTTPException(status_code=404, detail="Document image not found")
+    return FileResponse(doc.path)
+
+
+@router.get("/{provider_id}/evidence")
+async def get_provider_evidence(provider_id: int, db: Session = Depends(get_db)):
+    provider = db.query(Provider).get(provider_id)
+    if not provider:
+        raise HTTPException(status_code=404, detail="Provider not found")
+    return field_evidence(db, provider.id)
+
+
 @router.get("/{provider_id}/details")
 async def get_provider_details(provider_id: int, db: Session = Depends(get_db)):
     # This endpoint aggregates everything for the detail page
@@ -68,7 +142,10 @@ async def get_provider_details(provider_id: int, db: Session = Depends(get_db)):
             "specialty": provider.specialty,
             "license_no": provider.license_no,
             "license_expiry": provider.license_expiry,
+            "affiliations": provider.affiliations,
+            "merged_into_id": provider.merged_into_id,
         },
+        "manual_fields": sorted(manual_values(db, provider)),
         "validation": validation_data,
         "pcs": {
             "score": score.pcs if score else 0,
@@ -93,29 +170,168 @@ async def get_provider_details(provider_id: int, db: Session = Depends(get_db)):
     }
 
 
+def _split(value: Optional[str]) -> list[str]:
+    return [v for v in (value or "").split(",") if v]
+
+
+def _digits(column):
+    for ch in "-() +.":
+        column = func.replace(column, ch, "")
+    return column
+
+
 @router.get("")
-def list_providers(db: Session = Depends(get_db)):
-    rows = (
+def list_providers(
+    q: Optional[str] = None,
+    band: Optional[str] = None,
+    drift: Optional[str] = None,
+    pcs_min: Optional[float] = None,
+    pcs_max: Optional[float] = None,
+    specialty: Optional[str] = None,
+    expiring_within: Optional[int] = Query(None, ge=1),
+    sort: Optional[str] = None,
+    dir: str = "asc",
+    limit: Optional[int] = Query(None, ge=1, le=500),
+    offset: int = Query(0, ge=0),
+    db: Session = Depends(get_db),
+):
+    """Directory rows matching the filters, as `{total, items}`.
+
+    `band` and `drift` take comma-separated values. A PCS range includes
+    `pcs_min` and excludes `pcs_max`, except that a range ending at 100
+    includes 100 (the /stats buckets). Without `limit` every match is returned.
+    """
+    query = (
         db.query(Provider, ProviderScore, DriftScore)
         .outerjoin(ProviderScore, ProviderScore.provider_id == Provider.id)
         .outerjoin(DriftScore, DriftScore.provider_id == Provider.id)
-        .all()
+        .filter(Provider.merged_into_id.is_(None))
+        .filter(or_(Provider.external_id.is_(None), Provider.external_id != PLACEHOLDER_EXTERNAL_ID))
     )
-    return [
-        {
-            "id": provider.id,
-            "external_id": provider.external_id,
-            "name": provider.name,
-            "specialty": provider.specialty,
-            "phone": provider.phone,
-            "address": provider.address,
-            "pcs": score.pcs if score else None,
-            "pcs_band": score.band if score else None,
-            "drift_score": drift.score if drift else None,
-            "drift_bucket": drift.bucket if drift else None,
-        }
-        for (provider, score, drift) in rows
-    ]
+
+    term = (q or "").strip().lower()
+    if term:
+        pattern = f"%{term}%"
+        matches = [
+            func.lower(Provider.name).like(pattern),
+            func.lower(Provider.specialty).like(pattern),
+            func.lower(Provider.license_no).like(pattern),
+            func.lower(Provider.phone).like(pattern),
+        ]
+        digits = "".join(ch for ch in term if ch.isdigit())
+        if len(digits) >= 3:
+            matches.append(_digits(Provider.phone).like(f"%{digits}%"))
+        query = query.filter(or_(*matches))
+    if _split(band):
+        query = query.filter(ProviderScore.band.in_(_split(band)))
+    if _split(drift):
+        query = query.filter(DriftScore.bucket.in_(_split(drift)))
+    if pcs_min is not None:
+        query = query.filter(ProviderScore.pcs >= pcs_min)
+    if pcs_max is not None:
+        query = query.filter(ProviderScore.pcs <= pcs_max if pcs_max >= 100 else ProviderScore.pcs < pcs_max)
+    if specialty and specialty.strip():
+        query = query.filter(func.lower(Provider.specialty) == specialty.strip().lower())
+    if expiring_within:
+        # Expiry dates are stored as YYYY-MM-DD, so they compare as text.
+        cutoff = (date.today() + timedelta(days=expiring_within)).isoformat()
+        query = query.filter(Provider.license_expiry.isnot(None), Provider.license_expiry <= cutoff)
+
+    if sort not in LIST_SORTS:
+        sort = None
+    order = {
+        "name": [func.lower(Provider.name)],
+        "pcs": [func.coalesce(ProviderScore.pcs, -1)],
+        "drift": [DRIFT_RANK, func.coalesce(DriftScore.score, 0)],
+        None: [],
+    }[sort] + [Provider.id]
+    if dir == "desc":
+        order = [o.desc() for o in order]
+
+    total = query.count()
+    query = query.order_by(*order).offset(offset)
+    if limit is not None:
+        query = query.limit(limit)
+    return {
+        "total": total,
+        "items": [
+            {
+                "id": provider.id,
+                "external_id": provider.external_id,
+                "name": provider.name,
+                "specialty": provider.specialty,
+                "phone": provider.phone,
+                "address": provider.address,
+                "license_no": provider.license_no,
+                "license_expiry": provider.license_expiry,
+                "pcs": score.pcs if score else None,
+                "pcs_band": score.band if score else None,
+                "drift_score": drift.score if drift else None,
+                "drift_bucket": drift.bucket if drift else None,
+            }
+            for (provider, score, drift) in query.all()
+        ],
+    }
+
+
+@router.get("/edit-access")
+async def get_edit_access(reviewer: str = Depends(get_reviewer)):
+    denied = _edit_denied(reviewer)
+    return {"allowed": denied is None, "reason": denied, "fields": EDITABLE_FIELDS}
+
+
+@router.patch("/{provider_id}")
+def edit_provider(
+    provider_id: int,
+    edit: ProviderEdit,
+    db: Session = Depends(get_db),
+    reviewer: str = Depends(get_reviewer),
+):
+    """Change provider fields directly. Each change is audited as a
+    manual_edit with the reviewer's reason and becomes the "manual" source
+    the next validation run weighs against the external sources."""
+    denied = _edit_denied(reviewer)
+    if denied:
+        raise HTTPException(status_code=403, detail=denied)
+    reason = edit.reason.strip()
+    if not reason:
+        raise HTTPException(status_code=422, detail="A reason is required")
+
+    provider = db.query(Provider).get(provider_id)
+    if not provider:
+        raise HTTPException(status_code=404, detail="Provider not found")
+
+    values = {f: (v or "").strip() or None for f, v in edit.fields.items()}
+    errors = {f: e for f, e in ((f, _edit_error(f, v)) for f, v in values.items()) if e}
+    if errors:
+        raise HTTPException(status_code=422, detail="; ".join(f"{f}: {e}" for f, e in errors.items()))
+
+    changed = []
+    now = datetime.utcnow()
+    for field, value in values.items():
+        old = getattr(provider, field)
+        if value == old:
+            continue
+        setattr(provider, field, value)
+        db.add(AuditLog(
+            provider_id=provider.id,
+            field_name=field,
+            old_value=old,
+            new_value=value,
+            action="manual_edit",
+            actor=reviewer,
+            reason=reason,
+        ))
+        changed.append(field)
+    if changed:
+        provider.last_changed_at = now
+        provider.last_verified_at = now
+    db.commit()
+
+    return {
+        "changed": changed,
+        "provider": {field: getattr(provider, field) for field in ["id", "external_id", *EDITABLE_FIELDS]},
+    }
 
 
 @router.get("/{provider_id}")
@@ -161,6 +377,7 @@ async def get_provider(provider_id: int, db: Session = Depends(get_db)):
                 "new_value": l.new_value,
                 "action": l.action,
                 "actor": l.actor,
+                "reason": l.reason,
                 "created_at": l.created_at,
             }
             for l in logs
@@ -190,3 +407,87 @@ async def get_provider_qa(provider_id: int, db: Session = Depends(get_db)):
         }
         for c in confs
     ]
+
+
+@router.get("/{provider_id}/history")
+async def get_provider_history(provider_id: int, db: Session = Depends(get_db)):
+    """Per-field timeline: confidence at every check, every value change
+    (automatic or reviewer decision) and every item sent to manual review."""
+    provider = db.query(Provider).get(provider_id)
+    if not provider:
+        raise HTTPException(status_code=404, detail="Provider not found")
+
+    confs = (
+        db.query(FieldConfidence)
+        .filter(FieldConfidence.provider_id == provider.id)
+        .order_by(FieldConfidence.created_at)
+        .all()
+    )
+    logs = db.query(AuditLog).filter(AuditLog.provider_id == provider.id).all()
+    reviews = db.query(ManualReviewItem).filter(ManualReviewItem.provider_id == provider.id).all()
+
+    # The check behind a change or review, for its sources and confidence.
+    by_run = {(c.run_id, c.field_name): c for c in confs if c.run_id is not None}
+
+    def evidence(run_id, field):
+        check = by_run.get((run_id, field))
+        return {
+            "sources": check.sources if check else None,
+            "confidence": check.confidence if check else None,
+        }
+
+    fields = []
+    for field in HISTORY_FIELDS:
+        events = [
+            {
+                "kind": "change",
+                "at": log.created_at,
+                "action": log.action,
+                "actor": log.actor,
+                "reason": log.reason,
+                "old_value": log.old_value,
+                "new_value": log.new_value,
+                "run_id": log.run_id,
+                **evidence(log.run_id, field),
+            }
+            for log in logs
+            if log.field_name == field
+        ]
+        events += [
+            {
+                "kind": "review",
+                "at": item.created_at,
+                "id": item.id,
+                "status": item.status,
+                "old_value": item.current_value,
+                "new_value": item.suggested_value,
+                "reason": item.reason,
+                "decided_by": item.decided_by,
+                "decided_at": item.decided_at,
+                "run_id": item.run_id,
+                **evidence(item.run_id, field),
+            }
+            for item in reviews
+            if item.field_name == field
+        ]
+        events.sort(key=lambda e: e["at"] or datetime.min)
+
+        fields.append(
+            {
+                "field": field,
+                "current_value": getattr(provider, field),
+                "checks": [
+                    {
+                        "at": c.created_at,
+                        "run_id": c.run_id,
+                        "confidence": c.confidence,
+                        "sources": c.sources,
+                        "value": c.value,
+                    }
+                    for c in confs
+                    if c.field_name == field
+                ],
+                "events": events,
+            }
+        )
+    return fields
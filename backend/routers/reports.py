@@ -1,14 +1,53 @@
-from io import BytesIO
+import csv
+import json
+import re
+from datetime import datetime
+from io import BytesIO, StringIO
+from typing import Literal, Optional
 
-from fastapi import APIRouter, Depends, Response
-from reportlab.lib.pagesizes import A4
+from fastapi import APIRouter, Depends, HTTPException, Response
+from openpyxl import Workbook
+from pydantic import BaseModel
+from reportlab.lib.pagesizes import A4, landscape
 from reportlab.pdfgen import canvas
 from sqlalchemy.orm import Session
 
-from ..db import get_db, ValidationRun, ProviderScore, DriftScore
+from ..db import (
+    get_db,
+    AuditLog,
+    FieldConfidence,
+    ManualReviewItem,
+    Provider,
+    ValidationRun,
+    ProviderScore,
+    DriftScore,
+)
 
 router = APIRouter(prefix="/reports", tags=["reports"])
 
+EXPORT_MEDIA_TYPES = {
+    "pdf": "application/pdf",
+    "csv": "text/csv; charset=utf-8",
+    "xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "json": "application/json",
+}
+
+# Characters Excel (and openpyxl) refuse in a sheet name.
+SHEET_NAME_INVALID = re.compile(r"[\\/?*\[\]:]")
+
+PROVIDER_COLUMNS = [
+    "id", "external_id", "name", "specialty", "phone", "address",
+    "license_no", "license_expiry", "pcs", "band", "drift_score", "drift_bucket",
+]
+
+
+class ExportRequest(BaseModel):
+    scope: Literal["directory", "providers", "provider", "run", "reviews"]
+    format: Literal["pdf", "csv", "xlsx", "json"]
+    provider_ids: list[int] = []  # scope "providers": the filtered list on screen
+    provider_id: Optional[int] = None  # scope "provider"
+    run_id: Optional[int] = None  # scope "run"
+
 
 @router.get("/latest", response_class=Response)
 async def latest_report(db: Session = Depends(get_db)) -> Response:
@@ -82,3 +121,228 @@ async def latest_report(db: Session = Depends(get_db)) -> Response:
     buffer.close()
 
     return Response(content=pdf_bytes, media_type="application/pdf")
+
+
+def _provider_rows(db: Session, ids: Optional[list[int]] = None) -> list[dict]:
+    query = (
+        db.query(Provider, ProviderScore, DriftScore)
+        .outerjoin(ProviderScore, ProviderScore.provider_id == Provider.id)
+        .outerjoin(DriftScore, DriftScore.provider_id == Provider.id)
+    )
+    if ids is not None:
+        query = query.filter(Provider.id.in_(ids))
+    else:
+        query = query.filter(Provider.merged_into_id.is_(None))
+    return [
+        {
+            "id": p.id,
+            "external_id": p.external_id,
+            "name": p.name,
+            "specialty": p.specialty,
+            "phone": p.phone,
+            "address": p.address,
+            "license_no": p.license_no,
+            "license_expiry": p.license_expiry,
+            "pcs": round(score.pcs, 1) if score and score.pcs is not None else None,
+            "band": score.band if score else None,
+            "drift_score": round(drift.score, 3) if drift and drift.score is not None else None,
+            "drift_bucket": drift.bucket if drift else None,
+        }
+        for p, score, drift in query.order_by(Provider.id).all()
+    ]
+
+
+def _single_provider_rows(db: Session, provider_id: int) -> tuple[str, list[str], list[dict]]:
+    provider = db.query(Provider).get(provider_id)
+    if not provider:
+        raise HTTPException(status_code=404, detail="Provider not found")
+
+    latest = {}
+    for c in (
+        db.query(FieldConfidence)
+        .filter(FieldConfidence.provider_id == provider_id)
+        .order_by(FieldConfidence.created_at)
+        .all()
+    ):
+        latest[c.field_name] = c
+    pending = {
+        i.field_name: i
+        for i in db.query(ManualReviewItem).filter(
+            ManualReviewItem.provider_id == provider_id, ManualReviewItem.status == "pending"
+        )
+    }
+
+    rows = []
+    for field in ["name", "specialty", "phone", "address", "license_no", "license_expiry"]:
+        check = latest.get(field)
+        review = pending.get(field)
+        rows.append({
+            "field": field,
+            "value": getattr(provider, field),
+            "confidence": round(check.confidence, 2) if check and check.confidence is not None else None,
+            "sources": ", ".join(check.sources or []) if check else None,
+            "pending_suggestion": review.suggested_value if review else None,
+        })
+    columns = ["field", "value", "confidence", "sources", "pending_suggestion"]
+    return f"Provider #{provider.id} {provider.name}", columns, rows
+
+
+def _run_rows(db: Session, run_id: int) -> tuple[str, list[str], list[dict]]:
+    run = db.query(ValidationRun).get(run_id)
+    if not run:
+        raise HTTPException(status_code=404, detail="Run not found")
+
+    names = dict(db.query(Provider.id, Provider.name).all())
+    rows = [
+        {
+            "provider_id": a.provider_id,
+            "provider": names.get(a.provider_id),
+            "field": a.field_name,
+            "outcome": "auto_update",
+            "old_value": a.old_value,
+            "new_value": a.new_value,
+            "status": "applied",
+        }
+        for a in db.query(AuditLog).filter(AuditLog.run_id == run_id).all()
+    ] + [
+        {
+            "provider_id": i.provider_id,
+            "provider": names.get(i.provider_id),
+            "field": i.field_name,
+            "outcome": "manual_review",
+            "old_value": i.current_value,
+            "new_value": i.suggested_value,
+            "status": i.status,
+        }
+        for i in db.query(ManualReviewItem).filter(ManualReviewItem.run_id == run_id).all()
+    ]
+    rows.sort(key=lambda r: (r["provider"] or "", r["field"] or ""))
+    columns = ["provider_id", "provider", "field", "outcome", "old_value", "new_value", "status"]
+    return f"Batch run #{run.id} ({run.run_type})", columns, rows
+
+
+def _review_rows(db: Session) -> tuple[str, list[str], list[dict]]:
+    names = dict(db.query(Provider.id, Provider.name).all())
+    rows = [
+        {
+            "id": i.id,
+            "provider_id": i.provider_id,
+            "provider": names.get(i.provider_id),
+            "field": i.field_name,
+            "current_value": i.current_value,
+            "suggested_value": i.suggested_value,
+            "reason": i.reason,
+            "created_at": i.created_at.isoformat() if i.created_at else None,
+        }
+        for i in (
+            db.query(ManualReviewItem)
+            .filter(ManualReviewItem.status == "pending")
+            .order_by(ManualReviewItem.created_at)
+            .all()
+        )
+    ]
+    columns = ["id", "provider_id", "provider", "field", "current_value", "suggested_value", "reason", "created_at"]
+    return "Pending manual review queue", columns, rows
+
+
+def _export_table(db: Session, req: ExportRequest) -> tuple[str, list[str], list[dict]]:
+    if req.scope == "directory":
+        return "Provider directory", PROVIDER_COLUMNS, _provider_rows(db)
+    if req.scope == "providers":
+        if not req.provider_ids:
+            raise HTTPException(status_code=422, detail="provider_ids is required for the 'providers' scope")
+        return "Filtered provider list", PROVIDER_COLUMNS, _provider_rows(db, req.provider_ids)
+    if req.scope == "provider":
+        if req.provider_id is None:
+            raise HTTPException(status_code=422, detail="provider_id is required for the 'provider' scope")
+        return _single_provider_rows(db, req.provider_id)
+    if req.scope == "run":
+        if req.run_id is None:
+            raise HTTPException(status_code=422, detail="run_id is required for the 'run' scope")
+        return _run_rows(db, req.run_id)
+    return _review_rows(db)
+
+
+def _to_csv(columns: list[str], rows: list[dict]) -> bytes:
+    out = StringIO()
+    writer = csv.DictWriter(out, fieldnames=columns, extrasaction="ignore")
+    writer.writeheader()
+    writer.writerows(rows)
+    # BOM so Excel opens the file as UTF-8
+    return ("\ufeff" + out.getvalue()).encode("utf-8")
+
+
+def _to_xlsx(title: str, columns: list[str], rows: list[dict]) -> bytes:
+    wb = Workbook()
+    ws = wb.active
+    ws.title = SHEET_NAME_INVALID.sub("-", title)[:31]  # Excel's sheet name limit
+    ws.append(columns)
+    for row in rows:
+        ws.append([row.get(c) for c in columns])
+    buffer = BytesIO()
+    wb.save(buffer)
+    return buffer.getvalue()
+
+
+def _to_pdf(title: str, columns: list[str], rows: list[dict]) -> bytes:
+    buffer = BytesIO()
+    c = canvas.Canvas(buffer, pagesize=landscape(A4))
+    width, height = landscape(A4)
+    margin = 30
+    col_width = (width - 2 * margin) / len(columns)
+    max_chars = max(4, int(col_width / 4.6))
+
+    def cell(value) -> str:
+        text = "" if value is None else str(value)
+        return text if len(text) <= max_chars else text[: max_chars - 1] + "…"
+
+    def header(y: float) -> float:
+        c.setFont("Helvetica-Bold", 8)
+        for i, col in enumerate(columns):
+            c.drawString(margin + i * col_width, y, cell(col))
+        c.line(margin, y - 4, width - margin, y - 4)
+        c.setFont("Helvetica", 8)
+        return y - 16
+
+    y = height - 40
+    c.setFont("Helvetica-Bold", 14)
+    c.drawString(margin, y, title)
+    y -= 18
+    c.setFont("Helvetica", 9)
+    c.drawString(margin, y, f"Generated {datetime.utcnow():%Y-%m-%d %H:%M} UTC · {len(rows)} rows")
+    y = header(y - 24)
+
+    for row in rows:
+        if y < margin:
+            c.showPage()
+            y = header(height - 40)
+        for i, col in enumerate(columns):
+            c.drawString(margin + i * col_width, y, cell(row.get(col)))
+        y -= 12
+
+    c.showPage()
+    c.save()
+    return buffer.getvalue()
+
+
+@router.post("/export", response_class=Response)
+def export_report(req: ExportRequest, db: Session = Depends(get_db)) -> Response:
+    """Exports one scope of data (directory, filtered providers, a provider,
+    a batch run or the pending review queue) as PDF, CSV, XLSX or JSON."""
+    title, columns, rows = _export_table(db, req)
+
+    if req.format == "csv":
+        content = _to_csv(columns, rows)
+    elif req.format == "xlsx":
+        content = _to_xlsx(title, columns, rows)
+    elif req.format == "json":
+        content = json.dumps({"title": title, "columns": columns, "rows": rows}, default=str).encode("utf-8")
+    else:
+        content = _to_pdf(title, columns, rows)
+
+    filename = f"{req.scope}_{datetime.utcnow():%Y-%m-%d}.{req.format}"
+    return Response(
+        content=content,
+        media_type=EXPORT_MEDIA_TYPES[req.format],
+        headers={"Content-Disposition": f'attachment; filename="{filename}"'},
+    )
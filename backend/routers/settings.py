@@ -0,0 +1,144 @@
+import os
+from datetime import datetime
+from typing import Optional
+
+from fastapi import APIRouter, Depends, HTTPException
+from pydantic import BaseModel
+from sqlalchemy.orm import Session
+
+from ..db import get_db, AuditLog, FieldConfidence, FieldPolicy, ManualReviewItem
+from ..policy import DEFAULT_THRESHOLD, POLICY_FIELDS, get_thresholds
+from .manual_review import DEFAULT_REVIEWER, get_reviewer
+
+router = APIRouter(prefix="/settings", tags=["settings"])
+
+# Comma-separated reviewer names allowed to change the policy; anyone named may when unset.
+# Like PROVIDER_EDITORS this trusts the X-Reviewer header: a placeholder, not access control.
+POLICY_ADMINS = {n.strip() for n in os.getenv("POLICY_ADMINS", "").split(",") if n.strip()}
+
+
+class ThresholdsRequest(BaseModel):
+    thresholds: dict[str, float]
+
+
+def _admin_denied(reviewer: str) -> Optional[str]:
+    if reviewer == DEFAULT_REVIEWER:
+        return "Enter your reviewer name to change settings"
+    if POLICY_ADMINS and reviewer not in POLICY_ADMINS:
+        return f"{reviewer} is not allowed to change settings"
+    return None
+
+
+def _check_thresholds(thresholds: dict[str, float]) -> None:
+    unknown = [f for f in thresholds if f not in POLICY_FIELDS]
+    if unknown:
+        raise HTTPException(status_code=422, detail=f"No threshold for: {', '.join(unknown)}")
+    invalid = [f for f, value in thresholds.items() if not 0 < value <= 1]
+    if invalid:
+        raise HTTPException(status_code=422, detail=f"Thresholds must be above 0 and at most 1: {', '.join(invalid)}")
+
+
+def _decisions(db: Session) -> list[dict]:
+    """Batch decisions the threshold made so far, with the confidence behind them.
+
+    Review items held back by a manual edit are left out: no threshold would
+    have auto-applied those.
+    """
+    confidence = {
+        (c.run_id, c.provider_id, c.field_name): c.confidence
+        for c in db.query(FieldConfidence).filter(
+            FieldConfidence.run_id.isnot(None), FieldConfidence.field_name.in_(POLICY_FIELDS)
+        )
+    }
+    decisions = []
+    logs = db.query(AuditLog).filter(
+        AuditLog.action == "auto_update", AuditLog.run_id.isnot(None), AuditLog.field_name.in_(POLICY_FIELDS)
+    )
+    for log in logs:
+        conf = confidence.get((log.run_id, log.provider_id, log.field_name))
+        if conf is not None:
+            decisions.append({"field": log.field_name, "confidence": conf, "auto": True, "pending": False})
+    items = db.query(ManualReviewItem).filter(
+        ManualReviewItem.run_id.isnot(None), ManualReviewItem.field_name.in_(POLICY_FIELDS)
+    )
+    for item in items:
+        if (item.reason or "").startswith("conflicts with manual edit"):
+            continue
+        conf = confidence.get((item.run_id, item.provider_id, item.field_name))
+        if conf is not None:
+            decisions.append({
+                "field": item.field_name, "confidence": conf, "auto": False, "pending": item.status == "pending",
+            })
+    return decisions
+
+
+@router.get("/thresholds")
+def read_thresholds(db: Session = Depends(get_db)):
+    stored = {p.field_name: p for p in db.query(FieldPolicy).all()}
+    return {
+        "default": DEFAULT_THRESHOLD,
+        "fields": [
+            {
+                "field": field,
+                "threshold": stored[field].threshold if field in stored else DEFAULT_THRESHOLD,
+                "updated_by": stored[field].updated_by if field in stored else None,
+                "updated_at": stored[field].updated_at if field in stored else None,
+            }
+            for field in POLICY_FIELDS
+        ],
+    }
+
+
+@router.get("/access")
+def settings_access(reviewer: str = Depends(get_reviewer)):
+    return {"reason": _admin_denied(reviewer)}
+
+
+@router.post("/thresholds/preview")
+def preview_thresholds(req: ThresholdsRequest, db: Session = Depends(get_db)):
+    """How many decisions each field's proposed threshold would have routed
+    differently: pending reviews it would auto-apply, and past decisions
+    (auto-updates and resolved reviews) that would flip either way."""
+    _check_thresholds(req.thresholds)
+    proposed = {**get_thresholds(db), **req.thresholds}
+    impact = {
+        field: {"pending": 0, "pending_to_auto": 0, "history": 0, "history_to_auto": 0, "history_to_manual": 0}
+        for field in POLICY_FIELDS
+    }
+    for d in _decisions(db):
+        counts = impact[d["field"]]
+        auto = d["confidence"] >= proposed[d["field"]]
+        if d["pending"]:
+            counts["pending"] += 1
+            if auto:
+                counts["pending_to_auto"] += 1
+        else:
+            counts["history"] += 1
+            if auto and not d["auto"]:
+                counts["history_to_auto"] += 1
+            elif d["auto"] and not auto:
+                counts["history_to_manual"] += 1
+    return {"thresholds": proposed, "impact": impact}
+
+
+@router.put("/thresholds")
+def update_thresholds(req: ThresholdsRequest, db: Session = Depends(get_db), reviewer: str = Depends(get_reviewer)):
+    """Save thresholds for the given fields. They apply from the next batch
+    run; decisions already made are left as they are."""
+    denied = _admin_denied(reviewer)
+    if denied:
+        raise HTTPException(status_code=403, detail=denied)
+    _check_thresholds(req.thresholds)
+
+    now = datetime.utcnow()
+    for field, value in req.thresholds.items():
+        policy = db.query(FieldPolicy).get(field)
+        if policy is None:
+            policy = FieldPolicy(field_name=field)
+            db.add(policy)
+        if policy.threshold != value:
+            policy.threshold = value
+            policy.updated_by = reviewer
+            policy.updated_at = now
+    db.commit()
+    return read_thresholds(db)
@@ -1,8 +1,12 @@
-from fastapi import APIRouter, Depends
-from sqlalchemy import func
+from datetime import datetime, timedelta
+from typing import Optional
+
+from fastapi import APIRouter, Depends, HTTPException
+from sqlalchemy import func, or_
 from sqlalchemy.orm import Session
 
-from ..db import get_db, ValidationRun, ProviderScore, DriftScore
+from ..db import get_db, ManualReviewItem, ValidationRun, ProviderScore, DriftScore, RunSnapshot
+from .licenses import expiry_counts
 
 router = APIRouter(prefix="/stats", tags=["stats"])
 
@@ -66,5 +70,98 @@ def get_stats(db: Session = Depends(get_db)):
         "avg_pcs": avg_pcs,
         "drift_distribution": drift_dist,
         "pcs_distribution": pcs_dist,
+        "license_expiry": expiry_counts(db),
         "trend": trend
     }
+
+
+def _parse_day(value: Optional[str], name: str) -> Optional[datetime]:
+    if not value:
+        return None
+    try:
+        return datetime.strptime(value, "%Y-%m-%d")
+    except ValueError:
+        raise HTTPException(status_code=422, detail=f"{name} must be YYYY-MM-DD")
+
+
+@router.get("/trend")
+def get_trend(
+    limit: Optional[int] = None,
+    since: Optional[str] = None,
+    until: Optional[str] = None,
+    db: Session = Depends(get_db),
+):
+    """Per-run metrics for the dashboard trend charts: either the last `limit`
+    runs or the runs started between `since` and `until` (inclusive days).
+
+    Counts are raw; the client derives rates from them so they match the
+    dashboard's other percentages.
+    """
+    start = _parse_day(since, "since")
+    end = _parse_day(until, "until")
+
+    # Runs recorded before the status column existed have NULL status; they finished too.
+    query = db.query(ValidationRun).filter(or_(ValidationRun.status.is_(None), ValidationRun.status != "running"))
+    if start:
+        query = query.filter(ValidationRun.started_at >= start)
+    if end:
+        query = query.filter(ValidationRun.started_at < end + timedelta(days=1))
+    if start or end:
+        runs = query.order_by(ValidationRun.started_at).all()
+    else:
+        runs = list(reversed(query.order_by(ValidationRun.started_at.desc()).limit(limit or 5).all()))
+
+    # Decisions are attributed to the run that preceded them.
+    next_run = (
+        db.query(ValidationRun)
+        .filter(ValidationRun.started_at > runs[-1].started_at)
+        .order_by(ValidationRun.started_at)
+        .first()
+        if runs else None
+    )
+    boundaries = [r.started_at for r in runs[1:]] + [next_run.started_at if next_run else None]
+
+    points = []
+    for run, window_end in zip(runs, boundaries):
+        snaps = db.query(RunSnapshot).filter(RunSnapshot.run_id == run.id).all()
+        pcs_values = [s.pcs for s in snaps if s.pcs is not None]
+        drift = {"Low": 0, "Medium": 0, "High": 0}
+        for s in snaps:
+            if s.drift_bucket in drift:
+                drift[s.drift_bucket] += 1
+
+        as_of = run.finished_at or run.started_at
+        backlog = (
+            db.query(func.count(ManualReviewItem.id))
+            .filter(
+                ManualReviewItem.created_at <= as_of,
+                or_(ManualReviewItem.status == "pending", ManualReviewItem.decided_at > as_of),
+            )
+            .scalar()
+        )
+
+        decided = db.query(ManualReviewItem.status, func.count(ManualReviewItem.id)).filter(
+            ManualReviewItem.decided_at >= run.started_at
+        )
+        if window_end:
+            decided = decided.filter(ManualReviewItem.decided_at < window_end)
+        decisions = {"approved": 0, "rejected": 0, "overridden": 0}
+        for status, count in decided.group_by(ManualReviewItem.status).all():
+            if status in decisions:
+                decisions[status] = count
+
+        points.append(
+            {
+                "id": run.id,
+                "type": run.run_type,
+                "date": run.started_at.strftime("%Y-%m-%d"),
+                "started_at": run.started_at,
+                "auto_updates": run.auto_updates or 0,
+                "manual_reviews": run.manual_reviews or 0,
+                "avg_pcs": sum(pcs_values) / len(pcs_values) if pcs_values else None,
+                "drift": drift if snaps else None,
+                "backlog": backlog,
+                "decisions": decisions,
+            }
+        )
+    return points
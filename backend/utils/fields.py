@@ -0,0 +1,22 @@
+"""Checks for provider values typed or uploaded by people (imports, direct edits)."""
+
+import re
+from datetime import date
+from typing import Optional
+
+PHONE_CHARS = re.compile(r"^\+?[\d\s\-().]+$")
+
+
+def phone_error(phone: str) -> Optional[str]:
+    digits = re.sub(r"\D", "", phone)
+    if not PHONE_CHARS.match(phone) or not 8 <= len(digits) <= 13:
+        return f"Phone '{phone}' is not a valid number"
+    return None
+
+
+def parse_expiry(value: str) -> tuple[Optional[date], Optional[str]]:
+    """(date, None) for a YYYY-MM-DD license expiry, else (None, error)."""
+    try:
+        return date.fromisoformat(value), None
+    except ValueError:
+        return None, f"License expiry '{value}' is not a YYYY-MM-DD date"
@@ -1,17 +1,37 @@
 import React, { useEffect, useState } from 'react';
-import axios from 'axios';
+import * as api from './api';
+import BatchRunPanel from './BatchRunPanel';
+import Chatbot from './Chatbot';
+import { BarChart, PieChart } from './Charts';
+import DashboardTrends from './DashboardTrends';
+import DocumentViewer from './DocumentViewer';
+import Duplicates from './Duplicates';
+import ErrorBoundary from './ErrorBoundary';
+import ExportDialog from './ExportDialog';
+import FieldHistory from './FieldHistory';
+import ImportWizard from './ImportWizard';
+import Licenses from './Licenses';
+import ProviderEditor from './ProviderEditor';
+import { ErrorBanner, NotificationCenter, Toasts } from './NotificationCenter';
+import SourceEvidence from './SourceEvidence';
+import OverrideEditor from './OverrideEditor';
+import ReviewHistory, { STATUS_LABELS, UndoButton } from './ReviewHistory';
+import RunComparison from './RunComparison';
+import RunDetail from './RunDetail';
+import RunHistory from './RunHistory';
+import Settings from './Settings';
+import { openChat, useChatContext } from './chatStore';
+import { useConfidencePolicy } from './confidencePolicy';
+import { formatRelative } from './dates';
+import { evidenceKey, explainField, recordedConfidence } from './explanations';
+import { useExportContext } from './exporting';
+import { automationRate, toPercent } from './metrics';
+import { dismissByKey, notifyError } from './notifications';
+import { invalidateQueries, setQueryData, useQuery } from './queryCache';
+import { Link, navigate, goBack, buildPath, matchPath, useLocation, useQueryState, useScrollRestoration } from './router';
+import { useNow } from './useNow';
 import './styles.css';
 
-const API_BASE = 'http://127.0.0.1:8000';
-
-// =====================
-// 🔹 EXPLAIN API HELPER
-// =====================
-async function explainDecision(payload) {
-  const res = await axios.post(`${API_BASE}/explain`, payload);
-  return res.data; // { explanation }
-}
-
 // --- Components ---
 
 function Badge({ band, value }) {
@@ -33,222 +53,10 @@ function ProgressBar({ value, max = 100, color = '#4caf50' }) {
   );
 }
 
-// Chatbot Component
-function Chatbot() {
-  const [isOpen, setIsOpen] = useState(false);
-  const [messages, setMessages] = useState([
-    { role: 'assistant', content: 'Hi! I\'m your AI assistant. Ask me anything about provider data, PCS scores, or any general questions!' }
-  ]);
-  const [input, setInput] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const messagesEndRef = React.useRef(null);
-
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  };
-
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
-
-  const handleSend = async () => {
-    if (!input.trim() || isLoading) return;
-    
-    const userMessage = input.trim();
-    setInput('');
-    const newMessages = [...messages, { role: 'user', content: userMessage }];
-    setMessages(newMessages);
-    setIsLoading(true);
-
-    try {
-      const response = await axios.post('/chat', {
-        message: userMessage,
-        history: newMessages.slice(-6)
-      });
-      
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        content: response.data.response
-      }]);
-    } catch (err) {
-      const errorMsg = err.response?.status === 429 
-        ? 'Rate limit reached. Please wait a moment before sending more messages.'
-        : 'Sorry, I encountered an error. Please try again.';
-      setMessages(prev => [...prev, { 
-        role: 'assistant', 
-        content: errorMsg
-      }]);
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSend();
-    }
-  };
-
-  return (
-    <div className="chatbot-container">
-      {isOpen && (
-        <div className="chatbot-window">
-          <div className="chatbot-header">
-            <span>💬 AI Assistant</span>
-            <button className="chatbot-close" onClick={() => setIsOpen(false)}>×</button>
-          </div>
-          <div className="chatbot-messages">
-            {messages.map((msg, idx) => (
-              <div key={idx} className={`chatbot-message ${msg.role}`}>
-                {msg.content}
-              </div>
-            ))}
-            {isLoading && (
-              <div className="chatbot-message assistant">
-                <span className="typing-indicator">●●●</span>
-              </div>
-            )}
-            <div ref={messagesEndRef} />
-          </div>
-          <div className="chatbot-input-area">
-            <input
-              type="text"
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              onKeyPress={handleKeyPress}
-              placeholder="Ask me anything..."
-              disabled={isLoading}
-            />
-            <button onClick={handleSend} disabled={isLoading || !input.trim()}>
-              ➤
-            </button>
-          </div>
-        </div>
-      )}
-      <button className="chatbot-fab" onClick={() => setIsOpen(!isOpen)}>
-        {isOpen ? '✕' : '💬'}
-      </button>
-    </div>
-  );
-}
-
-// Pie Chart Component
-function PieChart({ data }) {
-  const total = Object.values(data).reduce((a, b) => a + b, 0);
-  if (total === 0) return <div className="pie-chart" style={{ background: '#1a1a2e' }} />;
-  
-  const high = data.High || 0;
-  const medium = data.Medium || 0;
-  const low = data.Low || 0;
-  
-  const highPct = (high / total) * 100;
-  const mediumPct = (medium / total) * 100;
-  
-  const gradient = `conic-gradient(
-    #ef4444 0% ${highPct}%,
-    #f59e0b ${highPct}% ${highPct + mediumPct}%,
-    #10b981 ${highPct + mediumPct}% 100%
-  )`;
-  
-  return (
-    <div className="pie-chart-wrapper">
-      <div className="pie-chart" style={{ background: gradient }} />
-      <div className="pie-center">
-        <span className="pie-center-value">{total}</span>
-        <span className="pie-center-label">Total</span>
-      </div>
-    </div>
-  );
-}
-
-// Bar Chart Component  
-function BarChart({ data }) {
-  const entries = Object.entries(data || {});
-  const maxVal = Math.max(...Object.values(data || {}), 1);
-  
-  return (
-    <div className="bar-chart-container">
-      {entries.map(([key, val], idx) => (
-        <div key={key} className="bar-item">
-          <span className="bar-value">{val}</span>
-          <div className="bar-wrapper">
-            <div 
-              className={`bar range-${idx % 5}`} 
-              style={{ height: `${Math.max((val / maxVal) * 150, 8)}px` }}
-            />
-          </div>
-          <span className="bar-label">{key}</span>
-        </div>
-      ))}
-    </div>
-  );
-}
-
-// Line Chart Component
-function LineChart({ trend }) {
-  if (!trend || trend.length === 0) {
-    return <div style={{ color: '#8892a0', textAlign: 'center', padding: '2rem' }}>No trend data available</div>;
-  }
-  
-  const maxAuto = Math.max(...trend.map(t => t.auto_updates || 0), 1);
-  const maxManual = Math.max(...trend.map(t => t.manual_reviews || 0), 1);
-  const maxVal = Math.max(maxAuto, maxManual, 100);
-  
-  const width = 100;
-  const height = 100;
-  const padding = 10;
-  
-  const getX = (idx) => padding + (idx / (trend.length - 1 || 1)) * (width - 2 * padding);
-  const getY = (val) => height - padding - (val / maxVal) * (height - 2 * padding);
-  
-  const autoPath = trend.map((t, i) => `${i === 0 ? 'M' : 'L'} ${getX(i)} ${getY(t.auto_updates || 0)}`).join(' ');
-  const manualPath = trend.map((t, i) => `${i === 0 ? 'M' : 'L'} ${getX(i)} ${getY(t.manual_reviews || 0)}`).join(' ');
-  
-  return (
-    <div>
-      <div className="trend-legend">
-        <div className="trend-legend-item">
-          <div className="trend-legend-line auto"></div>
-          <span>Auto-Updates</span>
-        </div>
-        <div className="trend-legend-item">
-          <div className="trend-legend-line manual"></div>
-          <span>Manual Reviews</span>
-        </div>
-      </div>
-      <div className="line-chart-container">
-        <div className="y-axis-labels">
-          <span>100</span>
-          <span>75</span>
-          <span>50</span>
-          <span>25</span>
-          <span>0</span>
-        </div>
-        <svg className="line-chart-svg" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
-          <path d={autoPath} fill="none" stroke="#4caf50" strokeWidth="2" />
-          <path d={manualPath} fill="none" stroke="#ffc107" strokeWidth="2" />
-          {trend.map((t, i) => (
-            <React.Fragment key={i}>
-              <circle cx={getX(i)} cy={getY(t.auto_updates || 0)} r="3" fill="#4caf50" />
-              <circle cx={getX(i)} cy={getY(t.manual_reviews || 0)} r="3" fill="#ffc107" />
-            </React.Fragment>
-          ))}
-        </svg>
-      </div>
-      <div className="x-axis-labels">
-        {trend.map((t, i) => (
-          <span key={i}>{t.date || `Run ${i + 1}`}</span>
-        ))}
-      </div>
-    </div>
-  );
-}
-
 function Dashboard({ stats, manualReviewCount }) {
   if (!stats) return <div style={{ color: '#fff', padding: '2rem' }}>Loading stats...</div>;
   
-  const { latest_run, avg_pcs, drift_distribution, pcs_distribution, trend } = stats;
+  const { latest_run, avg_pcs, drift_distribution, pcs_distribution, license_expiry: licenses } = stats;
   
   // Format date nicely
   const formatDate = (dateStr) => {
@@ -259,8 +67,7 @@ function Dashboard({ stats, manualReviewCount }) {
   };
   
   // Calculate auto-update percentage
-  const totalFields = (latest_run?.auto_updates || 0) + (manualReviewCount || 0);
-  const autoPercent = totalFields > 0 ? ((latest_run?.auto_updates || 0) / totalFields * 100).toFixed(1) : 0;
+  const autoPercent = (toPercent(automationRate(latest_run?.auto_updates, manualReviewCount)) ?? 0).toFixed(1);
 
   return (
     <div className="dashboard-container">
@@ -276,7 +83,15 @@ function Dashboard({ stats, manualReviewCount }) {
           <div className="stat-icon blue">🕐</div>
           <div className="stat-label">Last Run</div>
           <div className="stat-value">{formatDate(latest_run?.started_at)}</div>
-          <div className="stat-sub">{latest_run?.type || 'Daily'} Batch</div>
+          <div className="stat-sub">
+            {latest_run?.type || 'Daily'} Batch
+            {latest_run?.id && (
+              <>
+                {' · '}
+                <button className="btn-link" onClick={() => navigate(`/runs/${latest_run.id}`)}>Details</button>
+              </>
+            )}
+          </div>
         </div>
         
         <div className="stat-card">
@@ -303,6 +118,18 @@ function Dashboard({ stats, manualReviewCount }) {
           <div className="stat-sub">Pending Actions</div>
           {manualReviewCount > 0 && <span className="warning-badge">!</span>}
         </div>
+
+        <div className="stat-card">
+          <div className="stat-icon red">🪪</div>
+          <div className="stat-label">License Expiry</div>
+          <div className="stat-value warning">{licenses?.upcoming || 0}</div>
+          <div className="stat-sub">
+            Expiring in {licenses?.window_days || 90} days · {licenses?.expired || 0} expired
+            {' · '}
+            <button className="btn-link" onClick={() => navigate('/licenses')}>View</button>
+          </div>
+          {licenses?.expired > 0 && <span className="warning-badge">!</span>}
+        </div>
       </div>
 
       {/* Charts Row */}
@@ -312,26 +139,11 @@ function Dashboard({ stats, manualReviewCount }) {
             <span className="icon" style={{background: 'linear-gradient(135deg, rgba(239, 68, 68, 0.2) 0%, rgba(239, 68, 68, 0.05) 100%)'}}>🎯</span>
             Drift Risk Distribution
           </h3>
-          <div className="pie-chart-container">
-            <PieChart data={drift_distribution || {}} />
-            <div className="pie-legend">
-              <div className="legend-item">
-                <span className="legend-dot high"></span>
-                <span className="legend-text">High Risk</span>
-                <span className="legend-value">{drift_distribution?.High || 0}</span>
-              </div>
-              <div className="legend-item">
-                <span className="legend-dot medium"></span>
-                <span className="legend-text">Medium</span>
-                <span className="legend-value">{drift_distribution?.Medium || 0}</span>
-              </div>
-              <div className="legend-item">
-                <span className="legend-dot low"></span>
-                <span className="legend-text">Low</span>
-                <span className="legend-value">{drift_distribution?.Low || 0}</span>
-              </div>
-            </div>
-          </div>
+          <PieChart
+            data={drift_distribution || {}}
+            label="Providers by drift risk"
+            onSelect={(bucket) => navigate(buildPath('/providers', { drift: bucket }))}
+          />
         </div>
 
         <div className="chart-card">
@@ -339,18 +151,15 @@ function Dashboard({ stats, manualReviewCount }) {
             <span className="icon" style={{background: 'linear-gradient(135deg, rgba(139, 92, 246, 0.2) 0%, rgba(139, 92, 246, 0.05) 100%)'}}>📊</span>
             PCS Score Distribution
           </h3>
-          <BarChart data={pcs_distribution} />
+          <BarChart
+            data={pcs_distribution}
+            label="Providers by PCS range"
+            onSelect={(range) => navigate(buildPath('/providers', { pcs: range }))}
+          />
         </div>
       </div>
 
-      {/* Trend Chart */}
-      <div className="trend-card">
-        <h3>
-          <span className="icon" style={{background: 'linear-gradient(135deg, rgba(16, 185, 129, 0.2) 0%, rgba(16, 185, 129, 0.05) 100%)'}}>📈</span>
-          Automation Trend (Last 5 Runs)
-        </h3>
-        <LineChart trend={trend} />
-      </div>
+      <DashboardTrends />
     </div>
   );
 }
@@ -359,26 +168,235 @@ function Dashboard({ stats, manualReviewCount }) {
    PROVIDER LIST
    ===================== */
 
-function ProviderList({ providers, onSelect }) {
+const PCS_BANDS = ['green', 'amber', 'red'];
+const DRIFT_BUCKETS = ['Low', 'Medium', 'High'];
+const PAGE_SIZES = [25, 50, 100];
+
+const splitParam = (value) => (value ? value.split(',').filter(Boolean) : []);
+
+// PCS ranges as bucketed by /stats ("50-70" means 50 <= pcs < 70; the range
+// ending at 100 includes 100).
+function parsePcsRange(value) {
+  const match = /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value || '');
+  if (!match) return null;
+  const [min, max] = [Number(match[1]), Number(match[2])];
+  return min < max ? { min, max } : null;
+}
+
+const PROVIDER_SORTS = ['name', 'pcs', 'drift'];
+
+// The directory's URL state as GET /providers filters.
+function providerFilters(params) {
+  const pcsRange = parsePcsRange(params.pcs);
+  const expiring = Number(params.expiring);
+  return {
+    q: (params.q || '').trim() || undefined,
+    band: params.band || undefined,
+    drift: params.drift || undefined,
+    pcs_min: pcsRange?.min,
+    pcs_max: pcsRange?.max,
+    specialty: (params.specialty || '').trim() || undefined,
+    expiring_within: expiring > 0 ? expiring : undefined,
+    sort: PROVIDER_SORTS.includes(params.sort) ? params.sort : undefined,
+    dir: params.dir === 'desc' ? 'desc' : undefined,
+  };
+}
+
+function MultiSelectFilter({ label, options, selected, onChange }) {
+  const toggle = (option) => {
+    onChange(selected.includes(option) ? selected.filter(o => o !== option) : [...selected, option]);
+  };
+
+  return (
+    <div className="multi-filter" role="group" aria-label={label}>
+      <span>{label}:</span>
+      {options.map(option => (
+        <button
+          key={option}
+          type="button"
+          className={`filter-chip ${selected.includes(option) ? 'active' : ''}`}
+          aria-pressed={selected.includes(option)}
+          onClick={() => toggle(option)}
+        >
+          {option}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function SortHeader({ label, column, sort, dir, onSort }) {
+  const active = sort === column;
+  return (
+    <th aria-sort={active ? (dir === 'desc' ? 'descending' : 'ascending') : 'none'}>
+      <button type="button" className="sort-header" onClick={() => onSort(column)}>
+        {label} {active ? (dir === 'desc' ? '▼' : '▲') : '↕'}
+      </button>
+    </th>
+  );
+}
+
+const PROVIDER_EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'external_id', label: 'External ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'specialty', label: 'Specialty' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'license_expiry', label: 'License Expiry' },
+  { key: 'pcs', label: 'PCS' },
+  { key: 'pcs_band', label: 'PCS Band' },
+  { key: 'drift_bucket', label: 'Drift Risk' },
+];
+
+function ProviderList({ onSelect }) {
+  const [params, setParams] = useQueryState();
+  const [searchInput, setSearchInput] = useState(params.q || '');
+
+  const filters = providerFilters(params);
+  const bands = splitParam(params.band);
+  const buckets = splitParam(params.drift);
+  const pcsRange = parsePcsRange(params.pcs);
+  const specialty = filters.specialty;
+  const expiringDays = filters.expiring_within;
+  const sort = filters.sort || null;
+  const dir = params.dir === 'desc' ? 'desc' : 'asc';
+  const pageSize = PAGE_SIZES.includes(Number(params.size)) ? Number(params.size) : PAGE_SIZES[0];
+  const requestedPage = Math.max(1, Number(params.page) || 1);
+  const offset = (requestedPage - 1) * pageSize;
+
+  // Keep the search box in sync when the URL changes underneath it (back/forward).
+  useEffect(() => {
+    setSearchInput(params.q || '');
+  }, [params.q]);
+
+  // Debounce typing into the URL so every keystroke doesn't re-query the directory.
+  useEffect(() => {
+    if (searchInput === (params.q || '')) return undefined;
+    const timer = setTimeout(() => setParams({ q: searchInput, page: '' }), 250);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const listQuery = useQuery(
+    ['providers', 'list', { ...filters, offset, limit: pageSize }],
+    () => api.listProviders({ ...filters, offset, limit: pageSize }),
+  );
+  useLoadNotification(listQuery, 'the provider directory');
+  // Keep showing the previous page while the next one loads.
+  const shown = React.useRef(null);
+  if (listQuery.data) shown.current = listQuery.data;
+  const { total, items: pageRows } = listQuery.data ?? shown.current ?? { total: 0, items: EMPTY_LIST };
+
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  const page = Math.min(requestedPage, pageCount);
+
+  // A page past the end (e.g. after narrowing the filters) snaps back to the last one.
+  useEffect(() => {
+    if (listQuery.data && requestedPage > pageCount) setParams({ page: pageCount > 1 ? pageCount : '' });
+  }, [listQuery.data, requestedPage, pageCount]);
+
+  useScrollRestoration(Boolean(shown.current));
+
+  const handleSort = (column) => {
+    const nextDir = sort === column && dir === 'asc' ? 'desc' : 'asc';
+    setParams({ sort: column, dir: nextDir, page: '' });
+  };
+
+  const hasFilters = filters.q || bands.length || buckets.length || pcsRange || specialty || expiringDays;
+
+  useExportContext({
+    providerList: hasFilters ? { filters, total } : null,
+    table: {
+      title: `Provider directory, page ${page}`,
+      columns: PROVIDER_EXPORT_COLUMNS,
+      rows: pageRows,
+    },
+  });
+
   return (
     <div className="card">
-      <h2>🏥 Provider Directory</h2>
+      <div className="card-title-row">
+        <h2>🏥 Provider Directory</h2>
+        <button className="btn-link" onClick={() => navigate('/providers/duplicates')}>👥 Possible duplicates →</button>
+      </div>
+      <div className="list-toolbar">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          placeholder="Search name, specialty, phone, license…"
+          aria-label="Search providers"
+        />
+        <MultiSelectFilter
+          label="PCS band"
+          options={PCS_BANDS}
+          selected={bands}
+          onChange={(next) => setParams({ band: next, page: '' })}
+        />
+        <MultiSelectFilter
+          label="Drift"
+          options={DRIFT_BUCKETS}
+          selected={buckets}
+          onChange={(next) => setParams({ drift: next, page: '' })}
+        />
+        {pcsRange && (
+          <button
+            type="button"
+            className="filter-chip active"
+            aria-label={`Remove PCS ${pcsRange.min}–${pcsRange.max} filter`}
+            onClick={() => setParams({ pcs: '', page: '' })}
+          >
+            PCS {pcsRange.min}–{pcsRange.max} ×
+          </button>
+        )}
+        {specialty && (
+          <button
+            type="button"
+            className="filter-chip active"
+            aria-label={`Remove specialty ${params.specialty} filter`}
+            onClick={() => setParams({ specialty: '', page: '' })}
+          >
+            {params.specialty} ×
+          </button>
+        )}
+        {expiringDays && (
+          <button
+            type="button"
+            className="filter-chip active"
+            aria-label={`Remove license expiring within ${expiringDays} days filter`}
+            onClick={() => setParams({ expiring: '', page: '' })}
+          >
+            License expires ≤ {expiringDays} days ×
+          </button>
+        )}
+        {hasFilters && (
+          <button
+            type="button"
+            className="btn-link"
+            onClick={() => { setSearchInput(''); setParams({ q: '', band: '', drift: '', pcs: '', specialty: '', expiring: '', page: '' }); }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+      <p className="list-summary">
+        {!shown.current ? 'Loading providers…' : hasFilters ? `${total} providers match` : `${total} providers`}
+      </p>
       <table className="data-table">
         <thead>
           <tr>
-            <th>ID</th>
-            <th>Name</th>
+            <th>#</th>
+            <SortHeader label="Name" column="name" sort={sort} dir={dir} onSort={handleSort} />
             <th>Specialty</th>
             <th>Phone</th>
-            <th>PCS Score</th>
-            <th>Drift Risk</th>
+            <SortHeader label="PCS Score" column="pcs" sort={sort} dir={dir} onSort={handleSort} />
+            <SortHeader label="Drift Risk" column="drift" sort={sort} dir={dir} onSort={handleSort} />
             <th>Action</th>
           </tr>
         </thead>
         <tbody>
-          {providers.filter(p => p.external_id !== '1679576722').map((p, idx) => (
+          {pageRows.map((p, idx) => (
             <tr key={p.id} onClick={() => onSelect(p.id)} className="clickable-row">
-              <td>{idx + 1}</td>
+              <td>{offset + idx + 1}</td>
               <td>{p.name}</td>
               <td>{p.specialty}</td>
               <td>{p.phone}</td>
@@ -389,6 +407,32 @@ function ProviderList({ providers, onSelect }) {
           ))}
         </tbody>
       </table>
+      {listQuery.data && pageRows.length === 0 && <p>No providers match these filters.</p>}
+      <div className="pagination">
+        <button
+          type="button"
+          className="btn-small"
+          disabled={page <= 1}
+          onClick={() => setParams({ page: page - 1 }, { replace: false })}
+        >
+          ‹ Prev
+        </button>
+        <span>Page {page} of {pageCount}</span>
+        <button
+          type="button"
+          className="btn-small"
+          disabled={page >= pageCount}
+          onClick={() => setParams({ page: page + 1 }, { replace: false })}
+        >
+          Next ›
+        </button>
+        <label>
+          Rows per page{' '}
+          <select value={pageSize} onChange={(e) => setParams({ size: e.target.value, page: '' })}>
+            {PAGE_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+          </select>
+        </label>
+      </div>
     </div>
   );
 }
@@ -397,54 +441,99 @@ function ProviderList({ providers, onSelect }) {
    PROVIDER DETAIL
    ===================== */
 
-function ProviderDetail({ providerId, onBack }) {
-  const [data, setData] = useState(null);
-  const [ocr, setOcr] = useState(null);
-  const [qaHistory, setQaHistory] = useState([]);
+const EMPTY_LIST = [];
+
+function ProviderDetail({ providerId, onBack, reviewer, onReviewerChange }) {
+  const details = useQuery(['providers', providerId, 'details'], () => api.getProviderDetails(providerId));
+  const ocrQuery = useQuery(['providers', providerId, 'ocr'], () => api.getProviderOcr(providerId));
+  const ocr = ocrQuery.data;
+  const data = details.data;
+  const notFound = details.error?.status === 404 || Number.isNaN(providerId);
+  const policy = useConfidencePolicy();
+
+  // Source evidence is fetched on first use: opening a panel or asking for an explanation.
+  const [openEvidence, setOpenEvidence] = useState([]);
+  const evidence = useQuery(
+    evidenceKey(providerId),
+    () => api.getProviderEvidence(providerId),
+    { enabled: openEvidence.length > 0 },
+  );
+  const toggleEvidence = (field) => {
+    setOpenEvidence(prev => (prev.includes(field) ? prev.filter(f => f !== field) : [...prev, field]));
+  };
 
   // 🔹 EXPLAIN STATE
   const [explanations, setExplanations] = useState({});
   const [loadingField, setLoadingField] = useState(null);
-  const [explainError, setExplainError] = useState(null);
 
+  const [editing, setEditing] = useState(false);
+  const editAccess = useQuery(['edit-access', reviewer], () => api.getEditAccess(reviewer));
+
+  useScrollRestoration(data != null);
+  useChatContext(data ? { provider_id: providerId, label: data.provider.name } : null);
+  useExportContext(data ? {
+    providerId,
+    table: {
+      title: `${data.provider.name} validation`,
+      columns: [
+        { key: 'field', label: 'Field' },
+        { key: 'value', label: 'Value' },
+        { key: 'confidence', label: 'Confidence' },
+        { key: 'status', label: 'Status' },
+      ],
+      rows: Object.entries(data.validation).map(([field, info]) => ({
+        field,
+        value: data.provider[field],
+        confidence: info.confidence,
+        status: policy.isAutoUpdate(field, info.confidence) ? 'Auto-Updated' : 'Manual Review',
+      })),
+    },
+  } : { providerId });
+
+  // Explanations belong to the provider they were generated for.
   useEffect(() => {
-    if (!providerId) return;
-    axios.get(`/providers/${providerId}/details`).then(res => setData(res.data));
-    axios.get(`/providers/${providerId}/ocr`).then(res => setOcr(res.data));
-    axios.get(`/providers/${providerId}/qa`).then(res => setQaHistory(res.data));
+    setExplanations({});
+    setOpenEvidence([]);
+    setEditing(false);
   }, [providerId]);
 
-  if (!data) return <div>Loading details...</div>;
+  if (notFound) {
+    return (
+      <div className="detail-container">
+        <button onClick={onBack} className="btn-back">← Back to Directory</button>
+        <div className="card">This provider was not found.</div>
+      </div>
+    );
+  }
+  if (!data) {
+    return details.error
+      ? <ErrorBanner error={details.error} fallback="Failed to load provider details." onRetry={details.refetch} />
+      : <div>Loading details...</div>;
+  }
 
-  const { provider, validation, pcs, drift, enrichment } = data;
+  const { provider, validation, pcs, drift, enrichment, manual_fields: manualFields = [] } = data;
 
   // 🔹 EXPLAIN HANDLER
   const handleExplain = async (field, info) => {
     setLoadingField(field);
-    setExplainError(null);
 
     try {
-      const payload = {
+      const explanation = await explainField({
+        providerId,
         field,
-        current_value: provider[field],
-        candidates: (info.sources || []).map(s => ({
-          source: s.source,
-          value: s.value,
-        })),
-        chosen_value: provider[field],
+        currentValue: provider[field],
         confidence: info.confidence,
-        decision: info.confidence >= 0.7 ? 'auto_update' : 'manual_review',
-      };
-
-      const res = await explainDecision(payload);
+        decision: policy.isAutoUpdate(field, info.confidence) ? 'auto_update' : 'manual_review',
+      });
 
-      setExplanations(prev => ({ ...prev, [field]: res.explanation }));
+      setExplanations(prev => ({ ...prev, [field]: explanation }));
     } catch (err) {
-      setExplainError(
-        err.response?.status === 429
-          ? 'Rate limit exceeded. Please wait.'
-          : 'Failed to generate explanation.'
-      );
+      notifyError(err, {
+        title: `Explanation for ${field} failed`,
+        fallback: 'Failed to generate explanation.',
+        retry: () => handleExplain(field, info),
+        key: `explain:${providerId}:${field}`,
+      });
     } finally {
       setLoadingField(null);
     }
@@ -454,6 +543,16 @@ function ProviderDetail({ providerId, onBack }) {
     <div className="detail-container">
       <button onClick={onBack} className="btn-back">← Back to Directory</button>
 
+      {provider.merged_into_id && (
+        <div className="field-warning merged-notice" role="status">
+          This record was merged into{' '}
+          <Link to={`/providers/${provider.merged_into_id}`}>
+            provider #{provider.merged_into_id}
+          </Link>{' '}
+          and no longer appears in the directory.
+        </div>
+      )}
+
       <div className="header-card card">
         <div className="header-info">
           <h1>{provider.name}</h1>
@@ -461,6 +560,15 @@ function ProviderDetail({ providerId, onBack }) {
           <div className="badges">
             <Badge band={pcs?.band} value={pcs?.score} />
             <DriftChip bucket={drift?.bucket} />
+            <button type="button" className="btn-small" onClick={openChat}>💬 Ask AI about this provider</button>
+            <button
+              type="button"
+              className="btn-small"
+              aria-expanded={editing}
+              onClick={() => setEditing(!editing)}
+            >
+              ✏️ Edit
+            </button>
           </div>
         </div>
         <div className="drift-explanation">
@@ -468,13 +576,23 @@ function ProviderDetail({ providerId, onBack }) {
         </div>
       </div>
 
+      {editing && editAccess.data && (
+        <ProviderEditor
+          key={providerId}
+          provider={provider}
+          fields={editAccess.data.fields}
+          reviewer={reviewer}
+          onReviewerChange={onReviewerChange}
+          denied={editAccess.data.reason}
+          onClose={() => setEditing(false)}
+        />
+      )}
+
       <div className="detail-grid">
         <div className="left-col">
           <div className="card">
             <h3>✅ Validated Data & Confidence</h3>
 
-            {explainError && <div className="error-banner">{explainError}</div>}
-
             <table className="validation-table">
               <thead>
                 <tr>
@@ -489,18 +607,25 @@ function ProviderDetail({ providerId, onBack }) {
                   <React.Fragment key={field}>
                     <tr>
                       <td>{field}</td>
-                      <td>{provider[field]}</td>
+                      <td>
+                        {provider[field]}
+                        {manualFields.includes(field) && (
+                          <span className="evidence-tag" title="Entered directly by a reviewer; validation runs won't overwrite it without review">
+                            edited
+                          </span>
+                        )}
+                      </td>
                       <td>
                         <div className="confidence-wrapper">
                           <ProgressBar
                             value={info.confidence * 100}
-                            color={info.confidence >= 0.7 ? '#4caf50' : '#ff9800'}
+                            color={policy.isAutoUpdate(field, info.confidence) ? '#4caf50' : '#ff9800'}
                           />
                           <span>{(info.confidence * 100).toFixed(0)}%</span>
                         </div>
                       </td>
                       <td>
-                        {info.confidence >= 0.7
+                        {policy.isAutoUpdate(field, info.confidence)
                           ? <span className="badge-green">Auto-Updated</span>
                           : <span className="badge-red">Manual Review</span>}
 
@@ -511,11 +636,28 @@ function ProviderDetail({ providerId, onBack }) {
                             onClick={() => handleExplain(field, info)}
                           >
                             {loadingField === field ? 'Explaining…' : 'Explain'}
+                          </button>{' '}
+                          <button
+                            className="btn-small"
+                            aria-expanded={openEvidence.includes(field)}
+                            onClick={() => toggleEvidence(field)}
+                          >
+                            {openEvidence.includes(field) ? 'Hide evidence' : 'Evidence'}
                           </button>
                         </div>
                       </td>
                     </tr>
 
+                    {openEvidence.includes(field) && (
+                      <tr className="evidence-row">
+                        <td colSpan="4">
+                          <ErrorBanner error={evidence.error} fallback="Failed to load evidence." onRetry={evidence.refetch} />
+                          {!evidence.data && !evidence.error && <p>Loading evidence…</p>}
+                          {evidence.data && <SourceEvidence field={field} evidence={evidence.data[field]} />}
+                        </td>
+                      </tr>
+                    )}
+
                     {explanations[field] && (
                       <tr>
                         <td colSpan="4">
@@ -534,50 +676,22 @@ function ProviderDetail({ providerId, onBack }) {
           {/* OCR PANEL */}
           <div className="card">
             <h3>📄 Document Extraction Panel (OCR)</h3>
-            {ocr && ocr.exists ? (
-              <div className="ocr-panel">
-                <div className="ocr-meta">
-                  <span><strong>Type:</strong> {ocr.doc_type}</span>
-                  <span><strong>Confidence:</strong> {(ocr.ocr_confidence * 100).toFixed(1)}%</span>
-                </div>
-                <div className="ocr-preview">
-                  <pre>{ocr.ocr_text}</pre>
-                </div>
-              </div>
-            ) : (
-              <p>No documents found for this provider.</p>
-            )}
+            <ErrorBoundary label="Document viewer" resetKey={providerId}>
+              {ocrQuery.error ? (
+                <ErrorBanner error={ocrQuery.error} fallback="Failed to load the document." onRetry={ocrQuery.refetch} />
+              ) : ocr && ocr.exists ? (
+                <DocumentViewer ocr={ocr} />
+              ) : (
+                <p>{ocr ? 'No documents found for this provider.' : 'Loading document…'}</p>
+              )}
+            </ErrorBoundary>
           </div>
 
           <div className="card">
-            <h3>📊 Confidence History</h3>
-            {qaHistory.length === 0 ? (
-              <p>No validation history available.</p>
-            ) : (
-              <table className="qa-history-table">
-                <thead>
-                  <tr>
-                    <th>Field</th>
-                    <th>Confidence</th>
-                    <th>Sources</th>
-                    <th>Date</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {qaHistory.slice(0, 10).map((qa, idx) => (
-                    <tr key={idx}>
-                      <td>{qa.field_name}</td>
-                      <td>
-                        <ProgressBar value={qa.confidence * 100} max={100} color={qa.confidence >= 0.7 ? '#4caf50' : '#ff9800'} />
-                        <span style={{fontSize: '0.8rem', marginLeft: '0.5rem'}}>{(qa.confidence * 100).toFixed(0)}%</span>
-                      </td>
-                      <td>{qa.sources ? qa.sources.join(', ') : 'N/A'}</td>
-                      <td>{qa.created_at ? new Date(qa.created_at).toLocaleDateString() : 'N/A'}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            )}
+            <h3>🕓 Field History</h3>
+            <ErrorBoundary label="Field history" resetKey={providerId}>
+              <FieldHistory providerId={providerId} />
+            </ErrorBoundary>
           </div>
         </div>
 
@@ -648,40 +762,251 @@ function ProviderDetail({ providerId, onBack }) {
    MANUAL REVIEW
    ===================== */
 
-function ManualReview({ items, onAction }) {
+const BULK_CONCURRENCY = 3;
+const RECENT_DECISIONS_LIMIT = 10;
+const DECIDED_STATUS = { approve: 'approved', reject: 'rejected', override: 'overridden' };
+
+// Runs `worker` over `items` with at most `limit` requests in flight.
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+function RecentDecisions({ decisions, onUndo }) {
+  const now = useNow(decisions.some(d => d.undoDeadline > Date.now()));
+  if (decisions.length === 0) return null;
+
+  return (
+    <div className="recent-decisions">
+      <h3>Recently decided</h3>
+      <ul>
+        {decisions.map(d => (
+          <li key={d.id}>
+            <span className={`status-pill ${d.status}`}>{STATUS_LABELS[d.status] || d.status}</span>
+            <span>
+              <strong>{d.field_name}</strong> for provider {d.provider_id}
+              {d.status !== 'rejected' && <> → <span className="text-highlight">{d.resolved_value}</span></>}
+            </span>
+            <span className="recent-meta">{d.decided_by} · {formatRelative(d.decided_at, now)}</span>
+            <UndoButton deadline={d.undoDeadline} now={now} onUndo={() => onUndo(d)} />
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function ManualReview({ items, onAction, onBulkAction, recentDecisions, onUndo, reviewer, onReviewerChange }) {
   const [explanations, setExplanations] = useState({});
   const [loadingExplanation, setLoadingExplanation] = useState({});
+  const [params, setParams] = useQueryState();
+  const [selected, setSelected] = useState(() => new Set());
+  const [bulk, setBulk] = useState(null); // { action, total, done, failures, running }
+  const [editingId, setEditingId] = useState(null);
+  const [chatItem, setChatItem] = useState(null);
+  const selectAllRef = React.useRef(null);
+
+  const fieldFilter = params.field || '';
+  const providerFilter = Number(params.provider) || null;
+  const fields = [...new Set(items.map(i => i.field_name))].sort();
+  const visibleItems = items.filter(i =>
+    (!fieldFilter || i.field_name === fieldFilter) &&
+    (!providerFilter || i.provider_id === providerFilter)
+  );
+  const selectedItems = visibleItems.filter(i => selected.has(i.id));
+  const allVisibleSelected = visibleItems.length > 0 && selectedItems.length === visibleItems.length;
+
+  useScrollRestoration(items.length > 0);
+  useChatContext(chatItem && {
+    provider_id: chatItem.provider_id,
+    field: chatItem.field_name,
+    review_id: chatItem.id,
+    label: `Review #${chatItem.id} · ${chatItem.field_name}`,
+  });
+  useExportContext({
+    table: {
+      title: 'Manual review queue',
+      columns: [
+        { key: 'id', label: 'Review' },
+        { key: 'provider_id', label: 'Provider ID' },
+        { key: 'field_name', label: 'Field' },
+        { key: 'current_value', label: 'Current Value' },
+        { key: 'suggested_value', label: 'Suggested Value' },
+        { key: 'reason', label: 'Reason' },
+        { key: 'created_at', label: 'Created' },
+      ],
+      rows: visibleItems,
+    },
+  });
+
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = selectedItems.length > 0 && !allVisibleSelected;
+    }
+  }, [selectedItems.length, allVisibleSelected]);
+
+  const toggleSelected = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id); else next.add(id);
+      return next;
+    });
+  };
+
+  const toggleSelectAll = () => {
+    setSelected(allVisibleSelected ? new Set() : new Set(visibleItems.map(i => i.id)));
+  };
+
+  const runBulkAction = async (action) => {
+    const targets = selectedItems;
+    if (targets.length === 0 || bulk?.running) return;
+    if (!window.confirm(`${action === 'approve' ? 'Approve' : 'Reject'} ${targets.length} selected item(s)?`)) return;
+
+    setBulk({ action, total: targets.length, done: 0, failures: [], running: true });
+    await runWithConcurrency(targets, BULK_CONCURRENCY, async (item) => {
+      try {
+        await onBulkAction(item, action);
+      } catch (err) {
+        const message = err.message || 'Request failed';
+        setBulk(prev => ({ ...prev, failures: [...prev.failures, { item, message }] }));
+      } finally {
+        setSelected(prev => {
+          const next = new Set(prev);
+          next.delete(item.id);
+          return next;
+        });
+        setBulk(prev => ({ ...prev, done: prev.done + 1 }));
+      }
+    });
+    setBulk(prev => ({ ...prev, running: false }));
+  };
 
-  const getAIExplanation = async (item) => {
-    setLoadingExplanation({ ...loadingExplanation, [item.id]: true });
+  // Explanations are cached in the query cache, so hiding and re-opening one
+  // (or re-opening the item later) does not call /explain again.
+  const toggleExplanation = async (item) => {
+    if (explanations[item.id]) {
+      setExplanations(({ [item.id]: _, ...rest }) => rest);
+      return;
+    }
+    setLoadingExplanation(prev => ({ ...prev, [item.id]: true }));
     try {
-      const response = await axios.post('/explain', {
+      const explanation = await explainField({
+        providerId: item.provider_id,
         field: item.field_name,
-        current_value: item.current_value,
-        candidates: [], // Could be enhanced with actual candidates
-        chosen_value: item.suggested_value,
-        confidence: 0.5, // Default confidence for manual review items
-        decision: 'manual_review'
+        currentValue: item.current_value,
+        chosenValue: item.suggested_value,
+        confidence: recordedConfidence(item),
+        decision: 'manual_review',
       });
-      setExplanations({ ...explanations, [item.id]: response.data.explanation });
+      setExplanations(prev => ({ ...prev, [item.id]: explanation }));
     } catch (err) {
-      if (err.response?.status === 429) {
-        alert('Rate limit exceeded. Please wait before requesting more explanations.');
-      } else {
-        alert('Failed to get AI explanation');
-      }
+      notifyError(err, {
+        title: `Explanation for review #${item.id} failed`,
+        fallback: 'Failed to get AI explanation.',
+        retry: () => toggleExplanation(item),
+        key: `explain-review:${item.id}`,
+      });
     } finally {
-      setLoadingExplanation({ ...loadingExplanation, [item.id]: false });
+      setLoadingExplanation(prev => ({ ...prev, [item.id]: false }));
     }
   };
 
   return (
     <div className="card">
-      <h2>📝 Manual Review Queue</h2>
-      {items.length === 0 ? <p>No items pending review.</p> : (
+      <div className="card-title-row">
+        <h2>📝 Manual Review Queue</h2>
+        <div className="card-title-actions">
+          <label className="reviewer-input">
+            Reviewing as{' '}
+            <input
+              value={reviewer}
+              onChange={(e) => onReviewerChange(e.target.value)}
+              placeholder="your name"
+            />
+          </label>
+          <button className="btn-link" onClick={() => navigate(buildPath('/manual-review/history', { field: fieldFilter }))}>
+            History →
+          </button>
+        </div>
+      </div>
+      <RecentDecisions decisions={recentDecisions} onUndo={onUndo} />
+      <div className="list-toolbar">
+        <label>
+          Field:{' '}
+          <select value={fieldFilter} onChange={(e) => setParams({ field: e.target.value })}>
+            <option value="">All fields</option>
+            {fields.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </label>
+        {providerFilter && (
+          <button
+            type="button"
+            className="filter-chip active"
+            aria-label={`Remove provider ${providerFilter} filter`}
+            onClick={() => setParams({ provider: '' })}
+          >
+            Provider #{providerFilter} ×
+          </button>
+        )}
+        {visibleItems.length > 0 && !allVisibleSelected && (
+          <button type="button" className="btn-link" onClick={() => setSelected(new Set(visibleItems.map(i => i.id)))}>
+            Select all {visibleItems.length}{fieldFilter ? ` ${fieldFilter}` : ''} items
+          </button>
+        )}
+        {selectedItems.length > 0 && (
+          <div className="bulk-actions">
+            <span>{selectedItems.length} selected</span>
+            <button className="btn-approve" disabled={bulk?.running} onClick={() => runBulkAction('approve')}>
+              Approve selected
+            </button>
+            <button className="btn-reject" disabled={bulk?.running} onClick={() => runBulkAction('reject')}>
+              Reject selected
+            </button>
+            <button type="button" className="btn-link" onClick={() => setSelected(new Set())}>Clear</button>
+          </div>
+        )}
+      </div>
+      {bulk && (
+        <div className="bulk-progress" role="status">
+          <div className="bulk-progress-label">
+            {bulk.running
+              ? `${bulk.action === 'approve' ? 'Approving' : 'Rejecting'} ${bulk.done} of ${bulk.total}…`
+              : `${bulk.action === 'approve' ? 'Approved' : 'Rejected'} ${bulk.total - bulk.failures.length} of ${bulk.total} item(s).`}
+            {!bulk.running && (
+              <button type="button" className="btn-link" onClick={() => setBulk(null)}>Dismiss</button>
+            )}
+          </div>
+          <ProgressBar value={bulk.done} max={bulk.total} color={bulk.failures.length ? '#ff9800' : '#4caf50'} />
+          {bulk.failures.length > 0 && (
+            <ul className="bulk-failures">
+              {bulk.failures.map(({ item, message }) => (
+                <li key={item.id}>
+                  #{item.id} ({item.field_name} for provider {item.provider_id}): {message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+      {visibleItems.length === 0 ? <p>No items pending review.</p> : (
         <table className="data-table">
           <thead>
             <tr>
+              <th>
+                <input
+                  ref={selectAllRef}
+                  type="checkbox"
+                  checked={allVisibleSelected}
+                  onChange={toggleSelectAll}
+                  aria-label="Select all visible items"
+                />
+              </th>
               <th>ID</th>
               <th>Provider ID</th>
               <th>Field</th>
@@ -692,34 +1017,67 @@ function ManualReview({ items, onAction }) {
             </tr>
           </thead>
           <tbody>
-            {items.map((i) => (
+            {visibleItems.map((i) => (
               <React.Fragment key={i.id}>
-                <tr>
+                <tr className={selected.has(i.id) ? 'selected-row' : ''}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selected.has(i.id)}
+                      onChange={() => toggleSelected(i.id)}
+                      aria-label={`Select item ${i.id}`}
+                    />
+                  </td>
                   <td>{i.id}</td>
-                  <td>{i.provider_id}</td>
+                  <td>
+                    <Link to={`/providers/${i.provider_id}`}>
+                      {i.provider_id}
+                    </Link>
+                  </td>
                   <td>{i.field_name}</td>
                   <td className="text-strike">{i.current_value}</td>
                   <td className="text-highlight">{i.suggested_value}</td>
                   <td>{i.reason}</td>
                   <td className="actions-cell">
-                    <button className="btn-approve" onClick={() => onAction(i.id, 'approve')}>Approve</button>
-                    <button className="btn-override" onClick={() => {
-                      const val = window.prompt('Enter override value:', i.suggested_value);
-                      if (val) onAction(i.id, 'override', val);
-                    }}>Override</button>
-                    <button className="btn-reject" onClick={() => onAction(i.id, 'reject')}>Reject</button>
-                    <button 
-                      className="btn-explain" 
-                      onClick={() => getAIExplanation(i)}
+                    <button className="btn-approve" onClick={() => onAction(i, 'approve')}>Approve</button>
+                    <button
+                      className="btn-override"
+                      aria-expanded={editingId === i.id}
+                      onClick={() => setEditingId(editingId === i.id ? null : i.id)}
+                    >
+                      Override
+                    </button>
+                    <button className="btn-reject" onClick={() => onAction(i, 'reject')}>Reject</button>
+                    <button
+                      className="btn-explain"
+                      onClick={() => toggleExplanation(i)}
                       disabled={loadingExplanation[i.id]}
+                      aria-expanded={Boolean(explanations[i.id])}
                     >
-                      {loadingExplanation[i.id] ? '...' : '🤖 Explain'}
+                      {loadingExplanation[i.id] ? '...' : explanations[i.id] ? '🤖 Hide' : '🤖 Explain'}
+                    </button>
+                    <button className="btn-explain" onClick={() => { setChatItem(i); openChat(); }}>
+                      💬 Ask
                     </button>
                   </td>
                 </tr>
+                {editingId === i.id && (
+                  <tr>
+                    <td colSpan="8">
+                      <OverrideEditor
+                        item={i}
+                        onCancel={() => setEditingId(null)}
+                        onSubmit={async (value) => {
+                          setEditingId(null);
+                          await onAction(i, 'override', value);
+                        }}
+                      />
+                    </td>
+                  </tr>
+                )}
                 {explanations[i.id] && (
                   <tr>
-                    <td colSpan="7" className="explanation-row">
+                    <td colSpan="8" className="explanation-row">
                       <div className="ai-explanation">
                         <strong>🤖 AI Analysis:</strong> {explanations[i.id]}
                       </div>
@@ -739,17 +1097,40 @@ function ManualReview({ items, onAction }) {
    MAIN APP
    ===================== */
 
+// Reports a failed top-level load as a notification with a retry; repeat
+// failures update the same entry, which goes away once the data loads.
+function useLoadNotification(query, what) {
+  const key = `load:${what}`;
+  useEffect(() => {
+    if (query.error) {
+      notifyError(query.error, { title: `Could not load ${what}`, retry: query.refetch, key });
+    } else {
+      dismissByKey(key);
+    }
+  }, [query.error]);
+}
+
 export default function App() {
-  const [view, setView] = useState('dashboard');
-  const [selectedProviderId, setSelectedProviderId] = useState(null);
+  const { pathname } = useLocation();
   const [darkMode, setDarkMode] = useState(() => {
     const saved = localStorage.getItem('darkMode');
     return saved ? JSON.parse(saved) : false;
   });
 
-  const [stats, setStats] = useState(null);
-  const [providers, setProviders] = useState([]);
-  const [manualItems, setManualItems] = useState([]);
+  const statsQuery = useQuery(['stats'], api.getStats);
+  const reviewQuery = useQuery(['manual-review'], api.listManualReview);
+  const stats = statsQuery.data;
+  const reviewQueue = reviewQuery.data ?? EMPTY_LIST;
+  useLoadNotification(statsQuery, 'dashboard statistics');
+  useLoadNotification(reviewQuery, 'the review queue');
+  const manualItems = React.useMemo(() => reviewQueue.filter(i => i.status === 'pending'), [reviewQueue]);
+  const [recentDecisions, setRecentDecisions] = useState([]);
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem('reviewerName') || '');
+
+  useEffect(() => {
+    localStorage.setItem('reviewerName', reviewer);
+    api.setReviewer(reviewer);
+  }, [reviewer]);
 
   // Apply dark mode to document
   useEffect(() => {
@@ -759,67 +1140,134 @@ export default function App() {
 
   const toggleDarkMode = () => setDarkMode(!darkMode);
 
-  const loadData = async () => {
-    try {
-      const [s, p, m] = await Promise.all([
-        axios.get('/stats'),
-        axios.get('/providers'),
-        axios.get('/manual-review'),
-      ]);
-      setStats(s.data);
-      setProviders(p.data);
-      setManualItems(m.data.filter(i => i.status === 'pending'));
-    } catch (err) {
-      console.error('Error loading data', err);
-    }
+
+  const [exportOpen, setExportOpen] = useState(false);
+
+  const replaceQueueItem = (item) => {
+    setQueryData(['manual-review'], (prev = []) => (
+      prev.some(i => i.id === item.id) ? prev.map(i => (i.id === item.id ? item : i)) : [item, ...prev]
+    ));
   };
 
-  useEffect(() => {
-    loadData();
-  }, []);
-
-  const runBatch = async () => {
-    if (window.confirm('Run daily batch process? This may take a moment.')) {
-      await axios.post('/run-batch?type=daily');
-      await loadData();
-      alert('Batch run complete!');
+  // Applies a review decision optimistically: the item leaves the queue before
+  // the request resolves and comes back if it fails. Rethrows so bulk actions
+  // can report per item.
+  const submitManualAction = async (item, action, value) => {
+    replaceQueueItem({ ...item, status: DECIDED_STATUS[action] });
+
+    try {
+      let res;
+      if (action === 'approve') {
+        res = await api.approveReview(item.id);
+      } else if (action === 'reject') {
+        res = await api.rejectReview(item.id);
+      } else {
+        res = await api.overrideReview(item.id, value);
+      }
+      const decided = res.item;
+      replaceQueueItem(decided);
+      setRecentDecisions(prev => [
+        { ...decided, undoDeadline: Date.now() + decided.undo_seconds_left * 1000 },
+        ...prev.filter(d => d.id !== decided.id),
+      ].slice(0, RECENT_DECISIONS_LIMIT));
+      // The queue is already up to date locally; only the provider's own views need refetching.
+      invalidateQueries(['providers', item.provider_id]);
+      invalidateQueries(['providers', 'list'], { refetchActive: false });
+      invalidateQueries(['manual-review'], { refetchActive: false });
+    } catch (err) {
+      replaceQueueItem(item);
+      throw err;
     }
   };
 
-  const downloadReport = async () => {
+  // Sends a decided item back to the queue; returns false (after telling the
+  // user) when the backend refuses, e.g. because the undo window has passed.
+  const undoDecision = async (decision) => {
     try {
-      const response = await axios.get('/reports/latest', { responseType: 'blob' });
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', `validation_report_${new Date().toISOString().split('T')[0]}.pdf`);
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      const res = await api.undoReview(decision.id);
+      const restored = res.item;
+      setRecentDecisions(prev => prev.filter(d => d.id !== decision.id));
+      replaceQueueItem(restored);
+      invalidateQueries(['providers', restored.provider_id]);
+      invalidateQueries(['providers', 'list'], { refetchActive: false });
+      invalidateQueries(['manual-review'], { refetchActive: false });
+      return true;
     } catch (err) {
-      alert('Failed to download report');
+      notifyError(err, { title: `Undo of review #${decision.id} failed`, fallback: 'Undo failed' });
+      return false;
     }
   };
 
-  const handleManualAction = async (id, action, value) => {
+  const handleManualAction = async (item, action, value) => {
     try {
-      if (action === 'approve') {
-        await axios.post(`/manual-review/${id}/approve`);
-      } else if (action === 'reject') {
-        await axios.post(`/manual-review/${id}/reject`);
-      } else {
-        await axios.post(`/manual-review/${id}/override?value=${encodeURIComponent(value)}`);
-      }
-      await loadData();
-    } catch {
-      alert('Action failed');
+      await submitManualAction(item, action, value);
+    } catch (err) {
+      notifyError(err, {
+        title: `Could not ${action} review #${item.id}`,
+        fallback: 'Action failed',
+        retry: () => handleManualAction(item, action, value),
+        key: `review-action:${item.id}`,
+      });
     }
   };
 
-  const navigateToDetail = (id) => {
-    setSelectedProviderId(id);
-    setView('detail');
-  };
+  const navigateToDetail = (id) => navigate(`/providers/${id}`);
+
+  const detailMatch = matchPath('/providers/:id', pathname);
+  const runMatch = matchPath('/runs/:id', pathname);
+  const isSection = (prefix) => pathname === prefix || pathname.startsWith(`${prefix}/`);
+
+  let content;
+  if (pathname === '/') {
+    content = <Dashboard stats={stats} manualReviewCount={manualItems.length} />;
+  } else if (pathname === '/providers') {
+    content = <ProviderList onSelect={navigateToDetail} />;
+  } else if (pathname === '/providers/duplicates') {
+    content = <Duplicates reviewer={reviewer} />;
+  } else if (detailMatch) {
+    content = (
+      <ProviderDetail
+        providerId={Number(detailMatch.id)}
+        onBack={() => goBack('/providers', '/providers')}
+        reviewer={reviewer}
+        onReviewerChange={setReviewer}
+      />
+    );
+  } else if (pathname === '/manual-review') {
+    content = (
+      <ManualReview
+        items={manualItems}
+        onAction={handleManualAction}
+        onBulkAction={submitManualAction}
+        recentDecisions={recentDecisions}
+        onUndo={undoDecision}
+        reviewer={reviewer}
+        onReviewerChange={setReviewer}
+      />
+    );
+  } else if (pathname === '/manual-review/history') {
+    content = <ReviewHistory onUndo={undoDecision} />;
+  } else if (pathname === '/runs') {
+    content = <RunHistory />;
+  } else if (pathname === '/runs/compare') {
+    content = <RunComparison />;
+  } else if (runMatch) {
+    content = <RunDetail runId={Number(runMatch.id)} />;
+  } else if (pathname === '/import') {
+    content = <ImportWizard reviewer={reviewer} onReviewerChange={setReviewer} />;
+  } else if (pathname === '/licenses') {
+    content = <Licenses />;
+  } else if (pathname === '/settings') {
+    content = <Settings reviewer={reviewer} onReviewerChange={setReviewer} />;
+  } else {
+    content = (
+      <div className="card">
+        <h2>Page not found</h2>
+        <p>Nothing lives at <code>{pathname}</code>.</p>
+        <button className="btn-small" onClick={() => navigate('/')}>Go to Dashboard</button>
+      </div>
+    );
+  }
 
   return (
     <div className="app-layout">
@@ -836,37 +1284,50 @@ export default function App() {
           </button>
         </div>
         <nav className="sidebar-nav">
-          <button className={view === 'dashboard' ? 'active' : ''} onClick={() => setView('dashboard')}>
+          <button className={pathname === '/' ? 'active' : ''} onClick={() => navigate('/')}>
             📊 Dashboard
           </button>
-          <button className={view === 'providers' ? 'active' : ''} onClick={() => setView('providers')}>
+          <button className={isSection('/providers') ? 'active' : ''} onClick={() => navigate('/providers')}>
             🏥 Providers
           </button>
-          <button className={view === 'manual' ? 'active' : ''} onClick={() => setView('manual')}>
+          <button className={isSection('/manual-review') ? 'active' : ''} onClick={() => navigate('/manual-review')}>
             📝 Manual Review
             {manualItems.length > 0 && <span className="badge-count">{manualItems.length}</span>}
           </button>
+          <button className={isSection('/runs') ? 'active' : ''} onClick={() => navigate('/runs')}>
+            🕒 Batch Runs
+          </button>
+          <button className={isSection('/licenses') ? 'active' : ''} onClick={() => navigate('/licenses')}>
+            🪪 Licenses
+          </button>
+          <button className={isSection('/import') ? 'active' : ''} onClick={() => navigate('/import')}>
+            📥 Import
+          </button>
+          <button className={isSection('/settings') ? 'active' : ''} onClick={() => navigate('/settings')}>
+            ⚙️ Settings
+          </button>
         </nav>
         <div className="sidebar-footer">
-          <button className="btn-run-batch" onClick={runBatch}>
-            ▷ Run Daily Batch
-          </button>
-          <button className="btn-download" onClick={downloadReport}>
-            ↓ Download Report
+          <NotificationCenter />
+          <BatchRunPanel />
+          <button className="btn-download" onClick={() => setExportOpen(true)}>
+            ↓ Export…
           </button>
         </div>
       </aside>
 
       {/* Main Content */}
       <main className="main-content">
-        {view === 'dashboard' && <Dashboard stats={stats} manualReviewCount={manualItems.length} />}
-        {view === 'providers' && <ProviderList providers={providers} onSelect={navigateToDetail} />}
-        {view === 'detail' && <ProviderDetail providerId={selectedProviderId} onBack={() => setView('providers')} />}
-        {view === 'manual' && <ManualReview items={manualItems} onAction={handleManualAction} />}
+        <ErrorBoundary label="This page" resetKey={pathname}>
+          {content}
+        </ErrorBoundary>
       </main>
 
+      <Toasts />
+      {exportOpen && <ExportDialog onClose={() => setExportOpen(false)} />}
+
       {/* Chatbot */}
-      <Chatbot />
+      <Chatbot reviewItems={manualItems} onReviewAction={submitManualAction} />
     </div>
   );
 }
@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as api from './api';
+import { invalidateQueries } from './queryCache';
+import { navigate } from './router';
+
+const POLL_MS = 1500;
+const RUN_TYPES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'onboarding', label: 'Onboarding' },
+];
+const STATUS_TEXT = {
+  completed: 'Batch run complete',
+  cancelled: 'Batch run cancelled',
+  failed: 'Batch run failed',
+};
+
+// Starts batch runs in the background and follows their progress. Lives in
+// the sidebar so a run keeps reporting while the user moves between views.
+export default function BatchRunPanel() {
+  const [type, setType] = useState('daily');
+  const [run, setRun] = useState(null);
+  const [starting, setStarting] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [error, setError] = useState(null);
+  const [showErrors, setShowErrors] = useState(false);
+  const lastReviewCount = useRef(0);
+
+  const running = run?.status === 'running';
+
+  // Pick up a run that is still going after a reload (or was started elsewhere).
+  useEffect(() => {
+    api.getActiveBatch().then(active => active && setRun(active)).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(async () => {
+      try {
+        const next = await api.getBatchRun(run.id);
+        setRun(next);
+        if (next.status !== 'running') {
+          setCancelling(false);
+          invalidateQueries();
+        } else if (next.manual_reviews !== lastReviewCount.current) {
+          lastReviewCount.current = next.manual_reviews;
+          invalidateQueries(['manual-review']);
+        }
+      } catch {
+        // Transient polling failures are retried on the next tick.
+      }
+    }, POLL_MS);
+    return () => clearInterval(timer);
+  }, [running, run?.id]);
+
+  const handleStart = async () => {
+    setStarting(true);
+    setError(null);
+    setShowErrors(false);
+    try {
+      lastReviewCount.current = 0;
+      setRun(await api.startBatch(type));
+    } catch (err) {
+      if (err.status === 409) {
+        const active = await api.getActiveBatch().catch(() => null);
+        if (active) setRun(active);
+      }
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    try {
+      await api.cancelBatch(run.id);
+    } catch (err) {
+      setCancelling(false);
+      setError(err.message);
+    }
+  };
+
+  const total = run?.total || 0;
+  const pct = total ? Math.round((run.count_processed + run.errors.length) / total * 100) : 0;
+  const scoring = running && total > 0 && run.count_processed + run.errors.length >= total;
+
+  return (
+    <div className="batch-panel">
+      {!running && (
+        <div className="batch-start">
+          <select value={type} onChange={(e) => setType(e.target.value)} aria-label="Batch run type">
+            {RUN_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <button className="btn-run-batch" onClick={handleStart} disabled={starting}>
+            {starting ? 'Starting…' : '▷ Run Batch'}
+          </button>
+        </div>
+      )}
+
+      {run && (
+        <div className={`batch-status ${run.status}`} role="status" aria-live="polite">
+          <div className="batch-status-title">
+            {running ? `${run.type} run in progress` : STATUS_TEXT[run.status] || run.status}
+            {!running && (
+              <button className="btn-link" onClick={() => setRun(null)} aria-label="Dismiss">×</button>
+            )}
+          </div>
+          {running && (
+            <>
+              <div className="progress-bar-bg">
+                <div className="progress-bar-fill" style={{ width: `${pct}%`, background: 'var(--primary)' }} />
+              </div>
+              <div className="batch-status-line">
+                {scoring ? 'Recomputing PCS & drift…' : `${run.count_processed + run.errors.length} / ${total || '…'} providers`}
+              </div>
+            </>
+          )}
+          <div className="batch-counts">
+            <span>✓ {run.auto_updates} auto-updates</span>
+            <span>⚡ {run.manual_reviews} to review</span>
+            {run.errors.length > 0 && (
+              <button className="btn-link batch-error-toggle" onClick={() => setShowErrors(!showErrors)}>
+                ⚠ {run.errors.length} failed
+              </button>
+            )}
+          </div>
+          {showErrors && (
+            <ul className="batch-errors">
+              {run.errors.map(e => (
+                <li key={e.provider_id}>
+                  <strong>{e.name || `Provider ${e.provider_id}`}</strong>: {e.error}
+                </li>
+              ))}
+            </ul>
+          )}
+          {!running && (
+            <button className="btn-link" onClick={() => navigate(`/runs/${run.id}`)}>View run details →</button>
+          )}
+          {running && (
+            <button className="btn-download" onClick={handleCancel} disabled={cancelling}>
+              {cancelling ? 'Cancelling…' : 'Cancel run'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <div className="batch-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+import React, { useRef, useState } from 'react';
+
+// Dashboard charts. Every mark (slice, bar, point) is focusable and shows the
+// same tooltip on hover or keyboard focus; charts that accept `onSelect`
+// drill through on click or Enter. Each chart also renders its data as a
+// visually hidden table for screen readers.
+
+export const DRIFT_COLORS = { High: '#ef4444', Medium: '#f59e0b', Low: '#10b981' };
+
+// Axis ticks from 0 to a "nice" maximum (1, 2, 2.5 or 5 × 10^n steps).
+// Counts pass `integer` so small values don't get fractional ticks.
+export function niceTicks(maxValue, { count = 4, integer = false } = {}) {
+  const max = Math.max(maxValue, 1);
+  const rough = max / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const nice = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+  const step = integer ? Math.max(1, Math.ceil(nice)) : nice;
+  const top = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = 0; value <= top + step / 2; value += step) ticks.push(Number(value.toFixed(6)));
+  return ticks;
+}
+
+function formatTick(value) {
+  if (value >= 1000) return `${(value / 1000).toFixed(value % 1000 ? 1 : 0)}k`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+function useTooltip() {
+  const containerRef = useRef(null);
+  const [tooltip, setTooltip] = useState(null);
+
+  // Anchors above the hovered/focused element so mouse and keyboard agree.
+  const show = (event, content) => {
+    const container = containerRef.current?.getBoundingClientRect();
+    const target = event.currentTarget.getBoundingClientRect();
+    if (!container) return;
+    setTooltip({
+      x: target.left + target.width / 2 - container.left,
+      y: target.top - container.top,
+      content,
+    });
+  };
+  const hide = () => setTooltip(null);
+
+  const element = tooltip && (
+    <div className="chart-tooltip" role="tooltip" style={{ left: tooltip.x, top: tooltip.y }}>
+      {tooltip.content}
+    </div>
+  );
+  return { containerRef, show, hide, element };
+}
+
+function activateOnKey(handler) {
+  return (event) => {
+    if (handler && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault();
+      handler();
+    }
+  };
+}
+
+function SrTable({ caption, columns, rows }) {
+  return (
+    <table className="sr-only">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>{columns.map(c => <th key={c} scope="col">{c}</th>)}</tr>
+      </thead>
+      <tbody>
+        {rows.map((row, idx) => (
+          <tr key={idx}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Donut chart of drift buckets. Legend entries toggle slices in and out;
+// clicking a slice calls onSelect(key).
+export function PieChart({ data, colors = DRIFT_COLORS, order = ['High', 'Medium', 'Low'], label, onSelect }) {
+  const [hidden, setHidden] = useState([]);
+  const { containerRef, show, hide, element } = useTooltip();
+
+  const keys = order.filter(k => k in data);
+  const visible = keys.filter(k => !hidden.includes(k));
+  const total = visible.reduce((sum, k) => sum + (data[k] || 0), 0);
+
+  let offset = 0;
+  const slices = visible.map(key => {
+    const value = data[key] || 0;
+    const pct = total ? (value / total) * 100 : 0;
+    const slice = { key, value, pct, offset };
+    offset += pct;
+    return slice;
+  });
+
+  const toggle = (key) => setHidden(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+
+  return (
+    <div className="pie-chart-container" role="figure" aria-label={label}>
+      <div className="pie-chart-wrapper" ref={containerRef}>
+        <svg className="pie-chart" viewBox="0 0 42 42">
+          <circle className="pie-track" cx="21" cy="21" r="15.9155" />
+          {slices.filter(s => s.value > 0).map(s => (
+            <circle
+              key={s.key}
+              className={`pie-slice ${onSelect ? 'selectable' : ''}`}
+              cx="21"
+              cy="21"
+              r="15.9155"
+              stroke={colors[s.key]}
+              strokeDasharray={`${s.pct} ${100 - s.pct}`}
+              strokeDashoffset={25 - s.offset}
+              tabIndex={0}
+              role={onSelect ? 'button' : 'img'}
+              aria-label={`${s.key}: ${s.value} (${s.pct.toFixed(0)}%)${onSelect ? '. Show these providers' : ''}`}
+              onMouseEnter={(e) => show(e, `${s.key}: ${s.value} (${s.pct.toFixed(0)}%)`)}
+              onFocus={(e) => show(e, `${s.key}: ${s.value} (${s.pct.toFixed(0)}%)`)}
+              onMouseLeave={hide}
+              onBlur={hide}
+              onClick={onSelect && (() => onSelect(s.key))}
+              onKeyDown={activateOnKey(onSelect && (() => onSelect(s.key)))}
+            />
+          ))}
+        </svg>
+        <div className="pie-center" aria-hidden="true">
+          <span className="pie-center-value">{total}</span>
+          <span className="pie-center-label">Total</span>
+        </div>
+        {element}
+      </div>
+      <div className="pie-legend">
+        {keys.map(key => (
+          <button
+            key={key}
+            type="button"
+            className={`legend-item legend-toggle ${hidden.includes(key) ? 'off' : ''}`}
+            aria-pressed={!hidden.includes(key)}
+            onClick={() => toggle(key)}
+          >
+            <span className="legend-dot" style={{ background: colors[key] }}></span>
+            <span className="legend-text">{key === 'High' ? 'High Risk' : key}</span>
+            <span className="legend-value">{data[key] || 0}</span>
+          </button>
+        ))}
+      </div>
+      <SrTable caption={label} columns={['Bucket', 'Providers']} rows={keys.map(k => [k, data[k] || 0])} />
+    </div>
+  );
+}
+
+// Vertical bar chart over an ordered {label: value} map.
+export function BarChart({ data, label, unit = 'providers', onSelect }) {
+  const { containerRef, show, hide, element } = useTooltip();
+  const entries = Object.entries(data || {});
+  const ticks = niceTicks(Math.max(0, ...entries.map(([, v]) => v)), { integer: true });
+  const top = ticks[ticks.length - 1];
+
+  return (
+    <div className="bar-chart" role="figure" aria-label={label} ref={containerRef}>
+      <div className="chart-y-axis" aria-hidden="true">
+        {[...ticks].reverse().map(t => <span key={t}>{formatTick(t)}</span>)}
+      </div>
+      <div className="bar-plot">
+        <div className="chart-gridlines" aria-hidden="true">
+          {ticks.map(t => <span key={t} style={{ bottom: `${(t / top) * 100}%` }} />)}
+        </div>
+        {entries.map(([key, value], idx) => {
+          const text = `${key}: ${value} ${unit}`;
+          return (
+            <div key={key} className="bar-item">
+              <button
+                type="button"
+                className={`bar range-${idx % 5}`}
+                style={{ height: `${(value / top) * 100}%` }}
+                aria-label={onSelect ? `${text}. Show these ${unit}` : text}
+                disabled={!onSelect}
+                onMouseEnter={(e) => show(e, text)}
+                onFocus={(e) => show(e, text)}
+                onMouseLeave={hide}
+                onBlur={hide}
+                onClick={() => onSelect?.(key)}
+              />
+              <span className="bar-label">{key}</span>
+            </div>
+          );
+        })}
+      </div>
+      {element}
+      <SrTable caption={label} columns={['Range', unit]} rows={entries} />
+    </div>
+  );
+}
+
+// Multi-series line chart. `series` is [{ key, label, color }] read from each
+// point in `data`; the legend toggles series and the y-axis rescales to the
+// visible ones. onSelect(point) fires when a point is clicked.
+export function LineChart({
+  data,
+  series,
+  xKey = 'date',
+  label,
+  integer = true,
+  formatValue = formatTick,
+  onSelect,
+  emptyText = 'No trend data available',
+}) {
+  const [hidden, setHidden] = useState([]);
+  const { containerRef, show, hide, element } = useTooltip();
+
+  if (!data || data.length === 0) {
+    return <div className="chart-empty">{emptyText}</div>;
+  }
+
+  const visible = series.filter(s => !hidden.includes(s.key));
+  const values = visible.flatMap(s => data.map(d => d[s.key]).filter(v => v != null));
+  const ticks = niceTicks(Math.max(0, ...values), { integer });
+  const top = ticks[ticks.length - 1];
+
+  const x = (idx) => (data.length === 1 ? 50 : (idx / (data.length - 1)) * 100);
+  const y = (value) => 100 - (value / top) * 100;
+
+  const toggle = (key) => setHidden(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  const pointText = (point, s) => `${point[xKey]} · ${s.label}: ${formatValue(point[s.key])}`;
+
+  return (
+    <div role="figure" aria-label={label}>
+      <div className="trend-legend">
+        {series.map(s => (
+          <button
+            key={s.key}
+            type="button"
+            className={`trend-legend-item legend-toggle ${hidden.includes(s.key) ? 'off' : ''}`}
+            aria-pressed={!hidden.includes(s.key)}
+            onClick={() => toggle(s.key)}
+          >
+            <span className="trend-legend-line" style={{ background: s.color }}></span>
+            <span>{s.label}</span>
+          </button>
+        ))}
+      </div>
+      <div className="line-chart" ref={containerRef}>
+        <div className="chart-y-axis" aria-hidden="true">
+          {[...ticks].reverse().map(t => <span key={t}>{formatValue(t)}</span>)}
+        </div>
+        <div className="line-plot">
+          <div className="chart-gridlines" aria-hidden="true">
+            {ticks.map(t => <span key={t} style={{ bottom: `${(t / top) * 100}%` }} />)}
+          </div>
+          <svg className="line-chart-svg" viewBox="0 0 100 100" preserveAspectRatio="none" aria-hidden="true">
+            {visible.map(s => {
+              const points = data.map((d, i) => (d[s.key] == null ? null : `${x(i)},${y(d[s.key])}`)).filter(Boolean);
+              return (
+                <polyline
+                  key={s.key}
+                  points={points.join(' ')}
+                  fill="none"
+                  stroke={s.color}
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              );
+            })}
+          </svg>
+          {visible.map(s => data.map((point, i) => point[s.key] != null && (
+            <button
+              key={`${s.key}-${i}`}
+              type="button"
+              className="line-point"
+              style={{ left: `${x(i)}%`, top: `${y(point[s.key])}%`, background: s.color }}
+              aria-label={onSelect ? `${pointText(point, s)}. Open details` : pointText(point, s)}
+              onMouseEnter={(e) => show(e, pointText(point, s))}
+              onFocus={(e) => show(e, pointText(point, s))}
+              onMouseLeave={hide}
+              onBlur={hide}
+              onClick={() => onSelect?.(point)}
+            />
+          )))}
+        </div>
+        {element}
+      </div>
+      <div className="x-axis-labels" aria-hidden="true">
+        {data.map((d, i) => <span key={i}>{d[xKey] || `Run ${i + 1}`}</span>)}
+      </div>
+      <SrTable
+        caption={label}
+        columns={[xKey, ...series.map(s => s.label)]}
+        rows={data.map(d => [d[xKey], ...series.map(s => (d[s.key] == null ? 'N/A' : formatValue(d[s.key])))])}
+      />
+    </div>
+  );
+}
+
+// Small inline trend of 0–1 values (e.g. confidence per run) with an
+// optional dashed threshold line.
+export function Sparkline({ values, threshold, width = 100, height = 24, label }) {
+  if (!values || values.length === 0) return <span className="text-muted">—</span>;
+  const x = (idx) => (values.length === 1 ? width / 2 : (idx / (values.length - 1)) * width);
+  const y = (value) => height - 2 - value * (height - 4);
+  const last = values[values.length - 1];
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label}>
+      {threshold != null && (
+        <line x1="0" x2={width} y1={y(threshold)} y2={y(threshold)} className="sparkline-threshold" />
+      )}
+      <polyline points={values.map((v, i) => `${x(i)},${y(v)}`).join(' ')} fill="none" className="sparkline-line" />
+      <circle
+        cx={x(values.length - 1)}
+        cy={y(last)}
+        r="2.5"
+        className={threshold != null && last < threshold ? 'sparkline-dot low' : 'sparkline-dot'}
+      />
+    </svg>
+  );
+}
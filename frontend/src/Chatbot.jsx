@@ -0,0 +1,320 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as api from './api';
+import Markdown from './Markdown';
+import { describeAction, isMutating, runNavigation, splitActions } from './chatActions';
+import {
+  clearChatContext,
+  closeChat,
+  createConversation,
+  deleteConversation,
+  renameConversation,
+  selectConversation,
+  toggleChat,
+  updateConversation,
+  useChatState,
+} from './chatStore';
+import { formatRelative } from './dates';
+import { notifyError } from './notifications';
+
+let messageSeq = 0;
+const messageId = () => `m${Date.now().toString(36)}${(messageSeq++).toString(36)}`;
+
+function ConversationList({ conversations, activeId, disabled, onPicked }) {
+  const [renamingId, setRenamingId] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startRename = (c) => { setRenamingId(c.id); setDraft(c.title); };
+  const finishRename = () => { renameConversation(renamingId, draft); setRenamingId(null); };
+
+  return (
+    <div className="chatbot-conversations">
+      <button
+        type="button"
+        className="btn-small"
+        disabled={disabled}
+        onClick={() => { createConversation(); onPicked(); }}
+      >
+        + New conversation
+      </button>
+      <ul>
+        {conversations.map(c => (
+          <li key={c.id} className={c.id === activeId ? 'active' : ''}>
+            {renamingId === c.id ? (
+              <input
+                autoFocus
+                value={draft}
+                aria-label="Conversation name"
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={finishRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') finishRename();
+                  if (e.key === 'Escape') setRenamingId(null);
+                }}
+              />
+            ) : (
+              <button
+                type="button"
+                className="chatbot-conversation-title"
+                disabled={disabled}
+                onClick={() => { selectConversation(c.id); onPicked(); }}
+              >
+                <span>{c.title}</span>
+                <small>{formatRelative(new Date(c.updatedAt))}</small>
+              </button>
+            )}
+            <button type="button" className="btn-link" aria-label={`Rename ${c.title}`} onClick={() => startRename(c)}>✎</button>
+            <button
+              type="button"
+              className="btn-link"
+              aria-label={`Delete ${c.title}`}
+              disabled={disabled}
+              onClick={() => { if (window.confirm(`Delete "${c.title}"?`)) deleteConversation(c.id); }}
+            >
+              🗑
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const REVIEW_DECISIONS = { approve_review: 'approve', reject_review: 'reject' };
+
+// Buttons for the actions attached to an answer. Navigation runs on click;
+// review decisions ask for confirmation first and record their outcome on
+// the message so they cannot be run twice.
+function ChatActions({ actions, results = {}, reviewItems, onReviewAction, onResult }) {
+  const [running, setRunning] = useState(null);
+
+  const run = async (action, idx) => {
+    if (!isMutating(action)) {
+      await runNavigation(action);
+      return;
+    }
+    const item = reviewItems.find(i => i.id === action.review_id && i.status === 'pending');
+    if (!item) {
+      onResult(idx, `Review #${action.review_id} is not in the pending queue.`);
+      return;
+    }
+    const decision = REVIEW_DECISIONS[action.type];
+    const change = decision === 'approve' ? ` (${item.current_value || 'empty'} → ${item.suggested_value})` : '';
+    if (!window.confirm(`${decision === 'approve' ? 'Approve' : 'Reject'} review #${item.id}: ${item.field_name} for provider ${item.provider_id}${change}?`)) return;
+
+    setRunning(idx);
+    try {
+      await onReviewAction(item, decision);
+      onResult(idx, 'done');
+    } catch (err) {
+      onResult(idx, err.message || 'Action failed.');
+    } finally {
+      setRunning(null);
+    }
+  };
+
+  return (
+    <div className="chatbot-actions">
+      {actions.map((action, idx) => {
+        const result = results[idx];
+        return (
+          <div key={idx} className="chatbot-action">
+            <button
+              type="button"
+              className={isMutating(action) ? 'btn-small chatbot-action-mutating' : 'btn-small'}
+              disabled={running != null || result === 'done'}
+              onClick={() => run(action, idx)}
+            >
+              {isMutating(action) ? '⚠ ' : '→ '}{describeAction(action)}
+            </button>
+            {result === 'done' && <span className="chatbot-action-result">✓ Done</span>}
+            {result && result !== 'done' && <span className="chatbot-action-result error">{result}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function ChatMessage({ message, actionProps, onActionResult }) {
+  const { text, actions } = message.role === 'assistant' && !message.error
+    ? splitActions(message.content)
+    : { text: message.content, actions: [] };
+
+  return (
+    <div className={`chatbot-message ${message.role} ${message.error ? 'error' : ''}`}>
+      {message.context && <div className="chatbot-message-context">About {message.context}</div>}
+      {message.role === 'assistant' ? (
+        message.streaming && !text
+          ? <span className="typing-indicator">●●●</span>
+          : <Markdown text={text} />
+      ) : text}
+      {message.streaming && text && <span className="chatbot-cursor" aria-hidden="true">▍</span>}
+      {message.stopped && <div className="chatbot-message-context">Stopped</div>}
+      {!message.streaming && actions.length > 0 && (
+        <ChatActions
+          {...actionProps}
+          actions={actions}
+          results={message.actionResults}
+          onResult={onActionResult}
+        />
+      )}
+    </div>
+  );
+}
+
+export default function Chatbot({ reviewItems = [], onReviewAction }) {
+  const { conversations, activeId, isOpen, context } = useChatState();
+  const active = conversations.find(c => c.id === activeId) || conversations[0];
+  const [input, setInput] = useState('');
+  const [showList, setShowList] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+  const messagesEndRef = useRef(null);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [active.messages, isOpen]);
+
+  // Stop streaming into a conversation if the app unmounts mid-answer.
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const send = async (userMessage) => {
+    if (!userMessage || streaming) return;
+
+    const conversationId = active.id;
+    const history = active.messages.filter(m => !m.error).map(({ role, content }) => ({ role, content }));
+    const questionId = messageId();
+    const answerId = messageId();
+    const updateAnswer = (patch) => updateConversation(conversationId, c => ({
+      ...c,
+      messages: c.messages.map(m => (m.id === answerId ? { ...m, ...patch } : m)),
+    }));
+
+    setInput('');
+    updateConversation(conversationId, c => ({
+      ...c,
+      messages: [
+        ...c.messages,
+        { id: questionId, role: 'user', content: userMessage, context: context?.label },
+        { id: answerId, role: 'assistant', content: '', streaming: true },
+      ],
+    }));
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setStreaming(true);
+    try {
+      const requestContext = context && {
+        provider_id: context.provider_id ?? null,
+        field: context.field ?? null,
+        review_id: context.review_id ?? null,
+      };
+      await api.streamChat(userMessage, history, requestContext, {
+        signal: controller.signal,
+        onChunk: (_, text) => updateAnswer({ content: text }),
+      });
+      updateAnswer({ streaming: false });
+    } catch (err) {
+      if (api.isCancelled(err)) {
+        updateAnswer({ streaming: false, stopped: true });
+      } else {
+        // Take the unanswered question back out; the notification offers to resend it.
+        updateConversation(conversationId, c => ({
+          ...c,
+          messages: c.messages.filter(m => m.id !== questionId && m.id !== answerId),
+        }));
+        notifyError(err, {
+          title: 'Chat message not sent',
+          fallback: 'Sorry, I encountered an error. Please try again.',
+          retry: () => send(userMessage),
+          key: 'chat',
+        });
+      }
+    } finally {
+      abortRef.current = null;
+      setStreaming(false);
+    }
+  };
+
+  const handleSend = () => send(input.trim());
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  return (
+    <div className="chatbot-container">
+      {isOpen && (
+        <div className="chatbot-window" role="dialog" aria-label="AI Assistant">
+          <div className="chatbot-header">
+            <button
+              type="button"
+              className="chatbot-close"
+              aria-label="Conversations"
+              aria-expanded={showList}
+              onClick={() => setShowList(!showList)}
+            >
+              ☰
+            </button>
+            <span className="chatbot-title">💬 {active.title}</span>
+            <button className="chatbot-close" aria-label="Close chat" onClick={closeChat}>×</button>
+          </div>
+          {showList ? (
+            <ConversationList
+              conversations={conversations}
+              activeId={active.id}
+              disabled={streaming}
+              onPicked={() => setShowList(false)}
+            />
+          ) : (
+            <>
+              {context && (
+                <div className="chatbot-context">
+                  <span>Asking about <strong>{context.label}</strong></span>
+                  <button type="button" className="btn-link" aria-label="Stop sending this context" onClick={clearChatContext}>×</button>
+                </div>
+              )}
+              <div className="chatbot-messages" aria-live="polite">
+                {active.messages.map((msg, idx) => (
+                  <ChatMessage
+                    key={msg.id || idx}
+                    message={msg}
+                    actionProps={{ reviewItems, onReviewAction }}
+                    onActionResult={(actionIdx, result) => updateConversation(active.id, c => ({
+                      ...c,
+                      messages: c.messages.map(m => (m.id === msg.id
+                        ? { ...m, actionResults: { ...m.actionResults, [actionIdx]: result } }
+                        : m)),
+                    }))}
+                  />
+                ))}
+                <div ref={messagesEndRef} />
+              </div>
+              <div className="chatbot-input-area">
+                <input
+                  type="text"
+                  value={input}
+                  onChange={(e) => setInput(e.target.value)}
+                  onKeyDown={handleKeyDown}
+                  placeholder={context ? `Ask about ${context.label}...` : 'Ask me anything...'}
+                  disabled={streaming}
+                />
+                {streaming ? (
+                  <button onClick={() => abortRef.current?.abort()} aria-label="Stop generating">■</button>
+                ) : (
+                  <button onClick={handleSend} disabled={!input.trim()} aria-label="Send">➤</button>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+      <button className="chatbot-fab" onClick={toggleChat} aria-label={isOpen ? 'Close chat' : 'Open chat'}>
+        {isOpen ? '✕' : '💬'}
+      </button>
+    </div>
+  );
+}
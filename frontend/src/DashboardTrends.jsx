@@ -0,0 +1,172 @@
+import React from 'react';
+import { getTrend } from './api';
+import { LineChart } from './Charts';
+import { formatLocalDate } from './dates';
+import { automationRate, decisionRatios, toPercent } from './metrics';
+import { ErrorBanner } from './NotificationCenter';
+import { useQuery } from './queryCache';
+import { buildPath, navigate, useQueryState } from './router';
+
+const RANGES = [
+  { value: 'runs5', label: 'Last 5 runs', limit: 5 },
+  { value: 'runs10', label: 'Last 10 runs', limit: 10 },
+  { value: 'runs25', label: 'Last 25 runs', limit: 25 },
+  { value: '7d', label: 'Last 7 days', days: 7 },
+  { value: '30d', label: 'Last 30 days', days: 30 },
+  { value: '90d', label: 'Last 90 days', days: 90 },
+  { value: 'custom', label: 'Custom dates' },
+];
+
+const PERCENT = (v) => `${v}%`;
+
+const METRICS = [
+  {
+    value: 'volume',
+    label: 'Routing volume',
+    series: [
+      { key: 'auto_updates', label: 'Auto-Updates', color: '#4caf50' },
+      { key: 'manual_reviews', label: 'Manual Reviews', color: '#ffc107' },
+      { key: 'backlog', label: 'Review Backlog', color: '#8b5cf6' },
+    ],
+  },
+  {
+    value: 'rates',
+    label: 'Automation & decisions',
+    integer: false,
+    formatValue: PERCENT,
+    series: [
+      { key: 'automation_rate', label: 'Automation Rate', color: '#4caf50' },
+      { key: 'approve_ratio', label: 'Approved', color: '#10b981' },
+      { key: 'reject_ratio', label: 'Rejected', color: '#ef4444' },
+      { key: 'override_ratio', label: 'Overridden', color: '#f59e0b' },
+    ],
+  },
+  {
+    value: 'pcs',
+    label: 'Average PCS',
+    integer: false,
+    series: [{ key: 'avg_pcs', label: 'Average PCS', color: '#6366f1' }],
+  },
+  {
+    value: 'drift',
+    label: 'Drift buckets',
+    series: [
+      { key: 'drift_high', label: 'High', color: '#ef4444' },
+      { key: 'drift_medium', label: 'Medium', color: '#f59e0b' },
+      { key: 'drift_low', label: 'Low', color: '#10b981' },
+    ],
+  },
+];
+
+// Query params for /stats/trend from the selected range.
+export function trendParams(range, from, to) {
+  const option = RANGES.find(r => r.value === range) || RANGES[0];
+  if (option.limit) return { limit: option.limit };
+  if (option.days) {
+    const since = new Date();
+    since.setDate(since.getDate() - option.days + 1);
+    return { since: formatLocalDate(since) };
+  }
+  return { since: from || undefined, until: to || undefined };
+}
+
+// Flattens the API points into the series keys the charts read.
+export function toChartPoints(points) {
+  return points.map(p => {
+    const ratios = decisionRatios(p.decisions);
+    return {
+      ...p,
+      automation_rate: toPercent(automationRate(p.auto_updates, p.manual_reviews)),
+      approve_ratio: toPercent(ratios.approved),
+      reject_ratio: toPercent(ratios.rejected),
+      override_ratio: toPercent(ratios.overridden),
+      avg_pcs: p.avg_pcs == null ? null : Number(p.avg_pcs.toFixed(1)),
+      drift_high: p.drift?.High ?? null,
+      drift_medium: p.drift?.Medium ?? null,
+      drift_low: p.drift?.Low ?? null,
+    };
+  });
+}
+
+export default function DashboardTrends() {
+  const [params, setParams] = useQueryState();
+  const range = RANGES.some(r => r.value === params.range) ? params.range : RANGES[0].value;
+  const metric = METRICS.find(m => m.value === params.metric) || METRICS[0];
+  const query = trendParams(range, params.from, params.to);
+  const customIncomplete = range === 'custom' && !params.from && !params.to;
+
+  const { data, error, refetch } = useQuery(['stats', 'trend', query], () => getTrend(query), { enabled: !customIncomplete });
+  const points = data ? toChartPoints(data) : null;
+  const rangeLabel = RANGES.find(r => r.value === range).label;
+
+  return (
+    <div className="trend-card">
+      <h3>
+        <span className="icon" style={{background: 'linear-gradient(135deg, rgba(16, 185, 129, 0.2) 0%, rgba(16, 185, 129, 0.05) 100%)'}}>📈</span>
+        Automation Trend ({rangeLabel})
+        {points?.length >= 2 && (
+          <button
+            className="btn-link trend-compare"
+            onClick={() => navigate(buildPath('/runs/compare', {
+              base: points[points.length - 2].id,
+              target: points[points.length - 1].id,
+            }))}
+          >
+            Compare last two runs →
+          </button>
+        )}
+      </h3>
+
+      <div className="trend-controls">
+        <div className="trend-tabs" role="tablist" aria-label="Trend metric">
+          {METRICS.map(m => (
+            <button
+              key={m.value}
+              type="button"
+              role="tab"
+              aria-selected={m === metric}
+              className={`filter-chip ${m === metric ? 'active' : ''}`}
+              onClick={() => setParams({ metric: m === METRICS[0] ? '' : m.value })}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+        <label>
+          Range{' '}
+          <select value={range} onChange={(e) => setParams({ range: e.target.value === RANGES[0].value ? '' : e.target.value })}>
+            {RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+        </label>
+        {range === 'custom' && (
+          <>
+            <label>
+              From{' '}
+              <input type="date" value={params.from || ''} max={params.to || undefined} onChange={(e) => setParams({ from: e.target.value })} />
+            </label>
+            <label>
+              To{' '}
+              <input type="date" value={params.to || ''} min={params.from || undefined} onChange={(e) => setParams({ to: e.target.value })} />
+            </label>
+          </>
+        )}
+      </div>
+
+      {customIncomplete && <div className="chart-empty">Pick a start or end date.</div>}
+      <ErrorBanner error={error} fallback="Failed to load trend data." onRetry={refetch} />
+      {!customIncomplete && !points && !error && <div className="chart-empty">Loading trend…</div>}
+      {points && (
+        <LineChart
+          key={metric.value}
+          data={points}
+          series={metric.series}
+          integer={metric.integer ?? true}
+          formatValue={metric.formatValue}
+          label={`${metric.label} per batch run, ${rangeLabel.toLowerCase()}`}
+          emptyText="No batch runs in this range"
+          onSelect={(point) => navigate(`/runs/${point.id}`)}
+        />
+      )}
+    </div>
+  );
+}
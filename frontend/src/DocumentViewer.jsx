@@ -0,0 +1,199 @@
+import React, { useRef, useState } from 'react';
+import { DiffText } from './diff';
+import { getBaseUrl } from './api';
+
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 1.25;
+const PAN_STEP = 40;
+
+const FIELD_LABELS = {
+  license_no: 'License number',
+  license_expiry: 'License expiry',
+  address: 'Address',
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Splits OCR text into plain and highlighted segments, one highlight per
+// extracted field (first occurrence of its value).
+export function highlightSegments(text, fields) {
+  const spans = fields
+    .map(f => ({ field: f.field, start: text.indexOf(f.value), length: f.value.length }))
+    .filter(s => s.start >= 0)
+    .sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let cursor = 0;
+  spans.forEach(span => {
+    if (span.start < cursor) return; // overlapping match; keep the earlier one
+    if (span.start > cursor) segments.push({ text: text.slice(cursor, span.start) });
+    segments.push({ text: text.slice(span.start, span.start + span.length), field: span.field });
+    cursor = span.start + span.length;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+}
+
+function ImagePane({ ocr, selected, onSelect }) {
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [size, setSize] = useState({ width: ocr.image_width, height: ocr.image_height });
+  const drag = useRef(null);
+
+  const zoomBy = (factor) => setZoom(z => clamp(z * factor, MIN_ZOOM, MAX_ZOOM));
+  const reset = () => { setZoom(1); setOffset({ x: 0, y: 0 }); };
+  const pan = (dx, dy) => setOffset(o => ({ x: o.x + dx, y: o.y + dy }));
+
+  const onPointerDown = (e) => {
+    if (e.target.closest('button')) return;
+    drag.current = { x: e.clientX - offset.x, y: e.clientY - offset.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const onPointerMove = (e) => {
+    if (drag.current) setOffset({ x: e.clientX - drag.current.x, y: e.clientY - drag.current.y });
+  };
+  const onPointerUp = () => { drag.current = null; };
+
+  const onKeyDown = (e) => {
+    const actions = {
+      '+': () => zoomBy(ZOOM_STEP),
+      '=': () => zoomBy(ZOOM_STEP),
+      '-': () => zoomBy(1 / ZOOM_STEP),
+      0: reset,
+      ArrowLeft: () => pan(PAN_STEP, 0),
+      ArrowRight: () => pan(-PAN_STEP, 0),
+      ArrowUp: () => pan(0, PAN_STEP),
+      ArrowDown: () => pan(0, -PAN_STEP),
+    };
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  };
+
+  return (
+    <div className="doc-image-pane">
+      <div className="doc-toolbar">
+        <button className="btn-small" onClick={() => zoomBy(1 / ZOOM_STEP)} disabled={zoom <= MIN_ZOOM} aria-label="Zoom out">−</button>
+        <span className="doc-zoom">{Math.round(zoom * 100)}%</span>
+        <button className="btn-small" onClick={() => zoomBy(ZOOM_STEP)} disabled={zoom >= MAX_ZOOM} aria-label="Zoom in">+</button>
+        <button className="btn-small" onClick={reset}>Reset</button>
+        <span className="text-muted">Drag or use arrow keys to pan</span>
+      </div>
+      <div
+        className="doc-viewport"
+        tabIndex={0}
+        role="group"
+        aria-label="Scanned document. Use plus and minus to zoom, arrow keys to pan, 0 to reset."
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+        onKeyDown={onKeyDown}
+      >
+        <div
+          className="doc-canvas"
+          style={{
+            width: size.width || undefined,
+            height: size.height || undefined,
+            transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})`,
+          }}
+        >
+          <img
+            src={`${getBaseUrl()}${ocr.image_url}`}
+            alt={`Scanned ${ocr.doc_type || 'document'}`}
+            draggable={false}
+            onLoad={(e) => {
+              if (!size.width) setSize({ width: e.target.naturalWidth, height: e.target.naturalHeight });
+            }}
+          />
+          {ocr.fields.flatMap(f => f.boxes.map((box, idx) => (
+            <button
+              key={`${f.field}-${idx}`}
+              type="button"
+              className={`doc-box field-${f.field} ${selected === f.field ? 'active' : ''} ${f.matches ? '' : 'mismatch'}`}
+              style={{ left: box.left - 2, top: box.top - 2, width: box.width + 4, height: box.height + 4 }}
+              aria-label={`${FIELD_LABELS[f.field] || f.field}: ${f.value}`}
+              onClick={() => onSelect(f.field)}
+            />
+          )))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FieldComparison({ field }) {
+  return (
+    <div className="doc-comparison" aria-live="polite">
+      <div className="doc-comparison-title">
+        {FIELD_LABELS[field.field] || field.field}{' '}
+        {field.matches
+          ? <span className="status-pill approved">Matches directory</span>
+          : <span className="status-pill rejected">Differs from directory</span>}
+      </div>
+      <div className="doc-comparison-row"><span>Document</span><strong>{field.value}</strong></div>
+      <div className="doc-comparison-row"><span>Directory</span><strong>{field.directory_value || 'N/A'}</strong></div>
+      {!field.matches && field.directory_value && (
+        <div className="doc-comparison-row">
+          <span>Difference</span>
+          <DiffText before={field.directory_value} after={field.value} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function DocumentViewer({ ocr }) {
+  const [selected, setSelected] = useState(null);
+  const fields = ocr.fields || [];
+  const selectedField = fields.find(f => f.field === selected);
+  const segments = highlightSegments(ocr.ocr_text || '', fields);
+  const toggle = (field) => setSelected(prev => (prev === field ? null : field));
+
+  return (
+    <div className="ocr-panel doc-viewer">
+      <div className="ocr-meta">
+        <span><strong>Type:</strong> {ocr.doc_type}</span>
+        <span><strong>Confidence:</strong> {(ocr.ocr_confidence * 100).toFixed(1)}%</span>
+      </div>
+      <div className="doc-layout">
+        {ocr.image_url
+          ? <ImagePane ocr={{ ...ocr, fields }} selected={selected} onSelect={toggle} />
+          : <p className="text-muted">The scanned image is not available.</p>}
+        <div className="doc-text-pane">
+          {fields.length > 0 && (
+            <div className="doc-fields" role="group" aria-label="Extracted fields">
+              {fields.map(f => (
+                <button
+                  key={f.field}
+                  type="button"
+                  className={`doc-field-chip field-${f.field} ${selected === f.field ? 'active' : ''}`}
+                  aria-pressed={selected === f.field}
+                  onClick={() => toggle(f.field)}
+                >
+                  {f.matches ? '✓' : '⚠'} {FIELD_LABELS[f.field] || f.field}: {f.value}
+                </button>
+              ))}
+            </div>
+          )}
+          {selectedField && <FieldComparison field={selectedField} />}
+          <div className="ocr-preview">
+            <pre>
+              {segments.map((s, idx) => (s.field ? (
+                <mark
+                  key={idx}
+                  className={`doc-mark field-${s.field} ${selected === s.field ? 'active' : ''}`}
+                  onClick={() => toggle(s.field)}
+                >
+                  {s.text}
+                </mark>
+              ) : <React.Fragment key={idx}>{s.text}</React.Fragment>))}
+            </pre>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
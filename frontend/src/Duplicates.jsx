@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { getEditAccess, listDuplicates, markDistinct, mergeProviders } from './api';
+import { ErrorBanner } from './NotificationCenter';
+import { notifyError, notifySuccess } from './notifications';
+import { invalidateQueries, useQuery } from './queryCache';
+import { Link, navigate } from './router';
+
+const FIELDS = ['external_id', 'name', 'phone', 'address', 'specialty', 'license_no', 'license_expiry', 'affiliations'];
+const FIXED_FIELDS = ['external_id']; // always the surviving record's own
+
+// Default pick per field: the survivor's value, or the first record that has one.
+function defaultPicks(providers, survivorId) {
+  const survivor = providers.find(p => p.id === survivorId);
+  return Object.fromEntries(FIELDS.map(field => [
+    field,
+    survivor[field] ? survivorId : (providers.find(p => p[field])?.id ?? survivorId),
+  ]));
+}
+
+function DuplicateGroup({ group, denied }) {
+  const { providers } = group;
+  const [survivorId, setSurvivorId] = useState(providers[0].id);
+  const [included, setIncluded] = useState(() => providers.map(p => p.id));
+  const [picks, setPicks] = useState(() => defaultPicks(providers, providers[0].id));
+  const [busy, setBusy] = useState(false);
+
+  const chooseSurvivor = (id) => {
+    setSurvivorId(id);
+    setIncluded(prev => (prev.includes(id) ? prev : [...prev, id]));
+    setPicks(defaultPicks(providers, id));
+  };
+
+  const toggleIncluded = (id) => {
+    if (id === survivorId) return;
+    setIncluded(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+    setPicks(prev => Object.fromEntries(
+      Object.entries(prev).map(([field, pid]) => [field, pid === id ? survivorId : pid])
+    ));
+  };
+
+  const groupKey = providers.map(p => p.id).join('-');
+  const byId = Object.fromEntries(providers.map(p => [p.id, p]));
+  const mergedIds = included.filter(id => id !== survivorId);
+
+  const run = async (work, failTitle) => {
+    setBusy(true);
+    try {
+      await work();
+      invalidateQueries(['duplicates']);
+      invalidateQueries(['providers']);
+    } catch (err) {
+      notifyError(err, { title: failTitle, fallback: 'Action failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const merge = () => {
+    const names = mergedIds.map(id => `#${id}`).join(', ');
+    if (!window.confirm(`Merge ${names} into #${survivorId}? The merged records leave the directory.`)) return;
+    run(async () => {
+      const values = Object.fromEntries(
+        FIELDS.filter(f => !FIXED_FIELDS.includes(f)).map(f => [f, byId[picks[f]][f]])
+      );
+      const res = await mergeProviders({ survivor_id: survivorId, merged_ids: mergedIds, values });
+      notifySuccess('Providers merged', `${names} merged into ${res.survivor.name}`);
+    }, 'Merge failed');
+  };
+
+  const distinct = () => run(async () => {
+    await markDistinct(included);
+    notifySuccess('Marked as different providers', included.map(id => `#${id}`).join(', '));
+  }, 'Could not mark as distinct');
+
+  return (
+    <div className="card duplicate-group">
+      <ul className="duplicate-signals">
+        {group.pairs.map(pair => (
+          <li key={pair.ids.join('-')}>
+            #{pair.ids[0]} ↔ #{pair.ids[1]}: {pair.signals.join(', ')}
+          </li>
+        ))}
+      </ul>
+      <table className="data-table duplicate-compare">
+        <thead>
+          <tr>
+            <th>Field</th>
+            {providers.map(p => (
+              <th key={p.id} className={included.includes(p.id) ? '' : 'duplicate-excluded'}>
+                <Link to={`/providers/${p.id}`}>
+                  #{p.id}
+                </Link>
+                <label className="duplicate-option">
+                  <input
+                    type="radio"
+                    name={`survivor-${groupKey}`}
+                    checked={survivorId === p.id}
+                    onChange={() => chooseSurvivor(p.id)}
+                  />
+                  Keep this record
+                </label>
+                {providers.length > 2 && (
+                  <label className="duplicate-option">
+                    <input
+                      type="checkbox"
+                      checked={included.includes(p.id)}
+                      disabled={p.id === survivorId}
+                      onChange={() => toggleIncluded(p.id)}
+                    />
+                    Include
+                  </label>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {FIELDS.map(field => {
+            const values = new Set(providers.filter(p => included.includes(p.id)).map(p => p[field] || ''));
+            const differs = values.size > 1;
+            return (
+              <tr key={field} className={differs ? 'duplicate-differs' : ''}>
+                <td><span className="field-name">{field}</span></td>
+                {providers.map(p => (
+                  <td key={p.id} className={included.includes(p.id) ? '' : 'duplicate-excluded'}>
+                    {differs && !FIXED_FIELDS.includes(field) && included.includes(p.id) ? (
+                      <label className="duplicate-option">
+                        <input
+                          type="radio"
+                          name={`${groupKey}-${field}`}
+                          checked={picks[field] === p.id}
+                          onChange={() => setPicks(prev => ({ ...prev, [field]: p.id }))}
+                        />
+                        {p[field] || <em className="text-muted">empty</em>}
+                      </label>
+                    ) : (
+                      p[field] || <span className="text-muted">—</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="wizard-actions">
+        <button className="btn-link" disabled={busy || Boolean(denied)} onClick={distinct}>
+          Not duplicates
+        </button>
+        <button className="btn-small" disabled={busy || Boolean(denied) || mergedIds.length === 0} onClick={merge}>
+          {busy ? 'Saving…' : `Merge ${mergedIds.length} into #${survivorId}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default function Duplicates({ reviewer }) {
+  const { data: groups, error, refetch } = useQuery(['duplicates'], () => listDuplicates());
+  const access = useQuery(['edit-access', reviewer], () => getEditAccess(reviewer));
+  const denied = access.data?.reason;
+
+  return (
+    <div className="duplicates">
+      <div className="card">
+        <div className="card-title-row">
+          <h2>👥 Possible Duplicates</h2>
+          <button className="btn-link" onClick={() => navigate('/providers')}>← Directory</button>
+        </div>
+        <p className="text-muted">
+          Providers grouped by matching license numbers, phones, names and addresses. Pick the record to keep and
+          the surviving value for each differing field, or mark the group as different providers.
+        </p>
+        {denied && <p className="field-warning">{denied}.</p>}
+        <ErrorBanner error={error} fallback="Failed to load duplicates." onRetry={refetch} />
+        {!groups && !error && <p>Looking for duplicates…</p>}
+        {groups?.length === 0 && <p>No likely duplicates in the directory.</p>}
+      </div>
+      {groups?.map(group => (
+        <DuplicateGroup key={group.providers.map(p => p.id).join('-')} group={group} denied={denied} />
+      ))}
+    </div>
+  );
+}
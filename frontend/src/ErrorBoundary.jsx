@@ -0,0 +1,44 @@
+import React from 'react';
+import { notify } from './notifications';
+
+// Contains a rendering failure to one panel: the rest of the page keeps
+// working, the panel shows a fallback with "Try again", and the error is
+// reported to the notification center. Changing `resetKey` (e.g. the
+// provider id) clears the error.
+export default class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    notify({
+      kind: 'error',
+      title: `${this.props.label || 'A panel'} failed to display`,
+      message: error.message,
+      key: `boundary:${this.props.label}`,
+    });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    return (
+      <div className="error-banner" role="alert">
+        <span>⚠ {this.props.label || 'This panel'} could not be displayed.</span>
+        <button type="button" className="btn-small" onClick={() => this.setState({ error: null })}>
+          Try again
+        </button>
+      </div>
+    );
+  }
+}
@@ -0,0 +1,129 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as api from './api';
+import { downloadBlob, downloadTable, exportFilename, getExportContext } from './exporting';
+import { notifyError, notifySuccess } from './notifications';
+
+const FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel (XLSX)' },
+  { value: 'json', label: 'JSON' },
+];
+const TABLE_FORMATS = ['csv', 'json'];
+
+// Scopes on offer, most specific first; ones that need an id only appear
+// when the current page provides it.
+function availableScopes(context) {
+  const scopes = [];
+  if (context?.providerId) scopes.push({ value: 'provider', label: `This provider (#${context.providerId})` });
+  if (context?.runId) scopes.push({ value: 'run', label: `This batch run (#${context.runId})` });
+  if (context?.providerList?.total) {
+    scopes.push({ value: 'providers', label: `Filtered provider list (${context.providerList.total})` });
+  }
+  if (context?.table) {
+    scopes.push({
+      value: 'table',
+      label: `Table on screen: ${context.table.title} (${context.table.rows.length} rows)`,
+      hint: 'Exported in the browser, exactly as shown.',
+    });
+  }
+  scopes.push({ value: 'directory', label: 'Whole directory' });
+  scopes.push({ value: 'reviews', label: 'Pending review queue' });
+  return scopes;
+}
+
+export default function ExportDialog({ onClose }) {
+  const [context] = useState(getExportContext);
+  const scopes = availableScopes(context);
+  const [scope, setScope] = useState(scopes[0].value);
+  const [format, setFormat] = useState('pdf');
+  const [busy, setBusy] = useState(false);
+  const dialogRef = useRef(null);
+
+  const formats = scope === 'table' ? FORMATS.filter(f => TABLE_FORMATS.includes(f.value)) : FORMATS;
+  const effectiveFormat = formats.some(f => f.value === format) ? format : formats[0].value;
+
+  useEffect(() => {
+    dialogRef.current?.querySelector('input, select, button')?.focus();
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  const runExport = async () => {
+    setBusy(true);
+    try {
+      let filename;
+      if (scope === 'table') {
+        filename = downloadTable(context.table, effectiveFormat);
+      } else {
+        // The directory only holds the page on screen; fetch every match to export.
+        const providerIds = scope === 'providers'
+          ? (await api.listProviders(context.providerList.filters)).items.map(p => p.id)
+          : [];
+        const blob = await api.exportReport({
+          scope,
+          format: effectiveFormat,
+          provider_ids: providerIds,
+          provider_id: scope === 'provider' ? context.providerId : null,
+          run_id: scope === 'run' ? context.runId : null,
+        });
+        filename = exportFilename(scope === 'reviews' ? 'review_queue' : scope, effectiveFormat);
+        downloadBlob(blob, filename);
+      }
+      notifySuccess('Export ready', filename);
+      onClose();
+    } catch (err) {
+      notifyError(err, { title: 'Export failed', retry: runExport, key: 'export' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="export-dialog-title">↓ Export</h3>
+        <fieldset className="export-options">
+          <legend>What to export</legend>
+          {scopes.map(s => (
+            <label key={s.value}>
+              <input
+                type="radio"
+                name="export-scope"
+                value={s.value}
+                checked={scope === s.value}
+                onChange={() => setScope(s.value)}
+              />
+              <span>
+                {s.label}
+                {s.hint && <small className="text-muted"> — {s.hint}</small>}
+              </span>
+            </label>
+          ))}
+        </fieldset>
+        <label className="export-format">
+          Format:{' '}
+          <select value={effectiveFormat} onChange={(e) => setFormat(e.target.value)}>
+            {formats.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+          </select>
+        </label>
+        <div className="modal-actions">
+          <button type="button" className="btn-link" onClick={onClose}>Cancel</button>
+          <button type="button" className="btn-small" disabled={busy} onClick={runExport}>
+            {busy ? 'Exporting…' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { getProviderHistory } from './api';
+import { Sparkline } from './Charts';
+import { useConfidencePolicy } from './confidencePolicy';
+import { DiffText } from './diff';
+import { formatDateTime } from './dates';
+import { useQuery } from './queryCache';
+import { Link } from './router';
+import { ErrorBanner } from './NotificationCenter';
+
+const ACTION_LABELS = {
+  auto_update: { label: 'Auto-applied', tone: 'approved' },
+  manual_approve: { label: 'Approved', tone: 'approved' },
+  manual_override: { label: 'Overridden', tone: 'overridden' },
+  manual_reject: { label: 'Rejected', tone: 'rejected' },
+  manual_edit: { label: 'Edited directly', tone: 'overridden' },
+  merge: { label: 'Merged', tone: 'overridden' },
+  import: { label: 'Imported', tone: 'overridden' },
+};
+
+const REVIEW_LABELS = {
+  pending: 'Sent to review · pending',
+  approved: 'Sent to review · approved',
+  overridden: 'Sent to review · overridden',
+  rejected: 'Sent to review · rejected',
+};
+
+function eventLabel(event) {
+  if (event.kind === 'review') {
+    return { label: REVIEW_LABELS[event.status] || 'Sent to review', tone: 'pending' };
+  }
+  if (event.action?.startsWith('undo_')) return { label: 'Decision undone', tone: 'pending' };
+  return ACTION_LABELS[event.action] || { label: event.action, tone: 'pending' };
+}
+
+// Distinct values the field has held, oldest first.
+export function valueTrail(field) {
+  const trail = [];
+  field.events.filter(e => e.kind === 'change').forEach(e => {
+    if (trail.length === 0 && e.old_value != null) trail.push(e.old_value);
+    if (e.new_value != null && e.new_value !== trail[trail.length - 1]) trail.push(e.new_value);
+  });
+  if (trail.length === 0 && field.current_value != null) trail.push(field.current_value);
+  return trail;
+}
+
+function TimelineEvent({ event }) {
+  const { label, tone } = eventLabel(event);
+  const who = event.kind === 'review' ? event.decided_by : event.actor;
+
+  return (
+    <li className={`timeline-event ${event.kind}`}>
+      <div className="timeline-meta">
+        <span className={`status-pill ${tone}`}>{label}</span>
+        <span>{formatDateTime(event.at)}</span>
+        {who && <span>by {who}</span>}
+        {event.run_id && (
+          <Link to={`/runs/${event.run_id}`}>
+            run #{event.run_id}
+          </Link>
+        )}
+      </div>
+      <DiffText before={event.old_value || ''} after={event.new_value || ''} />
+      {(event.sources?.length > 0 || event.confidence != null) && (
+        <div className="timeline-evidence">
+          {event.sources?.length > 0 && <>Proposed by {event.sources.join(', ')}</>}
+          {event.confidence != null && <> · {(event.confidence * 100).toFixed(0)}% confidence</>}
+        </div>
+      )}
+      {event.reason && <div className="timeline-evidence">{event.reason}</div>}
+    </li>
+  );
+}
+
+function FieldRow({ field }) {
+  const [open, setOpen] = useState(false);
+  const policy = useConfidencePolicy();
+  const confidences = field.checks.map(c => c.confidence).filter(c => c != null);
+  const latest = confidences[confidences.length - 1];
+  const trail = valueTrail(field);
+  const events = [...field.events].reverse(); // newest first
+
+  return (
+    <div className="field-history">
+      <button
+        type="button"
+        className="field-history-header"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}
+      >
+        <span className="field-history-name">{open ? '▾' : '▸'} {field.field}</span>
+        <span className="field-history-value">{field.current_value || 'N/A'}</span>
+        <Sparkline
+          values={confidences}
+          threshold={policy.thresholdFor(field.field)}
+          label={`${field.field} confidence over ${confidences.length} checks${latest != null ? `, latest ${(latest * 100).toFixed(0)}%` : ''}`}
+        />
+        <span className="field-history-count">
+          {latest != null ? `${(latest * 100).toFixed(0)}%` : '—'} · {field.events.length} events
+        </span>
+      </button>
+      {open && (
+        <div className="field-history-body">
+          {trail.length > 1 && (
+            <div className="value-trail" aria-label="Values over time">
+              {trail.map((value, idx) => (
+                <React.Fragment key={idx}>
+                  {idx > 0 && <span className="value-trail-arrow">→</span>}
+                  <span className={`value-trail-item ${idx === trail.length - 1 ? 'current' : ''}`}>{value}</span>
+                </React.Fragment>
+              ))}
+            </div>
+          )}
+          {events.length === 0 ? (
+            <p className="text-muted">
+              Checked {field.checks.length} times; no changes or reviews yet.
+            </p>
+          ) : (
+            <ol className="timeline">
+              {events.map((event, idx) => <TimelineEvent key={idx} event={event} />)}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function FieldHistory({ providerId }) {
+  const { data: fields, error, refetch } = useQuery(
+    ['providers', providerId, 'history'],
+    () => getProviderHistory(providerId),
+  );
+
+  if (error) return <ErrorBanner error={error} fallback="Failed to load field history." onRetry={refetch} />;
+  if (!fields) return <p>Loading history…</p>;
+  if (fields.every(f => f.checks.length === 0 && f.events.length === 0)) {
+    return <p>No validation history available.</p>;
+  }
+  return (
+    <div className="field-history-list">
+      {fields.map(f => <FieldRow key={f.field} field={f} />)}
+    </div>
+  );
+}
@@ -0,0 +1,328 @@
+import React, { useState } from 'react';
+import { commitImport, getEditAccess, getImportColumns, previewImport } from './api';
+import { DiffText } from './diff';
+import { ErrorBanner } from './NotificationCenter';
+import { notifySuccess } from './notifications';
+import { invalidateQueries, useQuery } from './queryCache';
+import { Link, navigate } from './router';
+
+const STEPS = [
+  { value: 'upload', label: 'Upload' },
+  { value: 'map', label: 'Map columns' },
+  { value: 'preview', label: 'Preview' },
+  { value: 'done', label: 'Done' },
+];
+
+const ACTIONS = {
+  new: { label: 'New', tone: 'approved' },
+  update: { label: 'Update', tone: 'overridden' },
+  unchanged: { label: 'Unchanged', tone: 'pending' },
+  invalid: { label: 'Invalid', tone: 'rejected' },
+};
+
+const PREVIEW_LIMIT = 200;
+
+function StepIndicator({ step }) {
+  const current = STEPS.findIndex(s => s.value === step);
+  return (
+    <ol className="wizard-steps">
+      {STEPS.map((s, i) => (
+        <li key={s.value} className={i === current ? 'active' : i < current ? 'complete' : ''}>
+          {s.label}
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ColumnMapping({ columns, mapping, onChange }) {
+  const sample = columns.sample[0] || [];
+  return (
+    <table className="data-table import-mapping">
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Column in file</th>
+          <th>First row</th>
+        </tr>
+      </thead>
+      <tbody>
+        {columns.fields.map(field => {
+          const header = mapping[field] || '';
+          return (
+            <tr key={field}>
+              <td>
+                <span className="field-name">{field}</span>
+                {columns.required.includes(field) && <span className="field-warning"> *</span>}
+              </td>
+              <td>
+                <select
+                  aria-label={`Column for ${field}`}
+                  value={header}
+                  onChange={(e) => onChange({ ...mapping, [field]: e.target.value || null })}
+                >
+                  <option value="">— not imported —</option>
+                  {columns.headers.map(h => <option key={h} value={h}>{h}</option>)}
+                </select>
+              </td>
+              <td className="text-muted">{header ? sample[columns.headers.indexOf(header)] || '—' : '—'}</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+function PreviewRow({ row, resolution, onResolve }) {
+  const skipped = Boolean(resolution.skip);
+  const keep = resolution.keep || [];
+  const canSkip = row.action === 'new' || row.action === 'update';
+
+  const toggleKeep = (field) => {
+    const next = keep.includes(field) ? keep.filter(f => f !== field) : [...keep, field];
+    onResolve({ ...resolution, keep: next });
+  };
+
+  return (
+    <tr className={skipped ? 'import-skipped' : ''}>
+      <td>{row.row}</td>
+      <td><span className={`status-pill ${ACTIONS[row.action].tone}`}>{ACTIONS[row.action].label}</span></td>
+      <td>{row.external_id || '—'}</td>
+      <td>
+        {row.provider_id ? (
+          <Link to={`/providers/${row.provider_id}`}>
+            {row.name}
+          </Link>
+        ) : row.name || '—'}
+      </td>
+      <td>
+        {row.errors.map(e => <div key={e} className="import-error">✕ {e}</div>)}
+        {row.warnings.map(w => <div key={w} className="field-warning">⚠ {w}</div>)}
+        {Object.entries(row.changes).map(([field, change]) => (
+          <label key={field} className="run-change import-change">
+            <input
+              type="checkbox"
+              checked={!keep.includes(field)}
+              disabled={skipped}
+              onChange={() => toggleKeep(field)}
+              aria-label={`Apply imported ${field}`}
+            />
+            <span className="field-name">{field}</span>
+            <DiffText before={change.old || ''} after={change.new || ''} />
+          </label>
+        ))}
+      </td>
+      <td>
+        {canSkip && (
+          <label className="import-skip">
+            <input type="checkbox" checked={skipped} onChange={() => onResolve({ ...resolution, skip: !skipped })} />
+            Skip
+          </label>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+// Upload → map columns → preview a validation pass → commit. The file stays
+// in the browser and is re-sent with each step; nothing is written until commit.
+export default function ImportWizard({ reviewer, onReviewerChange }) {
+  const editAccess = useQuery(['edit-access', reviewer], () => getEditAccess(reviewer));
+  const denied = editAccess.data?.reason;
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [resolutions, setResolutions] = useState({});
+  const [view, setView] = useState('');
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (work) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await work();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = (chosen) => {
+    if (!chosen) return;
+    setFile(chosen);
+    run(async () => {
+      const info = await getImportColumns(chosen);
+      setColumns(info);
+      setMapping(info.mapping);
+      setStep('map');
+    });
+  };
+
+  const loadPreview = () => run(async () => {
+    setPreview(await previewImport(file, mapping));
+    setResolutions({});
+    setView('');
+    setStep('preview');
+  });
+
+  const commit = () => run(async () => {
+    const res = await commitImport(file, mapping, resolutions);
+    setResult(res);
+    setStep('done');
+    invalidateQueries(['providers']);
+    notifySuccess('Import complete', `${res.created} created, ${res.updated} updated`);
+  });
+
+  const startOver = () => {
+    setStep('upload');
+    setFile(null);
+    setColumns(null);
+    setPreview(null);
+    setResult(null);
+    setError(null);
+  };
+
+  const missingRequired = columns ? columns.required.filter(f => !mapping[f]) : [];
+  const rows = preview ? preview.rows.filter(r => !view || r.action === view) : [];
+  const pending = preview
+    ? preview.rows.filter(r => (r.action === 'new' || r.action === 'update') && !resolutions[r.row]?.skip)
+    : [];
+
+  return (
+    <div className="card import-wizard">
+      <div className="card-title-row">
+        <h2>📥 Import Providers</h2>
+        {step !== 'upload' && <button className="btn-link" onClick={startOver}>Start over</button>}
+      </div>
+      <StepIndicator step={step} />
+      <ErrorBanner error={error} fallback="The import step failed." />
+
+      {step === 'upload' && (
+        <div className="import-upload">
+          <p>
+            Upload a CSV or Excel (.xlsx) file with one provider per row and a header row. You can map
+            its columns to directory fields in the next step.
+          </p>
+          <input
+            type="file"
+            accept=".csv,.xlsx"
+            disabled={busy}
+            aria-label="Provider file"
+            onChange={(e) => chooseFile(e.target.files[0])}
+          />
+          {busy && <p>Reading {file?.name}…</p>}
+        </div>
+      )}
+
+      {step === 'map' && columns && (
+        <>
+          <p className="list-summary">
+            {file.name} · {columns.total_rows} rows · fields marked * are required
+          </p>
+          <ColumnMapping columns={columns} mapping={mapping} onChange={setMapping} />
+          <div className="wizard-actions">
+            <button className="btn-link" onClick={() => setStep('upload')}>← Back</button>
+            {missingRequired.length > 0 && (
+              <span className="field-warning">Map a column to {missingRequired.join(', ')}</span>
+            )}
+            <button className="btn-small" disabled={busy || missingRequired.length > 0} onClick={loadPreview}>
+              {busy ? 'Validating…' : 'Preview import'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'preview' && preview && (
+        <>
+          <div className="list-toolbar">
+            <button
+              type="button"
+              className={`filter-chip ${view === '' ? 'active' : ''}`}
+              onClick={() => setView('')}
+            >
+              All {preview.rows.length}
+            </button>
+            {Object.entries(ACTIONS).map(([action, { label }]) => (
+              <button
+                key={action}
+                type="button"
+                className={`filter-chip ${view === action ? 'active' : ''}`}
+                disabled={preview.summary[action] === 0}
+                onClick={() => setView(action)}
+              >
+                {label} {preview.summary[action]}
+              </button>
+            ))}
+          </div>
+          {preview.summary.invalid > 0 && (
+            <p className="text-muted">Invalid rows are skipped. Fix them in the file and upload it again to include them.</p>
+          )}
+          {preview.summary.update > 0 && (
+            <p className="text-muted">Untick a change to keep the directory's current value for that field.</p>
+          )}
+          <table className="data-table import-preview">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Result</th>
+                <th>External ID</th>
+                <th>Name</th>
+                <th>Details</th>
+                <th aria-label="Skip row"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, PREVIEW_LIMIT).map(row => (
+                <PreviewRow
+                  key={row.row}
+                  row={row}
+                  resolution={resolutions[row.row] || {}}
+                  onResolve={(next) => setResolutions(prev => ({ ...prev, [row.row]: next }))}
+                />
+              ))}
+            </tbody>
+          </table>
+          {rows.length > PREVIEW_LIMIT && (
+            <p className="list-summary">Showing the first {PREVIEW_LIMIT} of {rows.length} rows.</p>
+          )}
+          <div className="wizard-actions">
+            <label className="reviewer-input">
+              Importing as{' '}
+              <input value={reviewer} onChange={(e) => onReviewerChange(e.target.value)} placeholder="your name" />
+            </label>
+            {denied && <span className="field-warning" role="alert">{denied}</span>}
+            <button className="btn-link" onClick={() => setStep('map')}>← Back to mapping</button>
+            <button className="btn-small" disabled={busy || Boolean(denied) || pending.length === 0} onClick={commit}>
+              {busy
+                ? 'Importing…'
+                : `Import ${pending.filter(r => r.action === 'new').length} new, ${pending.filter(r => r.action === 'update').length} updated`}
+            </button>
+          </div>
+        </>
+      )}
+
+      {step === 'done' && result && (
+        <div className="import-result">
+          <div className="run-summary">
+            <div><strong>{result.created}</strong> providers created</div>
+            <div><strong>{result.updated}</strong> providers updated</div>
+            <div><strong>{result.unchanged}</strong> unchanged</div>
+            <div><strong>{result.skipped}</strong> skipped</div>
+          </div>
+          <div className="wizard-actions">
+            <button className="btn-link" onClick={startOver}>Import another file</button>
+            <button className="btn-small" onClick={() => navigate('/providers')}>
+              Go to directory
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useMemo, useState } from 'react';
+import { createLicenseFollowUps, listExpiringLicenses } from './api';
+import { ErrorBanner } from './NotificationCenter';
+import { notifyError, notifySuccess } from './notifications';
+import { invalidateQueries, useQuery } from './queryCache';
+import { Link, navigate, useQueryState } from './router';
+
+const WINDOW_OPTIONS = [30, 60, 90, 180, 365];
+const DEFAULT_WINDOW = 90;
+
+const BOARD_LABELS = {
+  confirmed: { label: 'Board confirms', tone: 'ok' },
+  renewed: { label: 'Renewed on board', tone: 'ok' },
+  differs: { label: 'Board differs', tone: 'warn' },
+  not_listed: { label: 'Not on board', tone: 'muted' },
+};
+
+// Expired licenses first, then one group per calendar month of expiry.
+function groupByMonth(rows) {
+  const groups = [];
+  for (const row of rows) {
+    const key = row.status === 'expired' ? 'expired' : row.license_expiry.slice(0, 7);
+    let group = groups.find(g => g.key === key);
+    if (!group) {
+      const label = key === 'expired'
+        ? 'Already expired'
+        : new Date(`${key}-01T00:00:00`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      group = { key, label, rows: [] };
+      groups.push(group);
+    }
+    group.rows.push(row);
+  }
+  return groups;
+}
+
+function daysLabel(days) {
+  if (days < 0) return `${-days} day${days === -1 ? '' : 's'} ago`;
+  if (days === 0) return 'today';
+  return `in ${days} day${days === 1 ? '' : 's'}`;
+}
+
+function BoardStatus({ board }) {
+  const { label, tone } = BOARD_LABELS[board.status] || BOARD_LABELS.not_listed;
+  const detail = board.license_expiry ? `State board: ${board.license_no || 'no number'}, expires ${board.license_expiry}` : undefined;
+  return <span className={`chip license-board license-board-${tone}`} title={detail}>{label}</span>;
+}
+
+export default function Licenses() {
+  const [params, setParams] = useQueryState();
+  const within = WINDOW_OPTIONS.includes(Number(params.within)) ? Number(params.within) : DEFAULT_WINDOW;
+  const { data, error, refetch } = useQuery(['licenses', within], () => listExpiringLicenses(within));
+  const [busy, setBusy] = useState(null);
+
+  const groups = useMemo(() => groupByMonth(data?.providers || []), [data]);
+
+  const followUp = async (rows, key) => {
+    setBusy(key);
+    try {
+      const res = await createLicenseFollowUps(rows.map(r => r.id));
+      invalidateQueries(['licenses']);
+      invalidateQueries(['manual-review']);
+      const created = res.created.length;
+      notifySuccess(
+        created ? `Created ${created} follow-up${created === 1 ? '' : 's'}` : 'No follow-ups created',
+        res.skipped.length ? `${res.skipped.length} already in the review queue` : 'Added to the manual review queue',
+      );
+    } catch (err) {
+      notifyError(err, { title: 'Could not create follow-ups', fallback: 'Action failed' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="licenses">
+      <div className="card">
+        <div className="card-title-row">
+          <h2>🪪 License Monitoring</h2>
+          <label className="license-window">
+            Expired or expiring within{' '}
+            <select value={within} onChange={(e) => setParams({ within: e.target.value })}>
+              {WINDOW_OPTIONS.map(days => <option key={days} value={days}>{days} days</option>)}
+            </select>
+          </label>
+        </div>
+        <ErrorBanner error={error} fallback="Failed to load licenses." onRetry={refetch} />
+        {!data && !error && <p>Loading licenses…</p>}
+        {data && groups.length === 0 && <p>No licenses expire in the next {within} days.</p>}
+      </div>
+
+      {groups.map(group => {
+        const open = group.rows.filter(r => !r.review_item_id);
+        return (
+          <div key={group.key} className={`card license-group${group.key === 'expired' ? ' license-group-expired' : ''}`}>
+            <div className="card-title-row">
+              <h3>{group.label} <span className="text-muted">({group.rows.length})</span></h3>
+              {open.length > 1 && (
+                <button className="btn-small" disabled={busy !== null} onClick={() => followUp(open, group.key)}>
+                  {busy === group.key ? 'Creating…' : `Follow up on all ${open.length}`}
+                </button>
+              )}
+            </div>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Provider</th>
+                  <th>License</th>
+                  <th>Expiry</th>
+                  <th>State board</th>
+                  <th>Follow-up</th>
+                </tr>
+              </thead>
+              <tbody>
+                {group.rows.map(row => (
+                  <tr key={row.id}>
+                    <td>
+                      <Link to={`/providers/${row.id}`}>
+                        {row.name}
+                      </Link>
+                      {row.specialty && <div className="text-muted">{row.specialty}</div>}
+                    </td>
+                    <td>{row.license_no || <span className="text-muted">—</span>}</td>
+                    <td>
+                      {row.license_expiry}
+                      <div className={row.status === 'expired' ? 'field-error' : 'text-muted'}>{daysLabel(row.days_left)}</div>
+                    </td>
+                    <td><BoardStatus board={row.board} /></td>
+                    <td>
+                      {row.review_item_id ? (
+                        <button className="btn-link" onClick={() => navigate('/manual-review')}>
+                          In review #{row.review_item_id}
+                        </button>
+                      ) : (
+                        <button
+                          className="btn-small"
+                          disabled={busy !== null}
+                          onClick={() => followUp([row], `row-${row.id}`)}
+                        >
+                          {busy === `row-${row.id}` ? 'Creating…' : 'Create follow-up'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from 'react';
+
+// A small Markdown renderer for chat answers: headings, paragraphs, lists,
+// fenced code, inline code, bold, italics and links. It builds React
+// elements rather than HTML strings, so model output is never injected as
+// markup. Incomplete syntax (mid-stream) simply renders as text.
+
+const INLINE = /(`[^`]+`)|(\*\*[^*]+\*\*)|(\[[^\]]+\]\([^)\s]+\))|(\*[^*\s][^*]*\*)|(_[^_\s][^_]*_)/g;
+const SAFE_URL = /^(https?:|mailto:|\/)/i;
+
+function renderInline(text, keyPrefix = '') {
+  const out = [];
+  let last = 0;
+  let match;
+  INLINE.lastIndex = 0;
+  while ((match = INLINE.exec(text)) !== null) {
+    if (match.index > last) out.push(text.slice(last, match.index));
+    const [token] = match;
+    const key = `${keyPrefix}${match.index}`;
+    if (match[1]) {
+      out.push(<code key={key}>{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      out.push(<strong key={key}>{renderInline(token.slice(2, -2), `${key}-`)}</strong>);
+    } else if (match[3]) {
+      const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      out.push(SAFE_URL.test(href)
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer">{label}</a>
+        : label);
+    } else {
+      out.push(<em key={key}>{renderInline(token.slice(1, -1), `${key}-`)}</em>);
+    }
+    last = match.index + token.length;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
+
+function withBreaks(lines, keyPrefix) {
+  return lines.flatMap((line, idx) => [
+    ...(idx > 0 ? [<br key={`${keyPrefix}br${idx}`} />] : []),
+    ...renderInline(line, `${keyPrefix}${idx}-`),
+  ]);
+}
+
+// Splits the text into block-level nodes.
+export function parseBlocks(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (/^```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence (or end of a still-streaming answer)
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (/^#{1,6}\s/.test(line)) {
+      const level = line.match(/^#+/)[0].length;
+      blocks.push({ type: 'heading', level, text: line.slice(level).trim() });
+      i++;
+    } else if (/^\s*[-*]\s+/.test(line) || /^\s*\d+[.)]\s+/.test(line)) {
+      const ordered = /^\s*\d+[.)]\s+/.test(line);
+      const marker = ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*]\s+/;
+      const items = [];
+      while (i < lines.length && marker.test(lines[i])) items.push(lines[i++].replace(marker, ''));
+      blocks.push({ type: 'list', ordered, items });
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const para = [];
+      while (i < lines.length && lines[i].trim() && !/^(```|#{1,6}\s|\s*[-*]\s+|\s*\d+[.)]\s+)/.test(lines[i])) {
+        para.push(lines[i++]);
+      }
+      blocks.push({ type: 'paragraph', lines: para });
+    }
+  }
+  return blocks;
+}
+
+export default function Markdown({ text }) {
+  return (
+    <div className="markdown">
+      {parseBlocks(text || '').map((block, idx) => {
+        const key = `b${idx}`;
+        switch (block.type) {
+          case 'code':
+            return <pre key={key}><code>{block.text}</code></pre>;
+          case 'heading': {
+            // Chat bubbles are small; keep headings below the page's own h1–h3.
+            const Tag = `h${Math.min(6, block.level + 3)}`;
+            return <Tag key={key}>{renderInline(block.text, `${key}-`)}</Tag>;
+          }
+          case 'list': {
+            const Tag = block.ordered ? 'ol' : 'ul';
+            return (
+              <Tag key={key}>
+                {block.items.map((item, j) => <li key={j}>{renderInline(item, `${key}-${j}-`)}</li>)}
+              </Tag>
+            );
+          }
+          default:
+            return <p key={key}>{withBreaks(block.lines, `${key}-`)}</p>;
+        }
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { formatCountdown, formatRelative } from './dates';
+import {
+  clearNotifications,
+  dismiss,
+  errorMessage,
+  hideToast,
+  markAllRead,
+  useNotifications,
+} from './notifications';
+import { useNow } from './useNow';
+
+const ICONS = { success: '✓', info: 'ℹ', warning: '⏳', error: '⚠' };
+
+// Retry control shared by toasts, the notification center and inline
+// banners. While rate-limited it counts down and stays disabled.
+export function RetryButton({ retry, retryAt, now, onRetried }) {
+  const [busy, setBusy] = useState(false);
+  const waiting = retryAt != null && retryAt > now;
+
+  const handleClick = async () => {
+    setBusy(true);
+    try {
+      await retry();
+      onRetried?.();
+    } catch {
+      // The retried action reports its own failure.
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button type="button" className="btn-small" disabled={waiting || busy} onClick={handleClick}>
+      {busy ? 'Retrying…' : waiting ? `Retry in ${formatCountdown(retryAt - now)}` : 'Retry'}
+    </button>
+  );
+}
+
+function NotificationBody({ item, now, onClose }) {
+  return (
+    <>
+      <span className="notification-icon" aria-hidden="true">{ICONS[item.kind]}</span>
+      <div className="notification-text">
+        <strong>{item.title}</strong>
+        {item.message && <span>{item.message}</span>}
+        {item.retryAt != null && item.retryAt > now && !item.retry && (
+          <span className="notification-countdown">Try again in {formatCountdown(item.retryAt - now)}</span>
+        )}
+      </div>
+      {item.retry && (
+        <RetryButton retry={item.retry} retryAt={item.retryAt} now={now} onRetried={() => dismiss(item.id)} />
+      )}
+      <button type="button" className="notification-close" aria-label="Dismiss" onClick={onClose}>×</button>
+    </>
+  );
+}
+
+export function Toasts() {
+  const { items } = useNotifications();
+  // Tick only while some toast is still due to be on screen.
+  const now = useNow(items.some(i => i.toast && i.hideAt > Date.now()));
+  const showing = items.filter(i => i.toast && i.hideAt > now).slice(0, 4);
+
+  return (
+    <div className="toast-stack" aria-live="polite">
+      {showing.map(item => (
+        <div key={item.id} className={`toast ${item.kind}`} role={item.kind === 'error' ? 'alert' : 'status'}>
+          <NotificationBody item={item} now={now} onClose={() => hideToast(item.id)} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export function NotificationCenter() {
+  const { items, unread } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const now = useNow(open);
+
+  const toggle = () => {
+    if (!open) markAllRead();
+    setOpen(!open);
+  };
+
+  return (
+    <div className="notification-center">
+      <button
+        type="button"
+        className="notification-bell"
+        aria-expanded={open}
+        aria-label={`Notifications${unread ? `, ${unread} unread` : ''}`}
+        onClick={toggle}
+      >
+        🔔 Notifications
+        {unread > 0 && <span className="badge-count">{unread}</span>}
+      </button>
+      {open && (
+        <div className="notification-panel">
+          <div className="notification-panel-header">
+            <strong>Notifications</strong>
+            {items.length > 0 && <button type="button" className="btn-link" onClick={clearNotifications}>Clear all</button>}
+          </div>
+          {items.length === 0 ? <p className="text-muted">Nothing to report.</p> : (
+            <ul>
+              {items.map(item => (
+                <li key={item.id} className={`notification ${item.kind}`}>
+                  <NotificationBody item={item} now={now} onClose={() => dismiss(item.id)} />
+                  <small className="notification-time">{formatRelative(new Date(item.createdAt), now)}</small>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Inline error for a panel whose data failed to load, with the same wording,
+// rate-limit countdown and retry as the toasts.
+export function ErrorBanner({ error, fallback, onRetry }) {
+  const retryAt = React.useMemo(
+    () => (error?.isRateLimited && error.retryAfter != null ? Date.now() + error.retryAfter * 1000 : null),
+    [error],
+  );
+  const now = useNow(retryAt != null);
+  if (!error) return null;
+
+  return (
+    <div className="error-banner" role="alert">
+      <span>{errorMessage(error, fallback)}</span>
+      {onRetry && <RetryButton retry={onRetry} retryAt={retryAt} now={now} />}
+    </div>
+  );
+}
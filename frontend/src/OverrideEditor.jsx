@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { DiffText } from './diff';
+import {
+  fieldType,
+  formatAddress,
+  normalizeValue,
+  parseAddress,
+  validateField,
+} from './fieldValidation';
+
+// Keeps the parts in local state: re-parsing the joined string would shift a
+// locality typed before the city into the city slot.
+function AddressInput({ value, onChange }) {
+  const [parts, setParts] = useState(() => parseAddress(value));
+  const update = (key) => (e) => {
+    const next = { ...parts, [key]: e.target.value };
+    setParts(next);
+    onChange(formatAddress(next));
+  };
+
+  return (
+    <div className="address-input">
+      <input value={parts.line} onChange={update('line')} placeholder="Clinic / building" aria-label="Street or building" />
+      <input value={parts.locality} onChange={update('locality')} placeholder="Locality (optional)" aria-label="Locality" />
+      <input value={parts.city} onChange={update('city')} placeholder="City" aria-label="City" />
+    </div>
+  );
+}
+
+export function ValueInput({ field, value, onChange }) {
+  switch (fieldType(field)) {
+    case 'date':
+      return <input type="date" value={value} onChange={(e) => onChange(e.target.value)} aria-label={field} />;
+    case 'address':
+      return <AddressInput value={value} onChange={onChange} />;
+    case 'phone':
+      return (
+        <input type="tel" value={value} onChange={(e) => onChange(e.target.value)} placeholder="022-40001234" aria-label={field} />
+      );
+    default:
+      return <input type="text" value={value} onChange={(e) => onChange(e.target.value)} aria-label={field} />;
+  }
+}
+
+export default function OverrideEditor({ item, onSubmit, onCancel }) {
+  const [value, setValue] = useState(item.suggested_value || '');
+  const [submitting, setSubmitting] = useState(false);
+
+  const normalized = normalizeValue(item.field_name, value);
+  const { error, warning } = validateField(item.field_name, normalized);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (error || submitting) return;
+    setSubmitting(true);
+    try {
+      await onSubmit(normalized);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="override-editor" onSubmit={handleSubmit}>
+      <div className="override-diff">
+        <div>
+          <span className="override-label">Current</span>
+          <div className="override-value">{item.current_value || <em>empty</em>}</div>
+        </div>
+        <div>
+          <span className="override-label">Suggested</span>
+          <div className="override-value">
+            <DiffText before={item.current_value} after={item.suggested_value} />
+          </div>
+        </div>
+        <div>
+          <span className="override-label">Your value</span>
+          <div className="override-value">
+            {normalized ? <DiffText before={item.current_value} after={normalized} /> : <em>empty</em>}
+          </div>
+        </div>
+      </div>
+
+      <label className="override-input">
+        <span className="override-label">Override {item.field_name}</span>
+        <ValueInput field={item.field_name} value={value} onChange={setValue} />
+      </label>
+
+      {error && <div className="field-error" role="alert">{error}</div>}
+      {!error && warning && <div className="field-warning">{warning}</div>}
+
+      <div className="override-actions">
+        <button type="submit" className="btn-override" disabled={Boolean(error) || submitting}>
+          {submitting ? 'Saving…' : 'Save override'}
+        </button>
+        <button type="button" className="btn-link" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { updateProvider } from './api';
+import { DiffText } from './diff';
+import { normalizeValue, validateField } from './fieldValidation';
+import { notifyError, notifySuccess } from './notifications';
+import { ValueInput } from './OverrideEditor';
+import { invalidateQueries } from './queryCache';
+
+// Direct edit of a provider's fields. Every change needs a reason; the server
+// records it as a manual edit, which the next validation run treats as a
+// source and will not silently overwrite.
+export default function ProviderEditor({ provider, fields, reviewer, onReviewerChange, denied, onClose }) {
+  const [values, setValues] = useState(() => Object.fromEntries(fields.map(f => [f, provider[f] || ''])));
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const changes = fields
+    .map(field => ({ field, before: provider[field] || '', after: normalizeValue(field, values[field]) }))
+    .filter(c => c.after !== c.before)
+    .map(c => ({ ...c, ...validateField(c.field, c.after, { required: c.field === 'name' }) }));
+  const invalid = changes.some(c => c.error);
+  const canSave = !denied && changes.length > 0 && !invalid && reason.trim() && !saving;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!canSave) return;
+    setSaving(true);
+    try {
+      const res = await updateProvider(provider.id, {
+        fields: Object.fromEntries(changes.map(c => [c.field, c.after])),
+        reason: reason.trim(),
+      });
+      invalidateQueries(['providers']);
+      notifySuccess(`${provider.name} updated`, `Changed ${res.changed.join(', ') || 'nothing'}`);
+      onClose();
+    } catch (err) {
+      notifyError(err, { title: `Could not update ${provider.name}`, fallback: 'Save failed' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="card override-editor provider-editor" onSubmit={handleSubmit}>
+      <div className="card-title-row">
+        <h3>✏️ Edit provider</h3>
+        <label className="reviewer-input">
+          Editing as{' '}
+          <input value={reviewer} onChange={(e) => onReviewerChange(e.target.value)} placeholder="your name" />
+        </label>
+      </div>
+      {denied && <div className="field-warning" role="alert">{denied}</div>}
+
+      <div className="provider-editor-fields">
+        {fields.map(field => {
+          const change = changes.find(c => c.field === field);
+          return (
+            <label key={field} className="override-input">
+              <span className="override-label">{field}</span>
+              <ValueInput
+                field={field}
+                value={values[field]}
+                onChange={(value) => setValues(prev => ({ ...prev, [field]: value }))}
+              />
+              {change?.error && <span className="field-error">{change.error}</span>}
+              {change && !change.error && change.warning && <span className="field-warning">{change.warning}</span>}
+            </label>
+          );
+        })}
+      </div>
+
+      {changes.length > 0 && (
+        <div className="provider-editor-changes">
+          <span className="override-label">Changes</span>
+          {changes.map(c => (
+            <div key={c.field} className="run-change">
+              <span className="field-name">{c.field}</span>
+              <DiffText before={c.before} after={c.after} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <label className="override-input">
+        <span className="override-label">Reason (required)</span>
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={2}
+          placeholder="e.g. Confirmed the new number by phone with the clinic"
+        />
+      </label>
+
+      <div className="override-actions">
+        <button type="submit" className="btn-override" disabled={!canSave}>
+          {saving ? 'Saving…' : changes.length ? `Save ${changes.length} change${changes.length === 1 ? '' : 's'}` : 'Save'}
+        </button>
+        <button type="button" className="btn-link" onClick={onClose}>Cancel</button>
+      </div>
+    </form>
+  );
+}
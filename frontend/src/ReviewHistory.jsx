@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { getReviewHistory } from './api';
+import { setQueryData, useQuery } from './queryCache';
+import { Link, navigate, useQueryState } from './router';
+import { formatDateTime, formatCountdown } from './dates';
+import { ErrorBanner } from './NotificationCenter';
+import { useExportContext } from './exporting';
+import { useNow } from './useNow';
+
+const STATUSES = ['approved', 'rejected', 'overridden'];
+const REVIEW_FIELDS = ['phone', 'address', 'specialty', 'license_no', 'license_expiry'];
+
+export const STATUS_LABELS = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  overridden: 'Overridden',
+};
+
+export function UndoButton({ deadline, now, onUndo }) {
+  const [busy, setBusy] = useState(false);
+  const remaining = deadline - now;
+  if (remaining <= 0) return null;
+
+  const handleClick = async () => {
+    setBusy(true);
+    try {
+      await onUndo();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button className="btn-small btn-undo" disabled={busy} onClick={handleClick}>
+      {busy ? 'Undoing…' : `Undo (${formatCountdown(remaining)})`}
+    </button>
+  );
+}
+
+export default function ReviewHistory({ onUndo }) {
+  const [params, setParams] = useQueryState();
+  const filters = {
+    provider_id: params.provider || undefined,
+    field: params.field || undefined,
+    status: params.status || undefined,
+  };
+  const historyKey = ['manual-review', 'history', filters];
+  const { data: items, error, refetch } = useQuery(historyKey, () => getReviewHistory(filters), { staleTime: 0 });
+
+  // Undo countdowns are relative to when this page of history arrived.
+  const [fetchedAt, setFetchedAt] = useState(Date.now());
+  useEffect(() => setFetchedAt(Date.now()), [items]);
+
+  const now = useNow(Boolean(items?.some(i => i.undo_seconds_left > 0)));
+
+  useExportContext({
+    table: {
+      title: 'Review history',
+      columns: [
+        { key: 'id', label: 'Review' },
+        { key: 'provider_id', label: 'Provider ID' },
+        { key: 'field_name', label: 'Field' },
+        { key: 'current_value', label: 'Previous Value' },
+        { key: 'resolved_value', label: 'Resolved Value' },
+        { key: 'status', label: 'Decision' },
+        { key: 'decided_by', label: 'Reviewer' },
+        { key: 'decided_at', label: 'Decided' },
+      ],
+      rows: items || [],
+    },
+  });
+
+  const handleUndo = async (item) => {
+    if (await onUndo(item)) {
+      setQueryData(historyKey, (prev = []) => prev.filter(i => i.id !== item.id));
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-title-row">
+        <h2>🗂️ Review History</h2>
+        <button className="btn-link" onClick={() => navigate('/manual-review')}>← Pending queue</button>
+      </div>
+      <div className="list-toolbar">
+        <label>
+          Provider ID{' '}
+          <input
+            type="number"
+            min="1"
+            value={params.provider || ''}
+            onChange={(e) => setParams({ provider: e.target.value })}
+            style={{ width: '6rem' }}
+          />
+        </label>
+        <label>
+          Field{' '}
+          <select value={params.field || ''} onChange={(e) => setParams({ field: e.target.value })}>
+            <option value="">All fields</option>
+            {REVIEW_FIELDS.map(f => <option key={f} value={f}>{f}</option>)}
+          </select>
+        </label>
+        <label>
+          Decision{' '}
+          <select value={params.status || ''} onChange={(e) => setParams({ status: e.target.value })}>
+            <option value="">All decisions</option>
+            {STATUSES.map(s => <option key={s} value={s}>{STATUS_LABELS[s]}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <ErrorBanner error={error} fallback="Failed to load review history." onRetry={refetch} />
+      {!items && !error && <p>Loading history…</p>}
+      {items && items.length === 0 && <p>No decisions match these filters.</p>}
+      {items && items.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Decided</th>
+              <th>Reviewer</th>
+              <th>Provider ID</th>
+              <th>Field</th>
+              <th>Previous Value</th>
+              <th>Final Value</th>
+              <th>Decision</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map(i => (
+              <tr key={i.id}>
+                <td>{formatDateTime(i.decided_at)}</td>
+                <td>{i.decided_by || 'N/A'}</td>
+                <td>
+                  <Link to={`/providers/${i.provider_id}`}>
+                    {i.provider_id}
+                  </Link>
+                </td>
+                <td>{i.field_name}</td>
+                <td>{i.current_value}</td>
+                <td className="text-highlight">{i.resolved_value}</td>
+                <td><span className={`status-pill ${i.status}`}>{STATUS_LABELS[i.status] || i.status}</span></td>
+                <td>
+                  <UndoButton
+                    deadline={fetchedAt + i.undo_seconds_left * 1000}
+                    now={now}
+                    onUndo={() => handleUndo(i)}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
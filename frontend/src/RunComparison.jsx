@@ -0,0 +1,188 @@
+import React from 'react';
+import { compareRuns, listRuns } from './api';
+import { useQuery } from './queryCache';
+import { Link, goBack, useQueryState } from './router';
+import { formatDateTime } from './dates';
+import { STATUS_LABELS } from './ReviewHistory';
+import { ErrorBanner } from './NotificationCenter';
+
+const BAND_RANK = { red: 0, amber: 1, green: 2 };
+const DRIFT_RANK = { Low: 0, Medium: 1, High: 2 };
+
+function formatRate(rate) {
+  return rate == null ? 'N/A' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function runLabel(run) {
+  return `#${run.id} · ${run.type} · ${formatDateTime(run.started_at)}`;
+}
+
+function ProviderLink({ id, name }) {
+  return (
+    <Link to={`/providers/${id}`}>
+      {name || `Provider ${id}`}
+    </Link>
+  );
+}
+
+export default function RunComparison() {
+  const [params, setParams] = useQueryState();
+  const base = Number(params.base) || null;
+  const target = Number(params.target) || null;
+  const ready = Boolean(base && target && base !== target);
+
+  const { data: runs } = useQuery(['runs'], () => listRuns());
+  const { data, error, refetch } = useQuery(
+    ['runs', 'compare', base, target],
+    () => compareRuns(base, target),
+    { enabled: ready },
+  );
+
+  const picker = (name, value) => (
+    <select value={value || ''} onChange={(e) => setParams({ [name]: e.target.value })}>
+      <option value="">Select a run…</option>
+      {(runs || []).filter(r => r.status !== 'running').map(r => (
+        <option key={r.id} value={r.id}>{runLabel(r)}</option>
+      ))}
+    </select>
+  );
+
+  const improved = data?.band_changes.filter(c => BAND_RANK[c.band_after] > BAND_RANK[c.band_before]) || [];
+  const driftUp = data?.drift_changes.filter(c => DRIFT_RANK[c.bucket_after] > DRIFT_RANK[c.bucket_before]) || [];
+  const rateChange = data?.automation_rate_change;
+
+  return (
+    <div className="run-detail">
+      <div className="card">
+        <div className="card-title-row">
+          <h2>⚖️ Compare Runs</h2>
+          <button className="btn-link" onClick={() => goBack('/runs', '/runs')}>← All runs</button>
+        </div>
+        <div className="list-toolbar">
+          <label>Baseline {picker('base', base)}</label>
+          <button
+            className="btn-link"
+            title="Swap runs"
+            disabled={!base && !target}
+            onClick={() => setParams({ base: target || '', target: base || '' })}
+          >
+            ⇄
+          </button>
+          <label>Compared run {picker('target', target)}</label>
+        </div>
+        {!ready && <p className="text-muted">Pick two different runs to compare.</p>}
+        {ready && <ErrorBanner error={error} fallback="Failed to compare runs." onRetry={refetch} />}
+        {ready && !data && !error && <p>Comparing…</p>}
+        {ready && data && (
+          <>
+            <div className="run-summary">
+              <div>
+                Automation rate{' '}
+                <strong>{formatRate(data.base.automation_rate)} → {formatRate(data.target.automation_rate)}</strong>
+                {rateChange != null && (
+                  <span className={`delta ${rateChange >= 0 ? 'up' : 'down'}`}>
+                    {' '}{rateChange >= 0 ? '▲' : '▼'} {Math.abs(rateChange * 100).toFixed(1)} pts
+                  </span>
+                )}
+              </div>
+              <div>
+                <strong>{data.band_changes.length}</strong> PCS band changes
+                {' '}(<span className="delta up">{improved.length} up</span>,{' '}
+                <span className="delta down">{data.band_changes.length - improved.length} down</span>)
+              </div>
+              <div>
+                <strong>{data.drift_changes.length}</strong> drift moves
+                {' '}(<span className="delta down">{driftUp.length} riskier</span>,{' '}
+                <span className="delta up">{data.drift_changes.length - driftUp.length} safer</span>)
+              </div>
+              <div><strong>{data.new_reviews.length}</strong> fields newly sent to review</div>
+            </div>
+            {(!data.base.has_snapshot || !data.target.has_snapshot) && (
+              <p className="text-muted">
+                One of these runs has no recorded scores, so PCS band and drift moves can't be shown.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {ready && data && (
+        <>
+          <div className="card">
+            <h3>PCS Band Changes</h3>
+            {data.band_changes.length === 0 ? <p>No provider changed PCS band.</p> : (
+              <table className="data-table">
+                <thead>
+                  <tr><th>Provider</th><th>Band</th><th>PCS</th></tr>
+                </thead>
+                <tbody>
+                  {data.band_changes.map(c => (
+                    <tr key={c.provider_id}>
+                      <td><ProviderLink id={c.provider_id} name={c.name} /></td>
+                      <td>
+                        <span className={`badge ${c.band_before}`}>{c.band_before}</span>
+                        {' → '}
+                        <span className={`badge ${c.band_after}`}>{c.band_after}</span>
+                      </td>
+                      <td>{c.pcs_before?.toFixed(1)} → {c.pcs_after?.toFixed(1)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="card">
+            <h3>Drift Changes</h3>
+            {data.drift_changes.length === 0 ? <p>No provider changed drift bucket.</p> : (
+              <table className="data-table">
+                <thead>
+                  <tr><th>Provider</th><th>Drift</th><th>Direction</th></tr>
+                </thead>
+                <tbody>
+                  {data.drift_changes.map(c => {
+                    const riskier = DRIFT_RANK[c.bucket_after] > DRIFT_RANK[c.bucket_before];
+                    return (
+                      <tr key={c.provider_id}>
+                        <td><ProviderLink id={c.provider_id} name={c.name} /></td>
+                        <td>
+                          <span className={`chip drift-${c.bucket_before.toLowerCase()}`}>{c.bucket_before}</span>
+                          {' → '}
+                          <span className={`chip drift-${c.bucket_after.toLowerCase()}`}>{c.bucket_after}</span>
+                        </td>
+                        <td className={`delta ${riskier ? 'down' : 'up'}`}>{riskier ? '▲ Riskier' : '▼ Safer'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="card">
+            <h3>Newly Routed to Manual Review</h3>
+            {data.new_reviews.length === 0 ? <p>No fields were newly routed to review.</p> : (
+              <table className="data-table">
+                <thead>
+                  <tr><th>Provider</th><th>Field</th><th>Current</th><th>Suggested</th><th>Reason</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                  {data.new_reviews.map(r => (
+                    <tr key={r.id}>
+                      <td><ProviderLink id={r.provider_id} name={r.name} /></td>
+                      <td>{r.field}</td>
+                      <td>{r.current_value}</td>
+                      <td>{r.suggested_value}</td>
+                      <td>{r.reason}</td>
+                      <td><span className={`status-pill ${r.status}`}>{STATUS_LABELS[r.status] || 'Pending'}</span></td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
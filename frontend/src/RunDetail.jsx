@@ -0,0 +1,223 @@
+import React from 'react';
+import { getRunChanges } from './api';
+import { useQuery } from './queryCache';
+import { Link, goBack, useQueryState } from './router';
+import { formatDateTime, formatDuration } from './dates';
+import { DiffText } from './diff';
+import { RunStatus } from './RunHistory';
+import { STATUS_LABELS } from './ReviewHistory';
+import { useExportContext } from './exporting';
+import { ErrorBanner } from './NotificationCenter';
+
+const DRIFT_RANK = { Low: 0, Medium: 1, High: 2 };
+const VIEWS = [
+  { value: '', label: 'All affected' },
+  { value: 'updated', label: 'Auto-updated' },
+  { value: 'review', label: 'Sent to review' },
+  { value: 'moved', label: 'PCS / drift moved' },
+];
+
+export function pcsDelta(pcs) {
+  if (pcs?.before == null || pcs?.after == null) return null;
+  return pcs.after - pcs.before;
+}
+
+// Positive when drift risk went up between the two runs.
+export function driftDelta(drift) {
+  if (!drift?.bucket_before || !drift?.bucket_after) return null;
+  return DRIFT_RANK[drift.bucket_after] - DRIFT_RANK[drift.bucket_before];
+}
+
+function hasMoved(row) {
+  const delta = pcsDelta(row.pcs);
+  return (delta != null && Math.abs(delta) >= 0.05) || Boolean(driftDelta(row.drift));
+}
+
+export function PcsChange({ pcs }) {
+  if (!pcs || pcs.after == null) return <span className="text-muted">—</span>;
+  const delta = pcsDelta(pcs);
+  return (
+    <span>
+      {pcs.after.toFixed(1)}
+      {delta != null && Math.abs(delta) >= 0.05 && (
+        <span className={`delta ${delta > 0 ? 'up' : 'down'}`}>
+          {' '}{delta > 0 ? '▲' : '▼'} {Math.abs(delta).toFixed(1)}
+        </span>
+      )}
+      {pcs.band_before && pcs.band_before !== pcs.band_after && (
+        <span className="text-muted"> ({pcs.band_before} → {pcs.band_after})</span>
+      )}
+    </span>
+  );
+}
+
+export function DriftChange({ drift }) {
+  if (!drift?.bucket_after) return <span className="text-muted">—</span>;
+  const delta = driftDelta(drift);
+  if (!delta) return <span className={`chip drift-${drift.bucket_after.toLowerCase()}`}>{drift.bucket_after}</span>;
+  return (
+    <span className={`delta ${delta > 0 ? 'down' : 'up'}`}>
+      {drift.bucket_before} → {drift.bucket_after}
+    </span>
+  );
+}
+
+export default function RunDetail({ runId }) {
+  const [params, setParams] = useQueryState();
+  const valid = Number.isInteger(runId) && runId > 0;
+  const { data, error, refetch } = useQuery(['runs', runId, 'changes'], () => getRunChanges(runId), { enabled: valid });
+  useExportContext(valid && data ? {
+    runId,
+    table: {
+      title: `Run ${runId} providers`,
+      columns: [
+        { key: 'provider_id', label: 'Provider ID' },
+        { key: 'name', label: 'Provider' },
+        { key: 'updated', label: 'Auto-Updated Fields' },
+        { key: 'review', label: 'Sent to Review' },
+        { key: 'pcs', label: 'PCS' },
+        { key: 'drift', label: 'Drift' },
+      ],
+      rows: data.providers.map(row => ({
+        provider_id: row.provider_id,
+        name: row.name,
+        updated: row.changes.map(c => c.field).join(', '),
+        review: row.reviews.map(r => r.field).join(', '),
+        pcs: row.pcs?.after,
+        drift: row.drift?.bucket_after,
+      })),
+    },
+  } : null);
+
+  const back = (
+    <button className="btn-link" onClick={() => goBack('/runs', '/runs')}>← All runs</button>
+  );
+
+  if (!valid || error?.status === 404) {
+    return (
+      <div className="card">
+        <div className="card-title-row"><h2>Run not found</h2>{back}</div>
+        <p>There is no batch run with this ID.</p>
+      </div>
+    );
+  }
+  if (error) return <div className="card">{back}<ErrorBanner error={error} fallback="Failed to load run." onRetry={refetch} /></div>;
+  if (!data) return <div className="card">Loading run…</div>;
+
+  const { run, providers, previous_run_id: previousRunId, has_snapshot: hasSnapshot } = data;
+  const rows = providers.filter(row => {
+    if (params.view === 'updated') return row.changes.length > 0;
+    if (params.view === 'review') return row.reviews.length > 0;
+    if (params.view === 'moved') return hasMoved(row);
+    return true;
+  });
+
+  const pcsUp = providers.filter(r => pcsDelta(r.pcs) >= 0.05).length;
+  const pcsDown = providers.filter(r => pcsDelta(r.pcs) <= -0.05).length;
+  const driftUp = providers.filter(r => driftDelta(r.drift) > 0).length;
+  const driftDown = providers.filter(r => driftDelta(r.drift) < 0).length;
+
+  return (
+    <div className="run-detail">
+      <div className="card">
+        <div className="card-title-row">
+          <h2>Run #{run.id} <span className="capitalize">· {run.type}</span></h2>
+          <div className="card-title-actions">
+            <RunStatus status={run.status} />
+            {back}
+          </div>
+        </div>
+        <div className="run-meta">
+          <span>Started {formatDateTime(run.started_at)}</span>
+          {run.finished_at && <span>Finished {formatDateTime(run.finished_at)}</span>}
+          {run.finished_at && <span>Took {formatDuration(run.started_at, run.finished_at)}</span>}
+          <span>{run.count_processed}{run.total ? ` / ${run.total}` : ''} providers processed</span>
+        </div>
+        <div className="run-summary">
+          <div><strong>{run.auto_updates}</strong> fields auto-updated</div>
+          <div><strong>{run.manual_reviews}</strong> fields sent to review</div>
+          <div><strong className="delta up">{pcsUp}</strong> PCS up · <strong className="delta down">{pcsDown}</strong> down</div>
+          <div><strong className="delta down">{driftUp}</strong> drift up · <strong className="delta up">{driftDown}</strong> down</div>
+        </div>
+        {previousRunId ? (
+          <p className="text-muted">
+            PCS and drift are compared with{' '}
+            <Link to={`/runs/${previousRunId}`}>
+              run #{previousRunId}
+            </Link>.
+          </p>
+        ) : (
+          <p className="text-muted">No earlier run with recorded scores to compare PCS and drift against.</p>
+        )}
+        {!hasSnapshot && run.status !== 'running' && (
+          <p className="text-muted">This run predates score snapshots, so PCS and drift movement is unavailable.</p>
+        )}
+        {run.errors.length > 0 && (
+          <details className="run-errors">
+            <summary>{run.errors.length} providers failed</summary>
+            <ul>
+              {run.errors.map(e => <li key={e.provider_id}><strong>{e.name}</strong>: {e.error}</li>)}
+            </ul>
+          </details>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="list-toolbar">
+          <label>
+            Show{' '}
+            <select value={params.view || ''} onChange={(e) => setParams({ view: e.target.value })}>
+              {VIEWS.map(v => <option key={v.value} value={v.value}>{v.label}</option>)}
+            </select>
+          </label>
+          <span className="list-summary">{rows.length} providers</span>
+        </div>
+        {rows.length === 0 ? (
+          <p>No providers in this view.</p>
+        ) : (
+          <table className="data-table run-changes">
+            <thead>
+              <tr>
+                <th>Provider</th>
+                <th>Auto-Updated Fields</th>
+                <th>Sent to Review</th>
+                <th>PCS</th>
+                <th>Drift</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.provider_id}>
+                  <td>
+                    <Link to={`/providers/${row.provider_id}`}>
+                      {row.name || `Provider ${row.provider_id}`}
+                    </Link>
+                  </td>
+                  <td>
+                    {row.changes.map(c => (
+                      <div key={c.field} className="run-change">
+                        <span className="field-name">{c.field}</span>
+                        <DiffText before={c.old_value || ''} after={c.new_value || ''} />
+                      </div>
+                    ))}
+                  </td>
+                  <td>
+                    {row.reviews.map(r => (
+                      <div key={r.id} className="run-change">
+                        <span className="field-name">{r.field}</span>
+                        {r.suggested_value}{' '}
+                        <span className={`status-pill ${r.status}`}>{STATUS_LABELS[r.status] || 'Pending'}</span>
+                      </div>
+                    ))}
+                  </td>
+                  <td><PcsChange pcs={row.pcs} /></td>
+                  <td><DriftChange drift={row.drift} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { listRuns } from './api';
+import { useQuery } from './queryCache';
+import { Link, buildPath, navigate, useQueryState } from './router';
+import { formatDateTime, formatDuration } from './dates';
+import { useExportContext } from './exporting';
+import { ErrorBanner } from './NotificationCenter';
+
+const RUN_TYPES = ['daily', 'weekly', 'onboarding'];
+
+export const RUN_STATUS_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  cancelled: 'Cancelled',
+  failed: 'Failed',
+};
+
+export function RunStatus({ status }) {
+  return <span className={`status-pill run-${status}`}>{RUN_STATUS_LABELS[status] || status}</span>;
+}
+
+export default function RunHistory() {
+  const [params, setParams] = useQueryState();
+  const { data: runs, error, refetch } = useQuery(['runs'], () => listRuns());
+  const [selected, setSelected] = useState([]); // up to two run ids, oldest selection first
+
+  const toggleSelected = (id) => {
+    setSelected(prev => {
+      if (prev.includes(id)) return prev.filter(x => x !== id);
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const compareSelected = () => {
+    const [base, target] = [...selected].sort((a, b) => a - b);
+    navigate(buildPath('/runs/compare', { base, target }));
+  };
+
+  const visible = (runs || []).filter(r =>
+    (!params.type || r.type === params.type) && (!params.status || r.status === params.status)
+  );
+
+  useExportContext({
+    table: {
+      title: 'Batch runs',
+      columns: [
+        { key: 'id', label: 'Run' },
+        { key: 'type', label: 'Type' },
+        { key: 'started_at', label: 'Started' },
+        { key: 'finished_at', label: 'Finished' },
+        { key: 'count_processed', label: 'Processed' },
+        { key: 'auto_updates', label: 'Auto-Updates' },
+        { key: 'manual_reviews', label: 'Manual Reviews' },
+        { key: 'status', label: 'Status' },
+      ],
+      rows: visible,
+    },
+  });
+
+  return (
+    <div className="card">
+      <div className="card-title-row">
+        <h2>🕒 Batch Runs</h2>
+        <div className="card-title-actions">
+          <span className="list-summary">{selected.length}/2 selected</span>
+          <button className="btn-small" disabled={selected.length !== 2} onClick={compareSelected}>
+            Compare selected
+          </button>
+        </div>
+      </div>
+      <div className="list-toolbar">
+        <label>
+          Type{' '}
+          <select value={params.type || ''} onChange={(e) => setParams({ type: e.target.value })}>
+            <option value="">All types</option>
+            {RUN_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+        </label>
+        <label>
+          Status{' '}
+          <select value={params.status || ''} onChange={(e) => setParams({ status: e.target.value })}>
+            <option value="">All statuses</option>
+            {Object.entries(RUN_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <ErrorBanner error={error} fallback="Failed to load batch runs." onRetry={refetch} />
+      {!runs && !error && <p>Loading runs…</p>}
+      {runs && visible.length === 0 && <p>No batch runs match these filters.</p>}
+      {visible.length > 0 && (
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th aria-label="Select for comparison"></th>
+              <th>Run</th>
+              <th>Type</th>
+              <th>Started</th>
+              <th>Finished</th>
+              <th>Duration</th>
+              <th>Processed</th>
+              <th>Auto-Updates</th>
+              <th>Manual Reviews</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(r => (
+              <tr key={r.id} className="clickable-row" onClick={() => navigate(`/runs/${r.id}`)}>
+                <td onClick={(e) => e.stopPropagation()}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Select run ${r.id} for comparison`}
+                    checked={selected.includes(r.id)}
+                    disabled={r.status === 'running'}
+                    onChange={() => toggleSelected(r.id)}
+                  />
+                </td>
+                <td>
+                  {/* The link handles its own clicks (including opening a new tab); keep the row from navigating again. */}
+                  <Link to={`/runs/${r.id}`} onClick={(e) => e.stopPropagation()}>#{r.id}</Link>
+                </td>
+                <td className="capitalize">{r.type}</td>
+                <td>{formatDateTime(r.started_at)}</td>
+                <td>{r.finished_at ? formatDateTime(r.finished_at) : '—'}</td>
+                <td>{r.finished_at ? formatDuration(r.started_at, r.finished_at) : '—'}</td>
+                <td>
+                  {r.count_processed}{r.total ? ` / ${r.total}` : ''}
+                  {r.errors.length > 0 && <span className="field-warning"> ({r.errors.length} failed)</span>}
+                </td>
+                <td>{r.auto_updates}</td>
+                <td>{r.manual_reviews}</td>
+                <td><RunStatus status={r.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { getSettingsAccess, getThresholds, previewThresholds, updateThresholds } from './api';
+import { policyKey } from './confidencePolicy';
+import { formatDateTime } from './dates';
+import { ErrorBanner } from './NotificationCenter';
+import { notifyError, notifySuccess } from './notifications';
+import { setQueryData, useQuery } from './queryCache';
+
+const toPercent = (threshold) => String(Math.round(threshold * 100));
+
+// Thresholds are edited as whole percentages; returns null for anything the server would reject.
+function parsePercent(text) {
+  const value = Number(text);
+  if (text.trim() === '' || !Number.isFinite(value) || value <= 0 || value > 100) return null;
+  return Math.round(value) / 100;
+}
+
+function Impact({ impact }) {
+  if (!impact) return <span className="text-muted">—</span>;
+  const parts = [];
+  if (impact.pending_to_auto) parts.push(`${impact.pending_to_auto} of ${impact.pending} pending reviews would auto-apply`);
+  if (impact.history_to_auto) parts.push(`${impact.history_to_auto} past reviews would have auto-applied`);
+  if (impact.history_to_manual) parts.push(`${impact.history_to_manual} past auto-updates would have needed review`);
+  if (parts.length === 0) return <span className="text-muted">No decisions change</span>;
+  return <ul className="threshold-impact">{parts.map(p => <li key={p}>{p}</li>)}</ul>;
+}
+
+export default function Settings({ reviewer, onReviewerChange }) {
+  const policy = useQuery(policyKey, getThresholds);
+  const access = useQuery(['settings-access', reviewer], () => getSettingsAccess(reviewer));
+  const denied = access.data?.reason;
+  const [draft, setDraft] = useState(null); // field -> percentage text
+  const [saving, setSaving] = useState(false);
+
+  const fields = policy.data?.fields || [];
+  useEffect(() => {
+    if (policy.data && draft === null) {
+      setDraft(Object.fromEntries(policy.data.fields.map(f => [f.field, toPercent(f.threshold)])));
+    }
+  }, [policy.data, draft]);
+
+  const changes = draft
+    ? Object.fromEntries(fields
+      .map(f => [f.field, parsePercent(draft[f.field])])
+      .filter(([field, value]) => value !== null && value !== fields.find(f => f.field === field).threshold))
+    : {};
+  const invalid = draft ? fields.filter(f => parsePercent(draft[f.field]) === null).map(f => f.field) : [];
+  const changed = Object.keys(changes);
+
+  // Wait for typing to pause before asking what the new thresholds would change.
+  const changesKey = JSON.stringify(changes);
+  const [previewed, setPreviewed] = useState({});
+  useEffect(() => {
+    const timer = setTimeout(() => setPreviewed(JSON.parse(changesKey)), 400);
+    return () => clearTimeout(timer);
+  }, [changesKey]);
+  const previewCurrent = JSON.stringify(previewed) === changesKey;
+
+  const preview = useQuery(['settings', 'preview', previewed], () => previewThresholds(previewed), {
+    enabled: Object.keys(previewed).length > 0,
+  });
+
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await updateThresholds(changes);
+      setQueryData(policyKey, saved);
+      setDraft(null);
+      notifySuccess('Thresholds saved', `Updated ${changed.join(', ')}; the next batch run uses them`);
+    } catch (err) {
+      notifyError(err, { title: 'Could not save thresholds', fallback: 'Save failed' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="card settings" onSubmit={save}>
+      <div className="card-title-row">
+        <h2>⚙️ Auto-Update Policy</h2>
+        <label className="reviewer-input">
+          Editing as{' '}
+          <input value={reviewer} onChange={(e) => onReviewerChange(e.target.value)} placeholder="your name" />
+        </label>
+      </div>
+      <p className="text-muted">
+        A validated value is applied automatically when its confidence reaches the field&apos;s threshold;
+        anything lower goes to manual review. Changes apply from the next batch run.
+      </p>
+      {denied && <div className="field-warning" role="alert">{denied}</div>}
+      <ErrorBanner error={policy.error} fallback="Failed to load thresholds." onRetry={policy.refetch} />
+      {!policy.data && !policy.error && <p>Loading thresholds…</p>}
+
+      {draft && (
+        <table className="data-table threshold-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Auto-update at</th>
+              <th>Last changed</th>
+              <th>Impact</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(f => (
+              <tr key={f.field} className={changes[f.field] !== undefined ? 'threshold-changed' : ''}>
+                <td><span className="field-name">{f.field}</span></td>
+                <td>
+                  <label className="threshold-input">
+                    ≥{' '}
+                    <input
+                      type="number"
+                      min="1"
+                      max="100"
+                      step="1"
+                      value={draft[f.field]}
+                      aria-label={`${f.field} threshold (percent)`}
+                      onChange={(e) => setDraft(prev => ({ ...prev, [f.field]: e.target.value }))}
+                    />
+                    %
+                  </label>
+                  {invalid.includes(f.field) && <div className="field-error">Enter 1–100</div>}
+                  {changes[f.field] !== undefined && <div className="text-muted">was {toPercent(f.threshold)}%</div>}
+                </td>
+                <td className="text-muted">
+                  {f.updated_at ? `${formatDateTime(f.updated_at)} by ${f.updated_by}` : 'Default'}
+                </td>
+                <td>
+                  {changes[f.field] === undefined
+                    ? <span className="text-muted">—</span>
+                    : !previewCurrent
+                      ? <span className="text-muted">Checking…</span>
+                      : preview.error
+                        ? <span className="field-error">Preview failed</span>
+                        : preview.data ? <Impact impact={preview.data.impact[f.field]} /> : <span className="text-muted">Checking…</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="override-actions">
+        <button
+          type="submit"
+          className="btn-override"
+          disabled={Boolean(denied) || changed.length === 0 || invalid.length > 0 || saving}
+        >
+          {saving ? 'Saving…' : changed.length ? `Save ${changed.length} threshold${changed.length === 1 ? '' : 's'}` : 'Save'}
+        </button>
+        <button type="button" className="btn-link" disabled={changed.length === 0} onClick={() => setDraft(null)}>
+          Reset
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { DiffText } from './diff';
+
+export const SOURCE_LABELS = {
+  npi: 'NPI registry',
+  state_board: 'State medical board',
+  hospital: 'Hospital directory',
+  maps: 'Maps listing',
+  original: 'Directory record',
+  manual: 'Manual edit',
+  ocr: 'License document (OCR)',
+};
+
+// Candidates in the shape /explain expects, from a field's evidence.
+export function explainCandidates(evidence) {
+  return (evidence?.sources || [])
+    .filter(s => s.scored)
+    .map(s => ({ source: s.source, value: s.value }));
+}
+
+// Every source's value for one field, compared with the directory's current
+// value. Rows that disagree are highlighted and diffed against it.
+export default function SourceEvidence({ field, evidence }) {
+  if (!evidence) return <p className="text-muted">No evidence recorded for {field}.</p>;
+  if (evidence.sources.length === 0) return <p className="text-muted">No source reported a value for {field}.</p>;
+
+  const current = evidence.current_value || '';
+
+  return (
+    <div className="evidence-panel">
+      <div className="evidence-summary">
+        {evidence.disagreement
+          ? <span className="field-warning">⚠ Sources disagree on this field.</span>
+          : <span className="delta up">✓ All sources agree.</span>}
+        {evidence.best_value != null && (
+          <span>
+            Engine pick: <strong>{evidence.best_value}</strong> ({(evidence.confidence * 100).toFixed(0)}% confidence)
+          </span>
+        )}
+      </div>
+      <table className="evidence-table">
+        <thead>
+          <tr>
+            <th>Source</th>
+            <th>Value</th>
+            <th>vs. Current</th>
+            <th>Reliability Weight</th>
+          </tr>
+        </thead>
+        <tbody>
+          {evidence.sources.map((s, idx) => (
+            <tr key={`${s.source}-${idx}`} className={s.matches_current ? '' : 'evidence-mismatch'}>
+              <td>
+                {SOURCE_LABELS[s.source] || s.source}
+                {s.agrees_with_best && <span className="evidence-tag" title="Supports the engine's pick">pick</span>}
+              </td>
+              <td>
+                {s.matches_current || !current ? s.value : <DiffText before={current} after={s.value} />}
+              </td>
+              <td>{s.matches_current ? '✓ Matches' : '✗ Differs'}</td>
+              <td>
+                {s.scored ? (
+                  <div className="confidence-wrapper">
+                    <div className="progress-bar-bg evidence-weight">
+                      <div className="progress-bar-fill" style={{ width: `${s.weight * 100}%`, background: '#2196f3' }} />
+                    </div>
+                    <span>{s.weight.toFixed(1)}</span>
+                  </div>
+                ) : (
+                  <span className="text-muted" title="OCR values are shown for reference and are not scored">not scored</span>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,21 +1,265 @@
-const API_BASE = "http://localhost:8000";
-
-export async function explainDecision(payload) {
-  const res = await fetch(`${API_BASE}/explain`, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
+import axios from 'axios';
+
+// Single entry point for every backend call. The base URL defaults to the
+// page origin (the dev server proxies API paths to :8000); set API_BASE_URL
+// at build time or call setBaseUrl() to talk to a backend elsewhere.
+
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 500;
+const MAX_RETRY_AFTER_MS = 10000; // longer waits are surfaced to the user instead
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+const http = axios.create({ baseURL: process.env.API_BASE_URL || '' });
+
+export function setBaseUrl(url) {
+  http.defaults.baseURL = url || '';
+}
+
+export function getBaseUrl() {
+  return http.defaults.baseURL;
+}
+
+// Reviewer identity sent with every request so decisions are attributed.
+export function setReviewer(name) {
+  if (name && name.trim()) {
+    http.defaults.headers.common['X-Reviewer'] = name.trim();
+  } else {
+    delete http.defaults.headers.common['X-Reviewer'];
+  }
+}
+
+export class ApiError extends Error {
+  constructor(message, { status = null, detail = null, retryAfter = null, cancelled = false, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+    this.retryAfter = retryAfter; // seconds, from the Retry-After header on 429s
+    this.cancelled = cancelled;
+    this.cause = cause;
+  }
+
+  get isRateLimited() {
+    return this.status === 429;
+  }
+
+  get isNetworkError() {
+    return this.status === null && !this.cancelled;
+  }
+}
+
+export function isCancelled(err) {
+  return err instanceof ApiError && err.cancelled;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function toApiError(err) {
+  if (axios.isCancel(err) || err?.name === 'CanceledError' || err?.name === 'AbortError') {
+    return new ApiError('Request cancelled', { cancelled: true, cause: err });
+  }
+  const response = err?.response;
+  if (!response) {
+    return new ApiError('Cannot reach the server. Check that the backend is running.', { cause: err });
+  }
+
+  const detail = typeof response.data?.detail === 'string' ? response.data.detail : null;
+  const retryAfter = parseRetryAfter(response.headers?.['retry-after']);
+  let message = detail;
+  if (!message) {
+    if (response.status === 429) message = 'Rate limit exceeded. Please wait.';
+    else if (response.status === 404) message = 'Not found.';
+    else if (response.status >= 500) message = 'The server ran into an error.';
+    else message = `Request failed (${response.status}).`;
+  }
+  return new ApiError(message, { status: response.status, detail, retryAfter, cause: err });
+}
+
+// Blob requests (file downloads) get their error body as a Blob too; decode
+// JSON bodies so the server's `detail` still reaches the user.
+async function decodeBlobError(response) {
+  if (!response.data.type.includes('json')) return;
+  try {
+    response.data = JSON.parse(await response.data.text());
+  } catch {
+    // leave the body as-is; toApiError falls back to a status message
+  }
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new ApiError('Request cancelled', { cancelled: true }));
+    }, { once: true });
   });
+}
+
+function retryDelay(error, attempt) {
+  if (error.isRateLimited) {
+    if (error.retryAfter == null) return null;
+    const ms = error.retryAfter * 1000;
+    return ms <= MAX_RETRY_AFTER_MS ? ms : null;
+  }
+  if (error.isNetworkError || RETRYABLE_STATUSES.includes(error.status)) {
+    return BASE_DELAY_MS * 2 ** attempt + Math.random() * BASE_DELAY_MS;
+  }
+  return null;
+}
+
+// Sends a request, retrying with backoff when it is safe to: idempotent
+// requests retry on network errors and 5xx gateway statuses; any request
+// retries a 429 whose Retry-After is short. `signal` cancels the request
+// and any pending retry.
+export async function request(method, url, { params, data, signal, retries, responseType, headers } = {}) {
+  const idempotent = method === 'get';
+  const maxRetries = retries ?? (idempotent ? DEFAULT_RETRIES : 0);
 
-  if (res.status === 429) {
-    throw new Error("Rate limit exceeded. Please wait.");
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await http.request({ method, url, params, data, signal, responseType, headers });
+      return res.data;
+    } catch (err) {
+      if (err?.response?.data instanceof Blob) await decodeBlobError(err.response);
+      const error = toApiError(err);
+      if (error.cancelled) throw error;
+      const rateLimitRetry = error.isRateLimited && attempt === 0;
+      const delay = attempt < maxRetries || rateLimitRetry ? retryDelay(error, attempt) : null;
+      if (delay == null) throw error;
+      await sleep(delay, signal);
+    }
   }
+}
+
+const get = (url, options) => request('get', url, options);
+const post = (url, data, options) => request('post', url, { ...options, data });
+const patch = (url, data, options) => request('patch', url, { ...options, data });
+
+// --- Health & dashboard ---
+
+export const getHealth = (options) => get('/health', options);
+export const getStats = (options) => get('/stats', options);
+export const getTrend = (range, options) => get('/stats/trend', { ...options, params: range }); // { limit } or { since, until }
+
+// --- Providers ---
+
+export const listProviders = (filters, options) => get('/providers', { ...options, params: filters }); // { total, items }
+export const getProvider = (id, options) => get(`/providers/${id}`, options);
+export const getProviderDetails = (id, options) => get(`/providers/${id}/details`, options);
+export const getProviderOcr = (id, options) => get(`/providers/${id}/ocr`, options);
+export const getProviderQa = (id, options) => get(`/providers/${id}/qa`, options);
+export const getProviderHistory = (id, options) => get(`/providers/${id}/history`, options);
+export const getProviderEvidence = (id, options) => get(`/providers/${id}/evidence`, options);
+// Asks as `reviewer` explicitly: the shared X-Reviewer header is only updated after render.
+export const getEditAccess = (reviewer, options) =>
+  get('/providers/edit-access', { ...options, headers: { 'X-Reviewer': reviewer || '' } });
+export const updateProvider = (id, payload, options) => patch(`/providers/${id}`, payload, options); // { fields, reason }
+
+// --- Duplicates ---
+
+export const listDuplicates = (options) => get('/duplicates', options);
+export const mergeProviders = (payload, options) => post('/duplicates/merge', payload, options); // { survivor_id, merged_ids, values }
+export const markDistinct = (providerIds, options) => post('/duplicates/distinct', { provider_ids: providerIds }, options);
+
+// --- Licenses ---
 
+export const listExpiringLicenses = (within, options) => get('/licenses/expiring', { ...options, params: { within } });
+export const createLicenseFollowUps = (providerIds, options) =>
+  post('/licenses/follow-up', { provider_ids: providerIds }, options);
+
+// --- Settings ---
+
+export const getThresholds = (options) => get('/settings/thresholds', options);
+export const previewThresholds = (thresholds, options) => post('/settings/thresholds/preview', { thresholds }, options);
+export const updateThresholds = (thresholds, options) => request('put', '/settings/thresholds', { ...options, data: { thresholds } });
+// Asks as `reviewer` explicitly, like getEditAccess.
+export const getSettingsAccess = (reviewer, options) =>
+  get('/settings/access', { ...options, headers: { 'X-Reviewer': reviewer || '' } });
+
+// --- Manual review ---
+
+export const listManualReview = (options) => get('/manual-review', options);
+export const getReviewHistory = (filters, options) => get('/manual-review/history', { ...options, params: filters });
+export const approveReview = (id, options) => post(`/manual-review/${id}/approve`, null, options);
+export const rejectReview = (id, options) => post(`/manual-review/${id}/reject`, null, options);
+export const overrideReview = (id, value, options) =>
+  post(`/manual-review/${id}/override`, null, { ...options, params: { value } });
+export const undoReview = (id, options) => post(`/manual-review/${id}/undo`, null, options);
+
+// --- Batch runs & reports ---
+
+export const listRuns = (options) => get('/run-batch', options);
+export const getRunChanges = (id, options) => get(`/run-batch/${id}/changes`, options);
+export const compareRuns = (base, target, options) =>
+  get('/run-batch/compare', { ...options, params: { base, target } });
+export const runBatch = (type = 'daily', options) => post('/run-batch', null, { ...options, params: { type } });
+export const startBatch = (type = 'daily', options) => post('/run-batch/start', null, { ...options, params: { type } });
+export const getActiveBatch = (options) => get('/run-batch/active', options);
+export const getBatchRun = (id, options) => get(`/run-batch/${id}`, options);
+export const cancelBatch = (id, options) => post(`/run-batch/${id}/cancel`, null, options);
+// scope: directory | providers | provider | run | reviews; format: pdf | csv | xlsx | json
+export const exportReport = (payload, options) => post('/reports/export', payload, { ...options, responseType: 'blob' });
+
+// --- Imports ---
+
+// Every import step re-sends the file, so the server never holds an upload.
+function importForm(file, fields = {}) {
+  const form = new FormData();
+  form.append('file', file);
+  Object.entries(fields).forEach(([key, value]) => form.append(key, JSON.stringify(value)));
+  return form;
+}
+
+export const getImportColumns = (file, options) => post('/imports/columns', importForm(file), options);
+export const previewImport = (file, mapping, options) => post('/imports/preview', importForm(file, { mapping }), options);
+export const commitImport = (file, mapping, resolutions, options) =>
+  post('/imports/commit', importForm(file, { mapping, resolutions }), options);
+
+// --- AI ---
+
+export const explainDecision = (payload, options) => post('/explain', payload, options); // { explanation }
+export const chat = (message, history, options) => post('/chat', { message, history }, options); // { response }
+
+// Streams a chat answer, calling onChunk with each piece of text as it
+// arrives; resolves with the full answer. axios cannot read a response body
+// incrementally in the browser, so this one uses fetch directly.
+export async function streamChat(message, history, context, { signal, onChunk } = {}) {
+  let res;
+  try {
+    res = await fetch(`${getBaseUrl()}/chat/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, history, context }),
+      signal,
+    });
+  } catch (err) {
+    throw toApiError(err);
+  }
   if (!res.ok) {
-    throw new Error("Failed to generate explanation");
+    const body = await res.json().catch(() => ({}));
+    throw toApiError({ response: { status: res.status, data: body, headers: { 'retry-after': res.headers.get('Retry-After') } } });
   }
 
-  return res.json(); // { explanation: string }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const chunk = decoder.decode(value, { stream: true });
+      text += chunk;
+      onChunk?.(chunk, text);
+    }
+  } catch (err) {
+    throw toApiError(err);
+  }
+  return text;
 }
@@ -0,0 +1,135 @@
+import { listProviders } from './api';
+import { buildPath, navigate } from './router';
+
+// Structured actions the assistant can attach to an answer as a fenced
+// ```actions block holding a JSON array (see _action_guide in backend/api.py).
+// Anything malformed or unknown is dropped, so the model can only ever
+// navigate within the app or propose review decisions the user confirms.
+
+const FENCE = /```actions[^\n]*\n?([\s\S]*?)(?:```|$)/;
+const DRIFT_BUCKETS = ['Low', 'Medium', 'High'];
+const PCS_BANDS = ['green', 'amber', 'red'];
+
+const positiveInt = (value) => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : null);
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+const oneOf = (values, allowed) => {
+  const list = (Array.isArray(values) ? values : [values]).filter(v => allowed.includes(v));
+  return list.length ? list : null;
+};
+const compact = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v != null));
+
+function normalize(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  switch (raw.type) {
+    case 'open_provider': {
+      const action = compact({ type: raw.type, provider_id: positiveInt(raw.provider_id), name: text(raw.name) });
+      return action.provider_id || action.name ? action : null;
+    }
+    case 'filter_providers': {
+      const action = compact({
+        type: raw.type,
+        q: text(raw.q),
+        specialty: text(raw.specialty),
+        drift: oneOf(raw.drift, DRIFT_BUCKETS),
+        band: oneOf(raw.band, PCS_BANDS),
+        pcs: /^\d+(\.\d+)?-\d+(\.\d+)?$/.test(raw.pcs || '') ? raw.pcs : null,
+        expiring_days: positiveInt(raw.expiring_days),
+      });
+      return Object.keys(action).length > 1 ? action : null;
+    }
+    case 'open_reviews':
+      return compact({ type: raw.type, field: text(raw.field), provider_id: positiveInt(raw.provider_id) });
+    case 'approve_review':
+    case 'reject_review': {
+      const reviewId = positiveInt(raw.review_id);
+      return reviewId ? { type: raw.type, review_id: reviewId } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Splits an answer into the text to show and the actions it carries. While
+// an answer is still streaming the block may be incomplete; it is hidden
+// until it parses.
+export function splitActions(answer) {
+  const match = FENCE.exec(answer || '');
+  if (!match) return { text: answer || '', actions: [] };
+  const shown = (answer.slice(0, match.index) + answer.slice(match.index + match[0].length)).trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(match[1]);
+  } catch {
+    return { text: shown, actions: [] };
+  }
+  const actions = (Array.isArray(parsed) ? parsed : [parsed]).map(normalize).filter(Boolean);
+  return { text: shown, actions };
+}
+
+// Actions that change data need the user's confirmation before they run.
+export const isMutating = (action) => action.type === 'approve_review' || action.type === 'reject_review';
+
+export function describeAction(action) {
+  switch (action.type) {
+    case 'open_provider':
+      return `Open ${action.name || `provider #${action.provider_id}`}`;
+    case 'filter_providers': {
+      const parts = [
+        action.q && `“${action.q}”`,
+        action.specialty,
+        action.drift && `${action.drift.join('/')} drift`,
+        action.band && `${action.band.join('/')} PCS`,
+        action.pcs && `PCS ${action.pcs}`,
+        action.expiring_days && `license expiring within ${action.expiring_days} days`,
+      ].filter(Boolean);
+      return `Show providers: ${parts.join(', ')}`;
+    }
+    case 'open_reviews': {
+      const parts = [action.field, action.provider_id && `provider #${action.provider_id}`].filter(Boolean);
+      return parts.length ? `Open review queue: ${parts.join(', ')}` : 'Open review queue';
+    }
+    case 'approve_review':
+      return `Approve review #${action.review_id}`;
+    case 'reject_review':
+      return `Reject review #${action.review_id}`;
+    default:
+      return action.type;
+  }
+}
+
+// Runs a navigation action. A name opens the provider when a directory
+// search finds exactly one; an ambiguous or unknown name (or a failed lookup)
+// lands on that search instead.
+export async function runNavigation(action) {
+  switch (action.type) {
+    case 'open_provider': {
+      if (action.provider_id) {
+        navigate(`/providers/${action.provider_id}`);
+        return;
+      }
+      const search = buildPath('/providers', { q: action.name });
+      try {
+        const { total, items } = await listProviders({ q: action.name, limit: 1 });
+        navigate(total === 1 ? `/providers/${items[0].id}` : search);
+      } catch {
+        navigate(search);
+      }
+      return;
+    }
+    case 'filter_providers':
+      navigate(buildPath('/providers', {
+        q: action.q,
+        specialty: action.specialty,
+        drift: action.drift,
+        band: action.band,
+        pcs: action.pcs,
+        expiring: action.expiring_days,
+      }));
+      return;
+    case 'open_reviews':
+      navigate(buildPath('/manual-review', { field: action.field, provider: action.provider_id }));
+      return;
+    default:
+      throw new Error(`${action.type} is not a navigation action`);
+  }
+}
@@ -0,0 +1,138 @@
+import { useEffect, useSyncExternalStore } from 'react';
+
+// Chat state shared between the floating chatbot and the pages that open it:
+// named conversations (persisted to localStorage so they survive reloads),
+// whether the window is open, and the context the user is chatting about —
+// the provider or review item on screen, set by the page with useChatContext.
+
+const STORAGE_KEY = 'chatConversations';
+const MAX_CONVERSATIONS = 20;
+const MAX_MESSAGES = 200;
+
+export const WELCOME_MESSAGE = {
+  role: 'assistant',
+  content: 'Hi! I\'m your AI assistant. Ask me anything about provider data, PCS scores, or any general questions!',
+};
+
+const newId = () => `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+function newConversation() {
+  return { id: newId(), title: 'New conversation', named: false, messages: [WELCOME_MESSAGE], updatedAt: Date.now() };
+}
+
+function load() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.conversations?.length) {
+      // An answer that was streaming when the page closed is kept as it stood.
+      const conversations = saved.conversations.map(c => ({
+        ...c,
+        messages: c.messages.map(({ streaming, ...m }) => m),
+      }));
+      const activeId = conversations.some(c => c.id === saved.activeId) ? saved.activeId : conversations[0].id;
+      return { conversations, activeId };
+    }
+  } catch {
+    // Corrupt or unavailable storage: start fresh.
+  }
+  const first = newConversation();
+  return { conversations: [first], activeId: first.id };
+}
+
+let state = { ...load(), isOpen: false, context: null };
+const listeners = new Set();
+
+function persist() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      conversations: state.conversations,
+      activeId: state.activeId,
+    }));
+  } catch {
+    // Quota exceeded or storage disabled; the chat still works for this session.
+  }
+}
+
+function setState(patch, { save = false } = {}) {
+  state = { ...state, ...patch };
+  if (save) persist();
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useChatState() {
+  return useSyncExternalStore(subscribe, () => state);
+}
+
+export const openChat = () => setState({ isOpen: true });
+export const closeChat = () => setState({ isOpen: false });
+export const toggleChat = () => setState({ isOpen: !state.isOpen });
+
+// --- Conversations ---
+
+export function createConversation() {
+  const conversation = newConversation();
+  const conversations = [conversation, ...state.conversations].slice(0, MAX_CONVERSATIONS);
+  setState({ conversations, activeId: conversation.id }, { save: true });
+  return conversation.id;
+}
+
+export function selectConversation(id) {
+  setState({ activeId: id }, { save: true });
+}
+
+export function renameConversation(id, title) {
+  const trimmed = title.trim();
+  if (!trimmed) return;
+  updateConversation(id, c => ({ ...c, title: trimmed, named: true }));
+}
+
+export function deleteConversation(id) {
+  const conversations = state.conversations.filter(c => c.id !== id);
+  if (conversations.length === 0) conversations.push(newConversation());
+  const activeId = state.activeId === id ? conversations[0].id : state.activeId;
+  setState({ conversations, activeId }, { save: true });
+}
+
+// Applies `updater` to one conversation. Unnamed conversations take their
+// title from the first question asked.
+export function updateConversation(id, updater) {
+  const conversations = state.conversations.map(c => {
+    if (c.id !== id) return c;
+    const next = updater(c);
+    const firstQuestion = next.messages.find(m => m.role === 'user');
+    return {
+      ...next,
+      title: !next.named && firstQuestion ? firstQuestion.content.slice(0, 40) : next.title,
+      messages: next.messages.slice(-MAX_MESSAGES),
+      updatedAt: Date.now(),
+    };
+  });
+  setState({ conversations }, { save: true });
+}
+
+// --- Context ---
+
+export function clearChatContext() {
+  setState({ context: null });
+}
+
+// Tells the chatbot what the page is showing, e.g.
+// { provider_id: 12, label: 'Dr. Rao' } or
+// { provider_id: 12, field: 'phone', review_id: 40, label: 'Review #40 · phone' }.
+// The context is dropped when the page unmounts or passes null.
+export function useChatContext(context) {
+  const hash = context ? JSON.stringify(context) : null;
+  useEffect(() => {
+    if (!hash) return undefined;
+    const value = JSON.parse(hash);
+    setState({ context: value });
+    return () => {
+      if (state.context && JSON.stringify(state.context) === hash) setState({ context: null });
+    };
+  }, [hash]);
+}
@@ -0,0 +1,30 @@
+import { useMemo } from 'react';
+import { getThresholds } from './api';
+import { fetchQuery, getQueryData, useQuery } from './queryCache';
+
+// Per-field confidence a value needs to be auto-updated rather than sent to
+// manual review. The batch run reads the same thresholds on the server, so
+// every screen labels decisions the way the run made them. Until the policy
+// loads (or for fields it doesn't cover) the default applies.
+export const DEFAULT_THRESHOLD = 0.7;
+export const policyKey = ['settings', 'thresholds'];
+
+function makePolicy(data) {
+  const thresholds = Object.fromEntries((data?.fields || []).map(f => [f.field, f.threshold]));
+  const thresholdFor = (field) => thresholds[field] ?? data?.default ?? DEFAULT_THRESHOLD;
+  return {
+    thresholdFor,
+    isAutoUpdate: (field, confidence) => confidence >= thresholdFor(field),
+  };
+}
+
+export function useConfidencePolicy() {
+  const { data } = useQuery(policyKey, getThresholds);
+  return useMemo(() => makePolicy(data), [data]);
+}
+
+// For code outside components; resolves from the cache when a screen already loaded it.
+export async function loadConfidencePolicy() {
+  const data = getQueryData(policyKey) ?? await fetchQuery(policyKey, getThresholds);
+  return makePolicy(data);
+}
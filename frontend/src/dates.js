@@ -0,0 +1,52 @@
+// The backend stores naive UTC timestamps (datetime.utcnow) and serialises
+// them without an offset; parse them as UTC rather than local time.
+export function parseServerDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+  const hasZone = /([zZ]|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = new Date(hasZone || !value.includes('T') ? value : `${value}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// YYYY-MM-DD of the local calendar day; toISOString() would give the UTC day.
+export function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+export function formatDateTime(value) {
+  const date = parseServerDate(value);
+  if (!date) return 'N/A';
+  return date.toLocaleString('en-US', {
+    month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true,
+  });
+}
+
+export function formatRelative(value, now = Date.now()) {
+  const date = parseServerDate(value);
+  if (!date) return 'N/A';
+  const seconds = Math.round((now - date.getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return formatDateTime(value);
+}
+
+export function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+export function formatDuration(start, end) {
+  const from = parseServerDate(start);
+  const to = parseServerDate(end);
+  if (!from || !to) return 'N/A';
+  const seconds = Math.max(0, Math.round((to - from) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
@@ -0,0 +1,57 @@
+import React from 'react';
+
+// Word-level diff between two strings (LCS over whitespace/punctuation
+// tokens). Returns [{ type: 'same' | 'added' | 'removed', text }].
+export function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
+
+function tokenize(value) {
+  return (value == null ? '' : String(value)).match(/\w+|\s+|[^\w\s]/g) || [];
+}
+
+// Renders `after` with insertions (and, unless `hideRemoved`, deletions)
+// relative to `before` highlighted.
+export function DiffText({ before, after, hideRemoved = false }) {
+  return (
+    <span className="diff-text">
+      {diffWords(before, after).map((part, idx) => {
+        if (part.type === 'same') return <span key={idx}>{part.text}</span>;
+        if (part.type === 'removed') return hideRemoved ? null : <del key={idx}>{part.text}</del>;
+        return <ins key={idx}>{part.text}</ins>;
+      })}
+    </span>
+  );
+}
@@ -0,0 +1,44 @@
+import * as api from './api';
+import { loadConfidencePolicy } from './confidencePolicy';
+import { fetchQuery, getQueryData } from './queryCache';
+import { explainCandidates } from './SourceEvidence';
+
+export const evidenceKey = (providerId) => ['providers', providerId, 'evidence'];
+
+// Source evidence for a provider. Always asks the server (sharing a request a
+// panel already has in flight): cached evidence may predate a decision that
+// invalidated it.
+export function loadEvidence(providerId) {
+  return fetchQuery(evidenceKey(providerId), () => api.getProviderEvidence(providerId));
+}
+
+// The confidence a review item was queued at, recorded in its reason
+// ("low confidence (0.45)"); undefined for items queued for other reasons.
+export function recordedConfidence(item) {
+  const match = /confidence \((\d+(?:\.\d+)?)\)/.exec(item.reason || '');
+  return match ? Number(match[1]) : undefined;
+}
+
+// Explains a decision on one field from the same source candidates and
+// confidence the engine used. Explanations are cached per provider, field,
+// values and confidence, so asking again for an unchanged decision does not
+// spend another rate-limited /explain call.
+export async function explainField({ providerId, field, currentValue, chosenValue, confidence, decision }) {
+  const fieldEvidence = (await loadEvidence(providerId))[field];
+  const score = confidence ?? fieldEvidence?.confidence ?? 0;
+  const chosen = chosenValue ?? fieldEvidence?.best_value ?? currentValue;
+  const policy = decision ? null : await loadConfidencePolicy();
+  const payload = {
+    field,
+    current_value: currentValue,
+    candidates: explainCandidates(fieldEvidence),
+    chosen_value: chosen,
+    confidence: score,
+    decision: decision ?? (policy.isAutoUpdate(field, score) ? 'auto_update' : 'manual_review'),
+  };
+
+  const key = ['explain', providerId, field, currentValue ?? null, chosen ?? null, score, payload.decision];
+  const cached = getQueryData(key);
+  if (cached !== undefined) return cached;
+  return fetchQuery(key, () => api.explainDecision(payload).then(res => res.explanation));
+}
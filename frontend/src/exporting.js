@@ -0,0 +1,73 @@
+import { useEffect } from 'react';
+
+// Export plumbing shared by the export dialog and the pages.
+//
+// Pages describe what they can export with useExportContext(): the table on
+// screen ({ title, columns: [{ key, label }], rows }) and what makes the
+// server-side scopes meaningful (providerList: { filters, total } for a
+// filtered directory, providerId, runId). Only the page currently mounted is
+// registered.
+
+let current = null;
+
+export function getExportContext() {
+  return current;
+}
+
+export function useExportContext(context) {
+  useEffect(() => {
+    current = context;
+    return () => {
+      if (current === context) current = null;
+    };
+  });
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(c => csvCell(c.label)).join(','),
+    ...rows.map(row => columns.map(c => csvCell(row[c.key])).join(',')),
+  ];
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export function toJson(title, columns, rows) {
+  return JSON.stringify({
+    title,
+    columns: columns.map(c => c.key),
+    rows: rows.map(row => Object.fromEntries(columns.map(c => [c.key, row[c.key] ?? null]))),
+  }, null, 2);
+}
+
+export function downloadBlob(blob, filename) {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+}
+
+export function exportFilename(name, format) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `${slug || 'export'}_${new Date().toISOString().split('T')[0]}.${format}`;
+}
+
+// Downloads the on-screen table without a server round trip.
+export function downloadTable(table, format) {
+  const filename = exportFilename(table.title, format);
+  const blob = format === 'csv'
+    ? new Blob([toCsv(table.columns, table.rows)], { type: 'text/csv;charset=utf-8' })
+    : new Blob([toJson(table.title, table.columns, table.rows)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+  return filename;
+}
@@ -0,0 +1,74 @@
+// Field-aware parsing and validation for provider values that reviewers type
+// by hand. Formats mirror what the directory and its sources use
+// (e.g. 022-40001234, 2026-06-30, "Clinic, Locality, City"). Phone and date
+// rules are the server's (backend/utils/fields.py), so anything an import
+// accepted can be saved again; license numbers are free text there too.
+
+const PHONE_CHARS = /^\+?[\d\s\-().]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const FIELD_TYPES = {
+  phone: 'phone',
+  address: 'address',
+  license_expiry: 'date',
+};
+
+export function fieldType(field) {
+  return FIELD_TYPES[field] || 'text';
+}
+
+export function parseAddress(value) {
+  const parts = (value || '').split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length === 0) return { line: '', locality: '', city: '' };
+  if (parts.length === 1) return { line: parts[0], locality: '', city: '' };
+  return {
+    line: parts[0],
+    locality: parts.slice(1, -1).join(', '),
+    city: parts[parts.length - 1],
+  };
+}
+
+export function formatAddress({ line, locality, city }) {
+  return [line, locality, city].map(p => (p || '').trim()).filter(Boolean).join(', ');
+}
+
+// Normalises obvious formatting noise (stray and repeated spaces).
+export function normalizeValue(field, value) {
+  const trimmed = (value || '').trim();
+  if (fieldType(field) === 'phone') return trimmed.replace(/\s+/g, ' ');
+  return trimmed;
+}
+
+// Returns { error, warning } for a normalised value; `error` blocks submission.
+// An empty value is an error only when `required` (direct edits may clear
+// any field but the name).
+export function validateField(field, value, { required = true } = {}) {
+  if (!value) return required ? { error: 'A value is required.' } : {};
+
+  switch (fieldType(field)) {
+    case 'phone': {
+      const digits = value.replace(/\D/g, '');
+      if (!PHONE_CHARS.test(value) || digits.length < 8 || digits.length > 13) {
+        return { error: 'Enter a phone number of 8–13 digits (e.g. 022-40001234 or +1 415 555 0100).' };
+      }
+      return {};
+    }
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+        return { error: 'Enter a valid date (YYYY-MM-DD).' };
+      }
+      if (date < new Date(new Date().toISOString().slice(0, 10))) {
+        return { warning: 'This date is in the past; the license will be treated as expired.' };
+      }
+      return {};
+    }
+    case 'address': {
+      const { line, city } = parseAddress(value);
+      if (!line || !city) return { error: 'An address needs at least a street/building and a city.' };
+      return {};
+    }
+    default:
+      return {};
+  }
+}
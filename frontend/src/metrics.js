@@ -0,0 +1,20 @@
+// Shared formulas for dashboard percentages, so the headline stat cards and
+// the trend charts agree.
+
+// Share of routed fields that were updated automatically rather than sent to
+// manual review, as a fraction (null when nothing was routed).
+export function automationRate(autoUpdates, manualReviews) {
+  const total = (autoUpdates || 0) + (manualReviews || 0);
+  return total > 0 ? (autoUpdates || 0) / total : null;
+}
+
+export function toPercent(fraction, digits = 1) {
+  return fraction == null ? null : Number((fraction * 100).toFixed(digits));
+}
+
+// Approve / reject / override shares of the decisions made, as fractions.
+export function decisionRatios({ approved = 0, rejected = 0, overridden = 0 } = {}) {
+  const total = approved + rejected + overridden;
+  if (!total) return { approved: null, rejected: null, overridden: null };
+  return { approved: approved / total, rejected: rejected / total, overridden: overridden / total };
+}
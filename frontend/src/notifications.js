@@ -0,0 +1,102 @@
+import { useSyncExternalStore } from 'react';
+import { isCancelled } from './api';
+
+// App-wide notifications. Every failure the user should know about goes
+// through notify()/notifyError() and appears as a toast and in the
+// notification center, instead of each view picking its own alert(),
+// banner or console.error. Rate-limit errors carry a countdown, and any
+// notification may offer a retry.
+
+const HISTORY_LIMIT = 50;
+const DEFAULT_DURATION = { success: 4000, info: 5000, warning: 8000, error: 8000 };
+const DEFAULT_RATE_LIMIT_SECONDS = 60;
+
+let state = { items: [], unread: 0 };
+const listeners = new Set();
+let seq = 0;
+
+function setState(next) {
+  state = next;
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useNotifications() {
+  return useSyncExternalStore(subscribe, () => state);
+}
+
+// Adds a notification and returns its id. `key` collapses repeats of the
+// same problem (e.g. a query failing on every refetch) into one entry.
+// `retry` is a function run by the Retry button; rate-limited ones stay
+// disabled until `retryAt`.
+export function notify({ kind = 'info', title, message, retry, retryAt = null, key, duration }) {
+  const id = ++seq;
+  const item = {
+    id,
+    kind,
+    title,
+    message,
+    retry,
+    retryAt,
+    key,
+    createdAt: Date.now(),
+    // Rate-limited toasts stay up until the wait is over.
+    hideAt: retryAt ?? Date.now() + (duration ?? DEFAULT_DURATION[kind] ?? DEFAULT_DURATION.info),
+    toast: true,
+  };
+  const rest = key ? state.items.filter(i => i.key !== key) : state.items;
+  setState({ items: [item, ...rest].slice(0, HISTORY_LIMIT), unread: state.unread + 1 });
+  return id;
+}
+
+// Consistent wording for a failed request.
+export function errorMessage(err, fallback = 'Something went wrong.') {
+  if (err?.isRateLimited) {
+    return err.detail || 'Rate limit exceeded. Please wait before trying again.';
+  }
+  return err?.message || fallback;
+}
+
+// Notifies about a failed request. Cancelled requests are ignored.
+export function notifyError(err, { title = 'Request failed', fallback, retry, key } = {}) {
+  if (isCancelled(err)) return null;
+  const rateLimited = Boolean(err?.isRateLimited);
+  return notify({
+    kind: rateLimited ? 'warning' : 'error',
+    title: rateLimited ? `${title}: rate limited` : title,
+    message: errorMessage(err, fallback),
+    retry,
+    retryAt: rateLimited ? Date.now() + (err.retryAfter ?? DEFAULT_RATE_LIMIT_SECONDS) * 1000 : null,
+    key,
+  });
+}
+
+export function notifySuccess(title, message) {
+  return notify({ kind: 'success', title, message });
+}
+
+// Takes a toast off screen; it stays in the notification center.
+export function hideToast(id) {
+  setState({ ...state, items: state.items.map(i => (i.id === id ? { ...i, toast: false } : i)) });
+}
+
+export function dismiss(id) {
+  setState({ ...state, items: state.items.filter(i => i.id !== id) });
+}
+
+export function dismissByKey(key) {
+  if (!state.items.some(i => i.key === key)) return;
+  setState({ ...state, items: state.items.filter(i => i.key !== key) });
+}
+
+export function clearNotifications() {
+  setState({ items: [], unread: 0 });
+}
+
+export function markAllRead() {
+  if (state.unread) setState({ ...state, unread: 0 });
+}
@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+
+// Shared, keyed cache for server data with stale-while-revalidate semantics:
+// cached data renders immediately, stale entries refetch in the background,
+// concurrent requests for the same key share one promise, and mutations
+// invalidate just the keys they affect. Keys are arrays, e.g.
+// ['providers', 12, 'details']; invalidating ['providers', 12] covers every
+// query for that provider.
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+
+const entries = new Map(); // hash -> { data, error, updatedAt, isFetching }
+const inflight = new Map(); // hash -> Promise
+const fetchers = new Map(); // hash -> latest fetcher for refetch on invalidate
+const listeners = new Map(); // hash -> Set<() => void>
+
+const EMPTY_ENTRY = Object.freeze({ data: undefined, error: null, updatedAt: 0, isFetching: false });
+
+export function hashKey(key) {
+  return JSON.stringify(key);
+}
+
+function getEntry(hash) {
+  return entries.get(hash) || EMPTY_ENTRY;
+}
+
+function setEntry(hash, patch) {
+  entries.set(hash, { ...getEntry(hash), ...patch });
+  (listeners.get(hash) || []).forEach((listener) => listener());
+}
+
+function subscribe(hash, listener) {
+  if (!listeners.has(hash)) listeners.set(hash, new Set());
+  listeners.get(hash).add(listener);
+  return () => {
+    const set = listeners.get(hash);
+    set.delete(listener);
+    if (set.size === 0) listeners.delete(hash);
+  };
+}
+
+function isActive(hash) {
+  return listeners.has(hash);
+}
+
+function matchesPrefix(hash, prefix) {
+  const key = JSON.parse(hash);
+  return prefix.every((part, idx) => hashKey(part) === hashKey(key[idx]));
+}
+
+export function fetchQuery(key, fetcher) {
+  const hash = hashKey(key);
+  fetchers.set(hash, fetcher);
+  if (inflight.has(hash)) return inflight.get(hash);
+
+  setEntry(hash, { isFetching: true });
+  // A request invalidated while in flight is dropped from `inflight`; its
+  // response still reaches its own caller but never lands in the cache.
+  const current = () => inflight.get(hash) === promise;
+  const promise = Promise.resolve()
+    .then(() => fetcher())
+    .then(
+      (data) => {
+        if (current()) setEntry(hash, { data, error: null, updatedAt: Date.now(), isFetching: false });
+        return data;
+      },
+      (error) => {
+        if (current()) setEntry(hash, { error, isFetching: false });
+        throw error;
+      },
+    )
+    .finally(() => {
+      if (current()) inflight.delete(hash);
+    });
+  inflight.set(hash, promise);
+  return promise;
+}
+
+export function getQueryData(key) {
+  return getEntry(hashKey(key)).data;
+}
+
+// Writes cached data directly, for optimistic updates. `updater` may be a
+// value or a function of the current data.
+export function setQueryData(key, updater) {
+  const hash = hashKey(key);
+  const current = getEntry(hash).data;
+  const data = typeof updater === 'function' ? updater(current) : updater;
+  setEntry(hash, { data });
+}
+
+// Marks every query under `prefix` stale and abandons requests for them that
+// are still in flight, since those may answer from before the mutation.
+// Queries currently on screen refetch straight away unless `refetchActive` is
+// false; the rest refetch (while showing the cached data) the next time they
+// are used.
+export function invalidateQueries(prefix = [], { refetchActive = true } = {}) {
+  [...entries.keys()].forEach((hash) => {
+    if (!matchesPrefix(hash, prefix)) return;
+    inflight.delete(hash);
+    setEntry(hash, { updatedAt: 0, isFetching: false });
+    if (refetchActive && isActive(hash) && fetchers.has(hash)) {
+      fetchQuery(JSON.parse(hash), fetchers.get(hash)).catch(() => {});
+    }
+  });
+}
+
+export function useQuery(key, fetcher, { staleTime = DEFAULT_STALE_TIME, enabled = true } = {}) {
+  const hash = hashKey(key);
+  const entry = useSyncExternalStore(
+    useCallback((listener) => subscribe(hash, listener), [hash]),
+    () => getEntry(hash),
+  );
+
+  const refetch = useCallback(() => fetchQuery(JSON.parse(hash), fetcher), [hash, fetcher]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    fetchers.set(hash, fetcher);
+    const current = getEntry(hash);
+    if (Date.now() - current.updatedAt > staleTime) {
+      fetchQuery(JSON.parse(hash), fetcher).catch(() => {});
+    }
+  }, [hash, enabled]);
+
+  // Background revalidation when the tab regains focus.
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const onFocus = () => {
+      if (Date.now() - getEntry(hash).updatedAt > staleTime) {
+        fetchQuery(JSON.parse(hash), fetcher).catch(() => {});
+      }
+    };
+    window.addEventListener('focus', onFocus);
+    return () => window.removeEventListener('focus', onFocus);
+  }, [hash, enabled, staleTime]);
+
+  return {
+    data: entry.data,
+    error: entry.error,
+    isLoading: entry.data === undefined && !entry.error,
+    isFetching: entry.isFetching,
+    refetch,
+  };
+}
@@ -0,0 +1,148 @@
+import React, { useEffect, useState } from 'react';
+
+// Minimal History API router. Paths map 1:1 to screens so links can be
+// bookmarked and pasted into tickets; webpack's historyApiFallback serves
+// index.html for any deep link on reload.
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener());
+}
+
+function readLocation() {
+  return {
+    pathname: window.location.pathname,
+    search: window.location.search,
+    query: new URLSearchParams(window.location.search),
+    state: window.history.state,
+  };
+}
+
+window.addEventListener('popstate', notify);
+
+function saveScrollPosition() {
+  const state = { ...(window.history.state || {}), scrollY: window.scrollY };
+  window.history.replaceState(state, '');
+}
+
+export function navigate(to, { replace = false } = {}) {
+  const current = window.location.pathname + window.location.search;
+  if (to === current) return;
+  if (replace) {
+    window.history.replaceState({ ...(window.history.state || {}) }, '', to);
+  } else {
+    saveScrollPosition();
+    window.history.pushState({ from: current }, '', to);
+  }
+  notify();
+}
+
+// Returns to the previous entry when it was `fromPrefix` (so its filters and
+// scroll offset come back), otherwise navigates to `fallback`.
+export function goBack(fromPrefix, fallback) {
+  const from = window.history.state?.from;
+  if (from && from.split('?')[0] === fromPrefix) {
+    window.history.back();
+  } else {
+    navigate(fallback);
+  }
+}
+
+export function useLocation() {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const listener = () => setLocation(readLocation());
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+
+  return location;
+}
+
+// Matches '/providers/:id' style patterns; returns the params object or null.
+export function matchPath(pattern, pathname) {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    if (part.startsWith(':')) {
+      params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (part !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+export function buildPath(pathname, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length) query.set(key, value.join(','));
+    } else {
+      query.set(key, String(value));
+    }
+  });
+  const qs = query.toString();
+  return qs ? `${pathname}?${qs}` : pathname;
+}
+
+// Reads/writes query-string state for the current path. Filter changes
+// replace the history entry so the back button skips keystrokes.
+export function useQueryState() {
+  const { pathname, query } = useLocation();
+  const params = Object.fromEntries(query.entries());
+
+  const setParams = (updates, { replace = true } = {}) => {
+    navigate(buildPath(pathname, { ...params, ...updates }), { replace });
+  };
+
+  return [params, setParams];
+}
+
+// Restores the window scroll offset stored on the history entry once the
+// screen has data to render, and keeps it up to date while the user scrolls.
+export function useScrollRestoration(ready) {
+  const { pathname, search } = useLocation();
+
+  useEffect(() => {
+    if (!ready) return undefined;
+    const saved = window.history.state?.scrollY;
+    window.scrollTo(0, saved || 0);
+
+    let frame = null;
+    const onScroll = () => {
+      if (frame) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        saveScrollPosition();
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', onScroll);
+      if (frame) window.cancelAnimationFrame(frame);
+    };
+  }, [ready, pathname, search]);
+}
+
+export function Link({ to, children, onClick, ...rest }) {
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+}
@@ -0,0 +1,12 @@
+import { useEffect, useState } from 'react';
+
+// Re-renders every second while `active`, for countdowns.
+export function useNow(active) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    if (!active) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+  return now;
+}
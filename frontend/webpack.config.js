@@ -1,4 +1,5 @@
 const path = require('path');
+const webpack = require('webpack');
 
 module.exports = {
   entry: './src/index.jsx',
@@ -28,6 +29,12 @@ module.exports = {
   resolve: {
     extensions: ['.js', '.jsx'],
   },
+  plugins: [
+    // Empty means same-origin requests, which the dev proxy below forwards.
+    new webpack.DefinePlugin({
+      'process.env.API_BASE_URL': JSON.stringify(process.env.API_BASE_URL || ''),
+    }),
+  ],
   devServer: {
     static: {
       directory: path.join(__dirname, 'public'),
@@ -36,16 +43,18 @@ module.exports = {
     port: 3020,
     proxy: [
       {
-        context: ['/stats', '/providers', '/manual-review', '/run-batch', '/health', '/reports', '/explain', '/chat'],
+        context: ['/stats', '/providers', '/manual-review', '/run-batch', '/health', '/reports', '/explain', '/chat', '/imports', '/duplicates', '/licenses', '/settings'],
         target: 'http://127.0.0.1:8000',
         changeOrigin: true,
         timeout: 600000,
         proxyTimeout: 600000,
-        onProxyRes: (proxyRes, req, res) => {
-          // Handle binary responses (PDFs)
-          if (req.url.startsWith('/reports')) {
-            proxyRes.headers['content-type'] = 'application/pdf';
+        bypass: (req) => {
+          // Browser navigations to deep links (e.g. /providers/12) share a prefix
+          // with the API, so serve index.html for them and let the client route.
+          if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+            return '/index.html';
           }
+          return null;
         },
       },
     ],
@@ -2,10 +2,12 @@ from dotenv import load_dotenv
 from pathlib import Path
 
 import pytest
+from fastapi.testclient import TestClient
 from sqlalchemy import create_engine
 from sqlalchemy.orm import sessionmaker
+from sqlalchemy.pool import StaticPool
 
-from backend.db import Base
+from backend.db import Base, get_db
 
 # Always load env from project root (.env.local preferred, fallback to .env)
 root = Path(__file__).resolve().parent.parent
@@ -22,4 +24,47 @@ def db_session():
 
     yield session
 
-    session.close()
\ No newline at end of file
+    session.close()
+
+
+@pytest.fixture
+def api_db():
+    """Session factory for an in-memory database that the API's get_db serves."""
+    from backend.main import app  # after the env above is loaded
+
+    # StaticPool keeps one in-memory connection shared with the TestClient thread.
+    engine = create_engine(
+        "sqlite://", connect_args={"check_same_thread": False}, poolclass=StaticPool
+    )
+    Base.metadata.create_all(engine)
+    Session = sessionmaker(bind=engine)
+
+    def override_get_db():
+        db = Session()
+        try:
+            yield db
+        finally:
+            db.close()
+
+    app.dependency_overrides[get_db] = override_get_db
+    yield Session
+    app.dependency_overrides.pop(get_db, None)
+
+
+@pytest.fixture
+def seed(api_db):
+    """Adds rows to the API database: seed(Provider(...), ManualReviewItem(...))."""
+    def add(*rows):
+        session = api_db()
+        session.add_all(rows)
+        session.commit()
+        session.close()
+
+    return add
+
+
+@pytest.fixture
+def api_client(api_db):
+    from backend.main import app
+
+    return TestClient(app)
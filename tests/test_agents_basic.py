@@ -1,4 +1,5 @@
-from backend.agents import _confidence_for_candidates
+from backend.agents import _confidence_for_candidates, field_evidence, locate_ocr_fields
+from backend.db import Document, Provider
 
 
 def test_confidence_prefers_stronger_sources():
@@ -10,3 +11,45 @@ def test_confidence_prefers_stronger_sources():
   res = _confidence_for_candidates(cands)
   assert res["best"] == "B"
   assert res["confidence"] > 0.5
+
+
+def test_field_evidence_flags_ocr_disagreement(db_session):
+  db_session.add(Provider(id=1, external_id="T1", name="Test", license_no="LIC-TEST-1", phone="022-40001234"))
+  db_session.add(Document(
+    provider_id=1, doc_type="license",
+    ocr_text="License: LIC-TEST-2\nName: Test\nExpiry: 2027-03-01",
+  ))
+  db_session.commit()
+
+  evidence = field_evidence(db_session, 1)
+
+  license_rows = {r["source"]: r for r in evidence["license_no"]["sources"]}
+  assert license_rows["original"]["matches_current"]
+  assert license_rows["original"]["weight"] == 0.3
+  assert license_rows["ocr"]["value"] == "LIC-TEST-2"
+  assert not license_rows["ocr"]["matches_current"]
+  assert not license_rows["ocr"]["scored"]
+  assert evidence["license_no"]["disagreement"]
+  assert not evidence["phone"]["disagreement"]
+
+
+def test_locate_ocr_fields_returns_word_boxes(db_session):
+  provider = Provider(id=1, external_id="T1", name="Test", license_no="LIC-TEST-1", license_expiry="2027-03-01")
+  doc = Document(
+    provider_id=1, doc_type="license",
+    ocr_text="License: LIC-TEST-1 Name: Test Expiry: 2027-04-01",
+    ocr_words=[
+      {"text": "License:", "left": 40, "top": 40, "width": 60, "height": 12, "conf": 95},
+      {"text": "LIC-TEST-1", "left": 105, "top": 40, "width": 80, "height": 12, "conf": 91},
+      {"text": "Expiry:", "left": 40, "top": 80, "width": 50, "height": 12, "conf": 96},
+      {"text": "2027-04-01", "left": 95, "top": 80, "width": 75, "height": 12, "conf": 88},
+    ],
+  )
+
+  fields = {f["field"]: f for f in locate_ocr_fields(doc, provider)}
+
+  assert fields["license_no"]["matches"]
+  assert fields["license_no"]["boxes"] == [{"left": 105, "top": 40, "width": 80, "height": 12}]
+  assert not fields["license_expiry"]["matches"]
+  assert fields["license_expiry"]["directory_value"] == "2027-03-01"
+  assert "address" not in fields
@@ -1,5 +1,5 @@
-from backend.agents import qa_evaluate
-from backend.db import Provider
+from backend.agents import qa_evaluate, validate_provider
+from backend.db import AuditLog, FieldPolicy, Provider
 
 
 def test_qa_evaluate_manual_review_path(db_session):
@@ -39,3 +39,65 @@ def test_qa_evaluate_manual_review_path(db_session):
     payload = decisions["explanation_inputs"]["phone"]
     assert payload["decision"] == "manual_review"
     assert payload["chosen_value"] == "222"
+
+
+def test_qa_evaluate_uses_per_field_threshold(db_session):
+    db_session.add(Provider(id=1, external_id="9999999999", name="Test Provider", phone="111", license_no="LIC1"))
+    db_session.add(FieldPolicy(field_name="phone", threshold=0.45))
+    db_session.commit()
+
+    # Maps alone gives 0.5 confidence: enough for phone's looser cutoff, not for license_no's default.
+    external_data = {
+        "candidates": {
+            "phone": [{"source": "maps", "value": "222"}, {"source": "original", "value": "111"}],
+            "license_no": [{"source": "maps", "value": "LIC2"}, {"source": "original", "value": "LIC1"}],
+        }
+    }
+    decisions = qa_evaluate(db=db_session, provider_id=1, external_data=external_data, enrichment={})
+
+    assert list(decisions["auto_updates"]) == ["phone"]
+    assert [item.field_name for item in decisions["manual_reviews"]] == ["license_no"]
+
+
+def test_qa_evaluate_does_not_overwrite_manual_edit(db_session):
+    provider = Provider(id=1, external_id="9999999999", name="Test Provider", phone="111")
+    db_session.add(provider)
+    db_session.add(AuditLog(
+        provider_id=1, field_name="phone", old_value="000", new_value="111",
+        action="manual_edit", actor="alice", reason="Called the clinic",
+    ))
+    db_session.commit()
+
+    external = validate_provider(db_session, provider.id)
+    assert {"source": "manual", "value": "111"} in external["candidates"]["phone"]
+
+    # Strong sources disagree with the edit: it goes to review instead of auto-updating.
+    external_data = {
+        "candidates": {
+            "phone": [
+                {"source": "npi", "value": "222"},
+                {"source": "state_board", "value": "222"},
+                {"source": "manual", "value": "111"},
+                {"source": "original", "value": "111"},
+            ]
+        }
+    }
+    decisions = qa_evaluate(db=db_session, provider_id=provider.id, external_data=external_data, enrichment={})
+
+    assert decisions["auto_updates"] == {}
+    assert len(decisions["manual_reviews"]) == 1
+    assert decisions["manual_reviews"][0].reason.startswith("conflicts with manual edit")
+
+
+def test_manual_source_lapses_once_value_is_replaced(db_session):
+    provider = Provider(id=1, external_id="9999999999", name="Test Provider", phone="333")
+    db_session.add(provider)
+    db_session.add(AuditLog(
+        provider_id=1, field_name="phone", old_value="000", new_value="111",
+        action="manual_edit", actor="alice", reason="Called the clinic",
+    ))
+    db_session.commit()
+
+    external = validate_provider(db_session, provider.id)
+
+    assert all(c["source"] != "manual" for c in external["candidates"]["phone"])
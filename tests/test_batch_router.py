@@ -0,0 +1,45 @@
+import threading
+
+import pytest
+
+from backend.db import ManualReviewItem, Provider, RunSnapshot, ValidationRun
+from backend import orchestrator
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="T1", name="Test Provider"),
+        ValidationRun(id=1, run_type="daily", status="completed", auto_updates=2, manual_reviews=2),
+        ValidationRun(id=2, run_type="daily", status="completed", auto_updates=3, manual_reviews=1),
+        RunSnapshot(run_id=1, provider_id=1, pcs=65.0, band="amber", drift_score=0.5, drift_bucket="Medium"),
+        RunSnapshot(run_id=2, provider_id=1, pcs=82.0, band="green", drift_score=0.5, drift_bucket="Medium"),
+        ManualReviewItem(provider_id=1, field_name="phone", status="approved", run_id=1),
+        ManualReviewItem(provider_id=1, field_name="phone", run_id=2),
+        ManualReviewItem(provider_id=1, field_name="address", run_id=2),
+    )
+    return api_client
+
+
+def test_compare_reports_band_moves_and_new_reviews(client):
+    res = client.get("/run-batch/compare", params={"base": 1, "target": 2})
+    assert res.status_code == 200
+    body = res.json()
+
+    assert [(c["band_before"], c["band_after"]) for c in body["band_changes"]] == [("amber", "green")]
+    assert body["drift_changes"] == []
+    assert [r["field"] for r in body["new_reviews"]] == ["address"]
+    assert body["automation_rate_change"] == pytest.approx(0.75 - 0.5)
+
+
+def test_compare_unknown_run_is_404(client):
+    res = client.get("/run-batch/compare", params={"base": 1, "target": 99})
+    assert res.status_code == 404
+
+
+def test_sync_run_is_refused_while_another_run_is_active(client, monkeypatch):
+    monkeypatch.setitem(orchestrator._active_runs, 99, threading.current_thread())
+
+    res = client.post("/run-batch", params={"type": "daily"})
+    assert res.status_code == 409
+    assert len(client.get("/run-batch").json()) == 2  # no run was created
@@ -0,0 +1,61 @@
+import pytest
+
+from backend.db import ManualReviewItem, Provider
+
+
+@pytest.fixture
+def client(mocker, seed, api_client):
+    from backend import api
+
+    mocker.patch.dict(api._chat_log, clear=True)
+    seed(
+        Provider(id=1, external_id="T1", name="Dr. Test", specialty="Cardiology", phone="222", license_no="LIC-1"),
+        ManualReviewItem(
+            id=5, provider_id=1, field_name="phone", current_value="222", suggested_value="333",
+            reason="low confidence (0.40)",
+        ),
+    )
+    return api_client
+
+
+def test_chat_stream_returns_chunks_and_injects_review_context(client, mocker):
+    stream = mocker.patch("backend.api.stream_gemini", return_value=iter(["Hello", " there"]))
+
+    response = client.post("/chat/stream", json={
+        "message": "Why is this in review?",
+        "history": [{"role": "user", "content": "hi"}],
+        "context": {"review_id": 5},
+    })
+
+    assert response.status_code == 200
+    assert response.text == "Hello there"
+    prompt = stream.call_args.args[0]
+    assert "Provider #1 Dr. Test" in prompt
+    assert "Review item #5" in prompt
+    assert "suggested '333'" in prompt
+
+
+def test_chat_prompt_lists_actions_and_known_specialties(client, mocker):
+    stream = mocker.patch("backend.api.stream_gemini", return_value=iter(["ok"]))
+
+    client.post("/chat/stream", json={"message": "show me high-drift cardiologists"})
+
+    prompt = stream.call_args.args[0]
+    assert "```actions" in prompt
+    assert "filter_providers" in prompt
+    assert "Known specialties: Cardiology." in prompt
+
+
+def test_chat_stream_quota_error_is_429(client, mocker):
+    from backend.llm.gemini_client import QuotaExceededError
+
+    def exhausted(prompt):
+        raise QuotaExceededError("quota")
+        yield  # pragma: no cover - makes this a generator
+
+    mocker.patch("backend.api.stream_gemini", side_effect=exhausted)
+
+    response = client.post("/chat/stream", json={"message": "hello"})
+
+    assert response.status_code == 429
+    assert response.headers["Retry-After"]
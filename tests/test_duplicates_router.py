@@ -0,0 +1,100 @@
+import pytest
+
+from backend.db import AuditLog, Document, ManualReviewItem, Provider, ProviderScore
+from backend.routers import duplicates
+
+EDITOR = {"X-Reviewer": "alice"}
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(
+            id=1, external_id="P001", name="Dr. Rohan Verma", phone="022-40001234",
+            address="ABC Heart Clinic, Andheri East, Mumbai", license_no="LIC-ROHAN-1",
+        ),
+        Provider(
+            id=2, external_id="X17", name="R. Verma", phone="022 4000 1234",
+            address="ABC Heart Clinic, Andheri (E), Mumbai", specialty="Cardiology",
+        ),
+        Provider(
+            id=3, external_id="P014", name="Dr. Rohan Mehta", phone="022-40007777",
+            address="Sunrise Clinic, Bandra West, Mumbai", license_no="LIC-MEHTA-1",
+        ),
+        ProviderScore(provider_id=2, pcs=55.0, band="red"),
+        Document(provider_id=2, doc_type="license", path="x17.png"),
+        ManualReviewItem(
+            provider_id=2, field_name="phone", current_value="022 4000 1234",
+            suggested_value="022-40001234", reason="low confidence (0.40)",
+        ),
+    )
+    return api_client
+
+
+def test_groups_likely_duplicates(client):
+    groups = client.get("/duplicates").json()
+
+    assert len(groups) == 1
+    assert [p["id"] for p in groups[0]["providers"]] == [1, 2]
+    assert "same phone" in groups[0]["pairs"][0]["signals"]
+    assert "matching name" in groups[0]["pairs"][0]["signals"]
+
+
+def test_detection_only_compares_providers_sharing_a_key(client, api_db, monkeypatch):
+    db = api_db()
+    db.add(Provider(id=4, external_id="P020", name="Dr. Priya Nair", license_no="LIC-PN-9", phone="080-1111"))
+    db.add(Provider(id=5, external_id="X40", name="Priya Nair Menon", license_no="lic pn 9", phone="080-2222"))
+    db.commit()
+    db.close()
+
+    compared = []
+    pair_signals = duplicates._pair_signals
+    monkeypatch.setattr(
+        duplicates, "_pair_signals", lambda a, b: compared.append((a.id, b.id)) or pair_signals(a, b)
+    )
+    groups = client.get("/duplicates").json()
+
+    # Same phone and surname (1, 2) and same license under another surname (4, 5) are still found,
+    # and nothing else gets the fuzzy comparison.
+    assert sorted([p["id"] for p in g["providers"]] for g in groups) == [[1, 2], [4, 5]]
+    assert sorted(compared) == [(1, 2), (4, 5)]
+
+
+def test_merge_keeps_chosen_values_and_hides_merged_record(client, api_db):
+    res = client.post(
+        "/duplicates/merge",
+        json={"survivor_id": 1, "merged_ids": [2], "values": {"specialty": "Cardiology", "name": "Dr. Rohan Verma"}},
+        headers=EDITOR,
+    )
+
+    assert res.status_code == 200
+    assert res.json()["changed"] == ["specialty"]
+    assert [p["id"] for p in client.get("/providers").json()["items"]] == [1, 3]
+    assert client.get("/duplicates").json() == []
+
+    db = api_db()
+    assert db.query(Provider).get(2).merged_into_id == 1
+    assert db.query(Document).one().provider_id == 1
+    assert db.query(ManualReviewItem).one().status == "rejected"
+    assert db.query(ProviderScore).filter_by(provider_id=2).first() is None
+    log = db.query(AuditLog).one()
+    assert (log.provider_id, log.field_name, log.action, log.reason) == (1, "specialty", "merge", "Merged duplicate #2")
+    db.close()
+
+
+def test_merge_rejects_values_not_offered_by_the_records(client):
+    res = client.post(
+        "/duplicates/merge",
+        json={"survivor_id": 1, "merged_ids": [2], "values": {"phone": "999"}},
+        headers=EDITOR,
+    )
+    assert res.status_code == 422
+    assert client.post("/duplicates/merge", json={"survivor_id": 1, "merged_ids": [2]}).status_code == 403
+    assert client.post("/duplicates/merge", json={"survivor_id": 1, "merged_ids": [9]}, headers=EDITOR).status_code == 404
+
+
+def test_marking_distinct_stops_suggesting_the_pair(client):
+    res = client.post("/duplicates/distinct", json={"provider_ids": [2, 1]}, headers=EDITOR)
+
+    assert res.status_code == 200
+    assert client.get("/duplicates").json() == []
@@ -26,3 +26,26 @@ def test_explain_endpoint_mocked(mocker):
 
     assert response.status_code == 200
     assert response.json()["explanation"] == "Chosen because trusted sources agree."
+
+
+def test_explain_rate_limit_sets_retry_after(mocker):
+    from backend import api
+
+    mocker.patch("backend.api.summarize_qa_decision", return_value="ok")
+    mocker.patch.dict(api._request_log, clear=True)
+
+    payload = {
+        "field": "phone",
+        "current_value": "123",
+        "candidates": [],
+        "chosen_value": "456",
+        "confidence": 0.5,
+        "decision": "manual_review",
+    }
+    for _ in range(api.RATE_LIMIT):
+        assert client.post("/explain", json=payload).status_code == 200
+
+    response = client.post("/explain", json=payload)
+
+    assert response.status_code == 429
+    assert 0 < int(response.headers["Retry-After"]) <= api.RATE_WINDOW + 1
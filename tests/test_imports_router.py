@@ -0,0 +1,141 @@
+import json
+from datetime import date, timedelta
+from io import BytesIO
+
+import pytest
+from openpyxl import Workbook
+
+from backend.db import AuditLog, Provider
+
+MAPPING = {
+    "external_id": "NPI",
+    "name": "Provider Name",
+    "phone": "Telephone",
+    "license_expiry": "Expiry",
+}
+FUTURE = (date.today() + timedelta(days=365)).isoformat()
+PAST = (date.today() - timedelta(days=30)).isoformat()
+CSV = (
+    "NPI,Provider Name,Telephone,Expiry\n"
+    f"T1,Alpha,022-40009999,{FUTURE}\n"  # update: new phone
+    f"T2,Beta,222-00000000,\n"  # unchanged
+    f"T3,Gamma,011-40000001,{PAST}\n"  # new, expired licence warning
+    f"T4,Delta,not a phone,{FUTURE}\n"  # invalid phone
+    f"T5,Eps,011-40000002,{FUTURE}\n"  # duplicate external_id
+    f"T5,Eps again,011-40000003,{FUTURE}\n"
+)
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="T1", name="Alpha", phone="022-40001234", license_expiry=FUTURE),
+        Provider(id=2, external_id="T2", name="Beta", phone="222-00000000"),
+    )
+    return api_client
+
+
+def _upload(content=CSV, name="providers.csv"):
+    return {"file": (name, content.encode() if isinstance(content, str) else content)}
+
+
+def test_columns_suggests_mapping_from_headers(client):
+    res = client.post("/imports/columns", files=_upload())
+
+    assert res.status_code == 200
+    body = res.json()
+    assert body["headers"] == ["NPI", "Provider Name", "Telephone", "Expiry"]
+    assert body["total_rows"] == 6
+    assert {f: h for f, h in body["mapping"].items() if h} == MAPPING
+
+
+def test_columns_reads_xlsx(client):
+    wb = Workbook()
+    wb.active.append(["external_id", "name", "license_expiry"])
+    wb.active.append(["X1", "Excel Doc", date(2030, 1, 31)])
+    buf = BytesIO()
+    wb.save(buf)
+
+    res = client.post("/imports/columns", files=_upload(buf.getvalue(), "providers.xlsx"))
+
+    assert res.status_code == 200
+    assert res.json()["sample"] == [["X1", "Excel Doc", "2030-01-31"]]
+
+
+def test_preview_classifies_rows(client):
+    res = client.post("/imports/preview", files=_upload(), data={"mapping": json.dumps(MAPPING)})
+
+    assert res.status_code == 200
+    body = res.json()
+    assert body["summary"] == {"new": 1, "update": 1, "unchanged": 1, "invalid": 3}
+    rows = {r["row"]: r for r in body["rows"]}
+    assert rows[2]["action"] == "update"
+    assert rows[2]["changes"] == {"phone": {"old": "022-40001234", "new": "022-40009999"}}
+    assert rows[4]["action"] == "new" and rows[4]["warnings"]
+    assert "not a valid number" in rows[5]["errors"][0]
+    assert "repeated on row 7" in rows[6]["errors"][0]
+
+
+def test_preview_requires_key_columns(client):
+    res = client.post("/imports/preview", files=_upload(), data={"mapping": json.dumps({"name": "Provider Name"})})
+
+    assert res.status_code == 422
+    assert "external_id" in res.json()["detail"]
+
+
+def test_rejects_unsupported_files(client):
+    assert client.post("/imports/columns", files=_upload("x", "providers.txt")).status_code == 400
+
+
+def test_commit_applies_resolutions_and_audits(client, api_db):
+    res = client.post(
+        "/imports/commit",
+        files=_upload(),
+        data={"mapping": json.dumps(MAPPING), "resolutions": json.dumps({"4": {"skip": True}})},
+        headers={"X-Reviewer": "ops"},
+    )
+
+    assert res.status_code == 200
+    assert res.json()["created"] == 0
+    assert res.json()["updated"] == 1
+    assert res.json()["skipped"] == 4
+
+    db = api_db()
+    assert db.query(Provider).get(1).phone == "022-40009999"
+    assert db.query(Provider).filter_by(external_id="T3").first() is None
+    log = db.query(AuditLog).one()
+    assert (log.field_name, log.action, log.actor) == ("phone", "import", "ops")
+    db.close()
+
+
+def test_commit_keeps_existing_values_on_request(client, api_db):
+    res = client.post(
+        "/imports/commit",
+        files=_upload(),
+        data={"mapping": json.dumps(MAPPING), "resolutions": json.dumps({"2": {"keep": ["phone"]}})},
+        headers={"X-Reviewer": "ops"},
+    )
+
+    assert res.status_code == 200
+    assert res.json()["created"] == 1
+    assert res.json()["updated"] == 0
+
+    db = api_db()
+    assert db.query(Provider).get(1).phone == "022-40001234"
+    assert db.query(Provider).filter_by(external_id="T3").one().license_expiry == PAST
+    db.close()
+
+
+def test_commit_requires_edit_access(client, api_db, monkeypatch):
+    data = {"mapping": json.dumps(MAPPING)}
+    res = client.post("/imports/commit", files=_upload(), data=data)
+    assert res.status_code == 403
+
+    monkeypatch.setattr("backend.routers.providers.PROVIDER_EDITORS", {"alice"})
+    res = client.post("/imports/commit", files=_upload(), data=data, headers={"X-Reviewer": "ops"})
+    assert res.status_code == 403
+    assert "ops" in res.json()["detail"]
+
+    db = api_db()
+    assert db.query(AuditLog).count() == 0
+    db.close()
@@ -0,0 +1,66 @@
+from datetime import date, timedelta
+
+import pytest
+
+from backend.db import ManualReviewItem, Provider
+
+
+def _in_days(days: int) -> str:
+    return (date.today() + timedelta(days=days)).isoformat()
+
+
+@pytest.fixture
+def client(seed, api_client, monkeypatch):
+    seed(
+        Provider(id=1, external_id="P001", name="Expired", license_no="LIC-1", license_expiry=_in_days(-5)),
+        Provider(id=2, external_id="P002", name="Soon", license_no="LIC-2", license_expiry=_in_days(10)),
+        Provider(id=3, external_id="P003", name="Later", license_no="LIC-3", license_expiry=_in_days(200)),
+        Provider(id=4, external_id="P004", name="No date", license_no="LIC-4"),
+        Provider(id=5, external_id="P005", name="Merged", license_expiry=_in_days(3), merged_into_id=2),
+    )
+    monkeypatch.setattr(
+        "backend.routers.licenses.STATE_BOARD",
+        {"P002": {"license_no": "LIC-2", "license_expiry": _in_days(375)}},
+    )
+    return api_client
+
+
+def test_expiring_lists_expired_and_upcoming_soonest_first(client):
+    res = client.get("/licenses/expiring", params={"within": 90})
+    assert res.status_code == 200
+    rows = res.json()["providers"]
+    assert [r["id"] for r in rows] == [1, 2]
+    assert rows[0]["status"] == "expired"
+    assert rows[0]["board"]["status"] == "not_listed"
+    assert rows[1]["days_left"] == 10
+    assert rows[1]["board"]["status"] == "renewed"
+
+    wider = client.get("/licenses/expiring", params={"within": 365}).json()["providers"]
+    assert [r["id"] for r in wider] == [1, 2, 3]
+
+
+def test_follow_up_creates_review_items_once(client, api_db):
+    res = client.post("/licenses/follow-up", json={"provider_ids": [1, 2]})
+    assert res.status_code == 200
+    assert [c["provider_id"] for c in res.json()["created"]] == [1, 2]
+
+    db = api_db()
+    items = {i.provider_id: i for i in db.query(ManualReviewItem).all()}
+    assert items[1].suggested_value == items[1].current_value
+    assert items[2].suggested_value == _in_days(375)
+    assert "state board" in items[2].reason
+
+    again = client.post("/licenses/follow-up", json={"provider_ids": [1]}).json()
+    assert again == {"created": [], "skipped": [1]}
+    row = client.get("/licenses/expiring").json()["providers"][0]
+    assert row["review_item_id"] == items[1].id
+
+
+def test_follow_up_rejects_unknown_providers(client):
+    res = client.post("/licenses/follow-up", json={"provider_ids": [1, 99]})
+    assert res.status_code == 404
+
+
+def test_stats_count_upcoming_expiries(client):
+    counts = client.get("/stats").json()["license_expiry"]
+    assert counts == {"window_days": 90, "expired": 1, "within_30": 1, "upcoming": 1}
@@ -0,0 +1,48 @@
+import pytest
+
+from backend.db import ManualReviewItem, Provider
+
+
+@pytest.fixture
+def client(seed, api_client, api_db):
+    seed(
+        Provider(id=1, external_id="T1", name="Test Provider", phone="111"),
+        ManualReviewItem(
+            id=1,
+            provider_id=1,
+            field_name="phone",
+            current_value="111",
+            suggested_value="222",
+            reason="low confidence (0.45)",
+        ),
+    )
+    return api_client, api_db
+
+
+def test_approve_records_reviewer_and_undo_restores_value(client):
+    http, Session = client
+
+    res = http.post("/manual-review/1/approve", headers={"X-Reviewer": "asha"})
+    assert res.status_code == 200
+    item = res.json()["item"]
+    assert item["status"] == "approved"
+    assert item["decided_by"] == "asha"
+    assert item["undo_seconds_left"] > 0
+
+    history = http.get("/manual-review/history", params={"provider_id": 1}).json()
+    assert [h["id"] for h in history] == [1]
+
+    res = http.post("/manual-review/1/undo")
+    assert res.status_code == 200
+    assert res.json()["item"]["status"] == "pending"
+
+    db = Session()
+    assert db.query(Provider).get(1).phone == "111"
+    db.close()
+
+
+def test_deciding_twice_is_rejected(client):
+    http, _ = client
+
+    assert http.post("/manual-review/1/reject").status_code == 200
+    assert http.post("/manual-review/1/approve").status_code == 409
@@ -0,0 +1,38 @@
+from backend.db import Provider, RunSnapshot
+from backend.orchestrator import create_run, execute_run
+
+
+def test_execute_run_records_total_and_completes(db_session):
+    db_session.add(Provider(external_id="T1", name="Test One"))
+    db_session.add(Provider(external_id="T2", name="Test Two"))
+    db_session.commit()
+
+    run = execute_run(db_session, create_run(db_session, "daily"))
+
+    assert run.status == "completed"
+    assert run.total == 2
+    assert run.count_processed + len(run.errors) == 2
+    assert run.finished_at is not None
+
+
+def test_execute_run_stops_when_cancelled(db_session):
+    db_session.add(Provider(external_id="T1", name="Test One"))
+    db_session.commit()
+
+    run = execute_run(db_session, create_run(db_session, "weekly"), should_cancel=lambda: True)
+
+    assert run.status == "cancelled"
+    assert run.count_processed == 0
+    assert run.finished_at is not None
+
+
+def test_execute_run_snapshots_scores(db_session):
+    db_session.add(Provider(external_id="T1", name="Test One"))
+    db_session.commit()
+
+    run = execute_run(db_session, create_run(db_session, "daily"))
+
+    snapshots = db_session.query(RunSnapshot).filter(RunSnapshot.run_id == run.id).all()
+    assert len(snapshots) == 1
+    assert snapshots[0].pcs is not None
+    assert snapshots[0].drift_bucket in ("Low", "Medium", "High")
@@ -0,0 +1,108 @@
+from datetime import date, datetime, timedelta
+
+import pytest
+
+from backend.db import AuditLog, DriftScore, FieldConfidence, ManualReviewItem, Provider, ProviderScore
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="T1", name="Test Provider", phone="222"),
+        FieldConfidence(
+            provider_id=1, field_name="phone", confidence=0.9, sources=["npi", "state_board"],
+            value="222", run_id=1, created_at=datetime(2026, 1, 1),
+        ),
+        AuditLog(
+            provider_id=1, field_name="phone", old_value="111", new_value="222",
+            action="auto_update", actor="validation_agent", run_id=1, created_at=datetime(2026, 1, 1),
+        ),
+        ManualReviewItem(
+            provider_id=1, field_name="phone", current_value="222", suggested_value="333",
+            reason="low confidence (0.40)", created_at=datetime(2026, 1, 2),
+        ),
+    )
+    return api_client
+
+
+def test_list_filters_sorts_and_pages_on_the_server(client, seed):
+    soon = (date.today() + timedelta(days=10)).isoformat()
+    seed(
+        Provider(id=2, external_id="T2", name="alpha Clinic", specialty="Cardiology", phone="(022) 555-0101"),
+        Provider(id=3, external_id="T3", name="Beta", specialty="cardiology", license_expiry=soon),
+        Provider(id=4, external_id="1679576722", name="Demo Provider"),
+        Provider(id=5, external_id="T5", name="Merged", merged_into_id=2),
+        ProviderScore(provider_id=1, pcs=92.0, band="green"),
+        ProviderScore(provider_id=2, pcs=100.0, band="green"),
+        ProviderScore(provider_id=3, pcs=65.0, band="red"),
+        DriftScore(provider_id=1, score=0.2, bucket="Low"),
+        DriftScore(provider_id=3, score=0.8, bucket="High"),
+    )
+
+    def ids(**params):
+        return [p["id"] for p in client.get("/providers", params=params).json()["items"]]
+
+    assert ids() == [1, 2, 3]
+    assert ids(sort="name") == [2, 3, 1]
+    assert ids(sort="pcs", dir="desc") == [2, 1, 3]
+    assert ids(sort="drift", dir="desc") == [3, 1, 2]
+    assert ids(q="5550101") == [2]
+    assert ids(specialty="CARDIOLOGY") == [2, 3]
+    assert ids(band="green,amber") == [1, 2]
+    assert ids(drift="High") == [3]
+    assert ids(pcs_min=90, pcs_max=100) == [1, 2]
+    assert ids(pcs_min=50, pcs_max=92) == [3]
+    assert ids(expiring_within=30) == [3]
+
+    page = client.get("/providers", params={"sort": "name", "limit": 2, "offset": 2}).json()
+    assert page["total"] == 3
+    assert [p["id"] for p in page["items"]] == [1]
+    assert client.get("/providers", params={"limit": 0}).status_code == 422
+
+
+def test_history_orders_changes_and_reviews_per_field(client):
+    res = client.get("/providers/1/history")
+    assert res.status_code == 200
+    phone = next(f for f in res.json() if f["field"] == "phone")
+
+    assert phone["current_value"] == "222"
+    assert [c["confidence"] for c in phone["checks"]] == [0.9]
+    assert [e["kind"] for e in phone["events"]] == ["change", "review"]
+    assert phone["events"][0]["sources"] == ["npi", "state_board"]
+    assert phone["events"][1]["status"] == "pending"
+
+
+def test_history_unknown_provider_is_404(client):
+    assert client.get("/providers/99/history").status_code == 404
+
+
+def test_edit_records_manual_source_with_reason(client):
+    res = client.patch(
+        "/providers/1",
+        json={"fields": {"phone": "022-40009999", "name": "Test Provider"}, "reason": "Called the clinic"},
+        headers={"X-Reviewer": "alice"},
+    )
+
+    assert res.status_code == 200
+    assert res.json()["changed"] == ["phone"]
+    assert res.json()["provider"]["phone"] == "022-40009999"
+
+    phone = next(f for f in client.get("/providers/1/history").json() if f["field"] == "phone")
+    edit = phone["events"][-1]
+    assert (edit["action"], edit["actor"], edit["reason"]) == ("manual_edit", "alice", "Called the clinic")
+
+    details = client.get("/providers/1/details").json()
+    assert details["manual_fields"] == ["phone"]
+
+
+def test_edit_requires_reviewer_reason_and_valid_values(client):
+    body = {"fields": {"phone": "022-40009999"}, "reason": "Called the clinic"}
+    assert client.patch("/providers/1", json=body).status_code == 403
+    assert client.get("/providers/edit-access").json()["allowed"] is False
+
+    alice = {"X-Reviewer": "alice"}
+    assert client.patch("/providers/1", json={**body, "reason": "  "}, headers=alice).status_code == 422
+    assert client.patch("/providers/1", json={**body, "fields": {"phone": "call me"}}, headers=alice).status_code == 422
+    assert client.patch("/providers/1", json={**body, "fields": {"name": ""}}, headers=alice).status_code == 422
+    assert client.patch("/providers/1", json={**body, "fields": {"external_id": "X"}}, headers=alice).status_code == 422
+    assert client.patch("/providers/99", json=body, headers=alice).status_code == 404
@@ -0,0 +1,73 @@
+from datetime import datetime
+from io import BytesIO
+
+import pytest
+from openpyxl import load_workbook
+
+from backend.db import AuditLog, ManualReviewItem, Provider, ProviderScore, ValidationRun
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="T1", name="Alpha", specialty="Cardiology", phone="111"),
+        Provider(id=2, external_id="T2", name="Beta", specialty="Dermatology", phone="222"),
+        Provider(id=3, external_id="T3", name="Drs. Rao/Iyer: Joint Practice"),
+        ProviderScore(provider_id=1, pcs=88.0, band="green"),
+        ValidationRun(id=1, run_type="daily", started_at=datetime(2026, 1, 1)),
+        AuditLog(
+            provider_id=1, field_name="phone", old_value="000", new_value="111",
+            action="auto_update", actor="validation_agent", run_id=1,
+        ),
+        ManualReviewItem(
+            provider_id=2, field_name="phone", current_value="222", suggested_value="333",
+            reason="low confidence (0.40)", run_id=1,
+        ),
+    )
+    return api_client
+
+
+def test_export_filtered_providers_as_csv(client):
+    res = client.post("/reports/export", json={"scope": "providers", "format": "csv", "provider_ids": [1]})
+
+    assert res.status_code == 200
+    assert res.headers["content-type"].startswith("text/csv")
+    assert "attachment" in res.headers["content-disposition"]
+    lines = res.content.decode("utf-8-sig").strip().splitlines()
+    assert lines[0].startswith("id,external_id,name")
+    assert len(lines) == 2
+    assert "Alpha" in lines[1] and "88.0" in lines[1]
+
+
+def test_export_run_as_json_lists_updates_and_reviews(client):
+    res = client.post("/reports/export", json={"scope": "run", "format": "json", "run_id": 1})
+
+    assert res.status_code == 200
+    body = res.json()
+    assert body["title"].startswith("Batch run #1")
+    assert {(r["provider"], r["outcome"]) for r in body["rows"]} == {
+        ("Alpha", "auto_update"),
+        ("Beta", "manual_review"),
+    }
+
+
+def test_export_xlsx_with_slash_in_title(client):
+    res = client.post("/reports/export", json={"scope": "provider", "format": "xlsx", "provider_id": 3})
+
+    assert res.status_code == 200
+    sheet = load_workbook(BytesIO(res.content)).active
+    assert sheet.title == "Provider #3 Drs. Rao-Iyer- Join"
+
+
+def test_export_pending_reviews_as_pdf(client):
+    res = client.post("/reports/export", json={"scope": "reviews", "format": "pdf"})
+
+    assert res.status_code == 200
+    assert res.headers["content-type"] == "application/pdf"
+    assert res.content.startswith(b"%PDF")
+
+
+def test_export_validates_scope_parameters(client):
+    assert client.post("/reports/export", json={"scope": "provider", "format": "csv"}).status_code == 422
+    assert client.post("/reports/export", json={"scope": "provider", "format": "csv", "provider_id": 99}).status_code == 404
+    assert client.post("/reports/export", json={"scope": "directory", "format": "docx"}).status_code == 422
@@ -0,0 +1,57 @@
+import pytest
+
+from backend.db import AuditLog, FieldConfidence, FieldPolicy, ManualReviewItem, Provider, ValidationRun
+
+ADMIN = {"X-Reviewer": "alice"}
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="P001", name="One"),
+        Provider(id=2, external_id="P002", name="Two"),
+        ValidationRun(id=1, run_type="daily", status="completed"),
+        # Phone auto-applied at 0.75; two phone reviews at 0.6 (pending) and 0.5 (approved).
+        FieldConfidence(run_id=1, provider_id=1, field_name="phone", confidence=0.75),
+        AuditLog(run_id=1, provider_id=1, field_name="phone", action="auto_update"),
+        FieldConfidence(run_id=1, provider_id=2, field_name="phone", confidence=0.6),
+        ManualReviewItem(run_id=1, provider_id=2, field_name="phone", reason="low confidence (0.60)"),
+        FieldConfidence(run_id=1, provider_id=2, field_name="license_no", confidence=0.5),
+        ManualReviewItem(
+            run_id=1, provider_id=2, field_name="license_no", status="approved", reason="low confidence (0.50)",
+        ),
+    )
+    return api_client
+
+
+def test_thresholds_default_to_seventy_percent(client):
+    res = client.get("/settings/thresholds")
+    assert res.status_code == 200
+    assert {f["field"]: f["threshold"] for f in res.json()["fields"]} == {
+        "phone": 0.7, "address": 0.7, "specialty": 0.7, "license_no": 0.7, "license_expiry": 0.7,
+    }
+
+
+def test_preview_counts_decisions_that_would_change(client):
+    res = client.post("/settings/thresholds/preview", json={"thresholds": {"phone": 0.55, "license_no": 0.45}})
+    assert res.status_code == 200
+    impact = res.json()["impact"]
+    assert impact["phone"] == {
+        "pending": 1, "pending_to_auto": 1, "history": 1, "history_to_auto": 0, "history_to_manual": 0,
+    }
+    assert impact["license_no"]["history_to_auto"] == 1
+
+    stricter = client.post("/settings/thresholds/preview", json={"thresholds": {"phone": 0.8}}).json()
+    assert stricter["impact"]["phone"]["history_to_manual"] == 1
+
+
+def test_update_thresholds_requires_a_reviewer_and_valid_values(client, api_db):
+    assert client.put("/settings/thresholds", json={"thresholds": {"phone": 0.6}}).status_code == 403
+    assert client.put("/settings/thresholds", json={"thresholds": {"phone": 1.5}}, headers=ADMIN).status_code == 422
+    assert client.put("/settings/thresholds", json={"thresholds": {"name": 0.5}}, headers=ADMIN).status_code == 422
+
+    res = client.put("/settings/thresholds", json={"thresholds": {"license_no": 0.9}}, headers=ADMIN)
+    assert res.status_code == 200
+    db = api_db()
+    saved = db.query(FieldPolicy).get("license_no")
+    assert (saved.threshold, saved.updated_by) == (0.9, "alice")
@@ -0,0 +1,65 @@
+from datetime import datetime
+
+import pytest
+
+from backend.db import ManualReviewItem, Provider, RunSnapshot, ValidationRun
+
+
+@pytest.fixture
+def client(seed, api_client):
+    seed(
+        Provider(id=1, external_id="T1", name="Test Provider"),
+        ValidationRun(
+            id=1, run_type="daily", status="completed", auto_updates=3, manual_reviews=1,
+            started_at=datetime(2026, 1, 1, 9), finished_at=datetime(2026, 1, 1, 10),
+        ),
+        ValidationRun(
+            id=2, run_type="daily", status="completed", auto_updates=1, manual_reviews=1,
+            started_at=datetime(2026, 1, 5, 9), finished_at=datetime(2026, 1, 5, 10),
+        ),
+        RunSnapshot(run_id=1, provider_id=1, pcs=60.0, band="amber", drift_bucket="High"),
+        RunSnapshot(run_id=2, provider_id=1, pcs=80.0, band="green", drift_bucket="Low"),
+        ManualReviewItem(
+            provider_id=1, field_name="phone", status="approved", run_id=1,
+            created_at=datetime(2026, 1, 1, 9, 30), decided_at=datetime(2026, 1, 2),
+        ),
+        ManualReviewItem(
+            provider_id=1, field_name="address", status="pending", run_id=2,
+            created_at=datetime(2026, 1, 5, 9, 30),
+        ),
+    )
+    return api_client
+
+
+def test_trend_reports_per_run_metrics(client):
+    res = client.get("/stats/trend", params={"limit": 10})
+    assert res.status_code == 200
+    first, second = res.json()
+
+    assert first["avg_pcs"] == 60.0 and second["avg_pcs"] == 80.0
+    assert first["drift"] == {"Low": 0, "Medium": 0, "High": 1}
+    assert first["backlog"] == 1  # phone item still pending when run 1 finished
+    assert second["backlog"] == 1  # phone decided, address queued
+    assert first["decisions"]["approved"] == 1
+    assert second["decisions"]["approved"] == 0
+
+
+def test_trend_filters_by_date_range(client):
+    res = client.get("/stats/trend", params={"since": "2026-01-04", "until": "2026-01-05"})
+    assert [p["id"] for p in res.json()] == [2]
+
+
+def test_trend_rejects_bad_dates(client):
+    assert client.get("/stats/trend", params={"since": "last week"}).status_code == 422
+
+
+def test_trend_includes_legacy_runs_without_status(client, api_db):
+    db = api_db()
+    db.add(ValidationRun(id=3, run_type="daily", started_at=datetime(2026, 1, 9, 9), finished_at=datetime(2026, 1, 9, 10)))
+    db.commit()
+    db.query(ValidationRun).filter_by(id=3).update({"status": None})
+    db.commit()
+    db.close()
+
+    res = client.get("/stats/trend", params={"limit": 10})
+    assert [p["id"] for p in res.json()] == [1, 2, 3]